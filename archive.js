@@ -0,0 +1,256 @@
+/**
+ * Results archive (archive.html) - every published result as a thumbnail grid
+ * Newest first under month headings, filtered by brand, draw and month, and
+ * shown a page at a time as the visitor scrolls. The list comes from the same
+ * discovery the results page uses (ImageWebController.loadArchiveImages), and
+ * each thumbnail opens its draw on the results page through the deep link.
+ */
+
+const ARCHIVE_PAGE_SIZE = 24;
+
+class ResultArchive {
+    constructor() {
+        this.discovery = new ImageWebController({ attach: false });
+        this.brandSelect = document.getElementById('archive-brand');
+        this.slotSelect = document.getElementById('archive-slot');
+        this.monthSelect = document.getElementById('archive-month');
+        this.grid = document.getElementById('archive-grid');
+        this.status = document.getElementById('archive-status');
+        this.moreBtn = document.getElementById('archive-more');
+
+        this.images = []; // Every result of the brand, newest first
+        this.filtered = [];
+        this.shown = 0;
+        this.currentMonth = null; // { key, list } the next thumbnails go into
+        this.loadToken = 0;
+        this.observer = null; // Infinite scroll, where IntersectionObserver is supported
+
+        const params = new URLSearchParams(window.location.search);
+        this.renderBrands();
+        this.bindEvents();
+        this.load({ slot: params.get('slot'), month: params.get('month') });
+    }
+
+    bindEvents() {
+        this.brandSelect.addEventListener('change', () => {
+            const brand = LotteryBrands.get(this.brandSelect.value);
+            if (!brand) return;
+            // Only the address remembers the archive's brand; the results page keeps its own
+            this.discovery.applyBrand(brand);
+            this.discovery.manifestPromise = null;
+            this.load();
+        });
+        this.slotSelect.addEventListener('change', () => this.applyFilters());
+        this.monthSelect.addEventListener('change', () => this.applyFilters());
+        this.moreBtn.addEventListener('click', () => this.renderMore());
+
+        // Infinite scroll: the next page loads as the "Show more" button nears the screen
+        this.observer = 'IntersectionObserver' in window
+            ? new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting) && !this.moreBtn.hidden) {
+                    this.renderMore();
+                }
+            }, { rootMargin: '400px 0px' })
+            : null;
+    }
+
+    renderBrands() {
+        for (const brand of LotteryBrands.all()) {
+            const option = document.createElement('option');
+            option.value = brand.id;
+            option.textContent = brand.name;
+            this.brandSelect.appendChild(option);
+        }
+        this.brandSelect.value = this.discovery.brand.id;
+    }
+
+    /**
+     * Load the brand's results and rebuild the filters (keeping the given choices when they exist)
+     */
+    async load({ slot = this.slotSelect.value, month = this.monthSelect.value } = {}) {
+        const token = ++this.loadToken;
+        this.grid.innerHTML = '';
+        this.moreBtn.hidden = true;
+        this.status.textContent = `Loading ${this.discovery.brand.name} results…`;
+
+        const images = await this.discovery.loadArchiveImages();
+        if (token !== this.loadToken) return; // Brand changed while loading
+
+        this.images = images;
+        this.renderSlotOptions(slot);
+        this.renderMonthOptions(month);
+        this.applyFilters();
+        console.log(`🗂️ Archive: ${images.length} ${this.discovery.brand.name} results`);
+    }
+
+    renderSlotOptions(selected) {
+        this.slotSelect.innerHTML = '<option value="">All draws</option>';
+        for (const slot of this.discovery.schedule.allSlots()) {
+            const option = document.createElement('option');
+            option.value = slot.slot;
+            option.textContent = slot.label;
+            this.slotSelect.appendChild(option);
+        }
+        this.slotSelect.value = this.discovery.schedule.getSlot(selected) ? selected : '';
+    }
+
+    /**
+     * Months that have results, newest first, with how many each has
+     */
+    renderMonthOptions(selected) {
+        const counts = new Map();
+        for (const image of this.images) {
+            const key = ResultArchive.monthKey(image.date);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+
+        this.monthSelect.innerHTML = '<option value="">All months</option>';
+        for (const [key, count] of counts) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${ResultArchive.monthName(key)} (${count})`;
+            this.monthSelect.appendChild(option);
+        }
+        this.monthSelect.value = counts.has(selected) ? selected : '';
+    }
+
+    /**
+     * Results matching the filters; slot '' and month '' match everything
+     */
+    static filterImages(images, { slot = '', month = '' } = {}) {
+        return images.filter(image =>
+            (!slot || image.displayTime === slot) && (!month || ResultArchive.monthKey(image.date) === month));
+    }
+
+    applyFilters() {
+        const filters = { slot: this.slotSelect.value, month: this.monthSelect.value };
+        this.filtered = ResultArchive.filterImages(this.images, filters);
+        this.shown = 0;
+        this.currentMonth = null;
+        this.grid.innerHTML = '';
+        this.renderMore();
+
+        // Keep the filters in the address so the view can be shared or bookmarked
+        const params = new URLSearchParams({ brand: this.discovery.brand.id });
+        for (const [name, value] of Object.entries(filters)) {
+            if (value) params.set(name, value);
+        }
+        const url = new URL(window.location.href);
+        url.search = params.toString();
+        history.replaceState(null, '', url);
+    }
+
+    /**
+     * Add the next page of thumbnails, starting a month section when the month changes
+     */
+    renderMore() {
+        const page = this.filtered.slice(this.shown, this.shown + ARCHIVE_PAGE_SIZE);
+
+        for (const image of page) {
+            const key = ResultArchive.monthKey(image.date);
+            if (!this.currentMonth || this.currentMonth.key !== key) {
+                const section = document.createElement('section');
+                section.className = 'archive-month';
+                const heading = document.createElement('h2');
+                heading.textContent = ResultArchive.monthName(key);
+                const list = document.createElement('ul');
+                list.className = 'archive-list';
+                section.append(heading, list);
+                this.grid.appendChild(section);
+                this.currentMonth = { key, list };
+            }
+            this.currentMonth.list.appendChild(this.createCard(image));
+        }
+
+        this.shown += page.length;
+        this.moreBtn.hidden = this.shown >= this.filtered.length;
+        this.updateStatus();
+
+        // Observing again reports whether the button is still in view after this page
+        if (this.observer && !this.moreBtn.hidden) {
+            this.observer.unobserve(this.moreBtn);
+            this.observer.observe(this.moreBtn);
+        }
+    }
+
+    createCard(image) {
+        const caption = this.discovery.describeDraw(image.date, image.displayTime);
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.className = 'archive-card';
+        link.href = this.drawPageURL(image);
+
+        const img = document.createElement('img');
+        img.loading = 'lazy';
+        img.decoding = 'async';
+        img.src = this.thumbnailURL(image);
+        img.alt = `${this.discovery.brand.name} result ${caption}`;
+
+        const text = document.createElement('span');
+        text.className = 'archive-caption';
+        text.textContent = caption;
+
+        link.append(img, text);
+        item.appendChild(link);
+        return item;
+    }
+
+    /**
+     * Smallest rendition of a result, or the image itself when it has none
+     */
+    thumbnailURL(image) {
+        const renditions = Object.values(image.renditions || {})
+            .filter(rendition => rendition && rendition.file)
+            .sort((a, b) => a.width - b.width);
+        return this.discovery.buildImageURL(renditions.length ? renditions[0].file : image.originalFilename);
+    }
+
+    /**
+     * Results page deep link (?brand=&date=&time=) for a result
+     */
+    drawPageURL(image) {
+        const query = new URLSearchParams({
+            brand: this.discovery.brand.id,
+            date: this.discovery.formatDateForFilename(image.date),
+            time: image.displayTime
+        });
+        return `index.html?${query}`;
+    }
+
+    updateStatus() {
+        const brandName = this.discovery.brand.name;
+        if (this.images.length === 0) {
+            this.status.textContent = `No ${brandName} results have been published yet.`;
+        } else if (this.filtered.length === 0) {
+            this.status.textContent = 'No results match these filters.';
+        } else {
+            this.status.textContent = `Showing ${this.shown} of ${this.filtered.length} ${brandName} results`;
+        }
+    }
+
+    /**
+     * "2025-11" for a result date
+     */
+    static monthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * "November 2025" for a month key
+     */
+    static monthName(key) {
+        const [year, month] = key.split('-').map(Number);
+        return `${MONTH_NAMES[month - 1]} ${year}`;
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.resultArchive = new ResultArchive();
+    });
+}
+
+// Export for Node tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultArchive;
+}
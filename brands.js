@@ -0,0 +1,95 @@
+/**
+ * Lottery brands shown on the portal
+ * Each brand keeps its result images (and results.json, result data) in its
+ * own folder; Nagaland Dear stays in the site root so existing links keep working.
+ * Draw slots per brand are in draw-schedule.js.
+ * Shared by the browser (script.js) and the Node tools.
+ */
+
+const LOTTERY_BRANDS = [
+    {
+        id: 'nagaland',
+        name: 'Nagaland Dear',
+        heading: 'Nagaland Dear Lottery Result',
+        imagePath: '',
+        downloadPrefix: 'Nagaland-Lottery'
+    },
+    {
+        id: 'sikkim',
+        name: 'Sikkim',
+        heading: 'Sikkim State Lottery Result',
+        imagePath: 'sikkim/',
+        downloadPrefix: 'Sikkim-Lottery'
+    },
+    {
+        id: 'west-bengal',
+        name: 'West Bengal',
+        heading: 'West Bengal State Lottery Result',
+        imagePath: 'west-bengal/',
+        downloadPrefix: 'West-Bengal-Lottery'
+    }
+];
+
+class LotteryBrands {
+    static get DEFAULT_ID() {
+        return 'nagaland';
+    }
+
+    /**
+     * Every brand, in switcher order
+     */
+    static all() {
+        return LOTTERY_BRANDS;
+    }
+
+    /**
+     * Brand by id ("sikkim"), or null when there is no such brand
+     */
+    static get(id) {
+        const key = String(id || '').trim().toLowerCase();
+        return LOTTERY_BRANDS.find(brand => brand.id === key) || null;
+    }
+
+    /**
+     * The brand shown when none is chosen
+     */
+    static getDefault() {
+        return LotteryBrands.get(LotteryBrands.DEFAULT_ID);
+    }
+
+    /**
+     * Notification for a newly published result, shared by the page, the service
+     * worker's push handler and the local push server
+     * `label` is the slot's label from the draw schedule ("6:00 PM Draw")
+     * Returns { title, body, url, tag, brand, date, slot }
+     */
+    static resultNotification(brand, dateStr, slot, label) {
+        const query = new URLSearchParams({ brand: brand.id, date: dateStr, time: slot });
+        return {
+            title: `${brand.name} ${label || slot} result is out`,
+            body: `Result for ${dateStr} is now available. Tap to view it.`,
+            url: `./?${query}`,
+            tag: `result-${brand.id}-${dateStr}-${slot}`,
+            brand: brand.id,
+            date: dateStr,
+            slot
+        };
+    }
+
+    /**
+     * Text shared with a result link ("Nagaland Dear 1:00 PM Draw result for 04-11-2025")
+     */
+    static shareText(brand, dateStr, label) {
+        return `${brand.name} ${label} result for ${dateStr}`;
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.LotteryBrands = LotteryBrands;
+}
+
+// Export for Node build tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LotteryBrands;
+}
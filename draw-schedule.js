@@ -0,0 +1,180 @@
+/**
+ * Draw schedules - the one place that lists the draw slots, per brand (brands.js)
+ * Every search, the time buttons and the "newest draw" priority come from here.
+ * Shared by the browser (script.js) and the Node tools.
+ *
+ * Times are IST. `weekdays` uses 0 = Sunday ... 6 = Saturday.
+ * To change a schedule from a given day, add a period with a later `from`
+ * date (DD-MM-YYYY) listing the full set of slots from that day on, e.g.
+ *
+ *     {
+ *         from: '01-03-2026',
+ *         slots: [
+ *             ...the current slots...,
+ *             { slot: '3pm', time: '15:00', label: '3:00 PM Draw', weekdays: [1, 2, 3, 4, 5] }
+ *         ]
+ *     }
+ */
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+const DRAW_SCHEDULES = {
+    nagaland: {
+        periods: [
+            {
+                from: '01-01-2000',
+                slots: [
+                    { slot: '1pm', time: '13:00', label: '1:00 PM Draw', buttonClass: 'btn-primary', weekdays: EVERY_DAY },
+                    { slot: '6pm', time: '18:00', label: '6:00 PM Draw', buttonClass: 'btn-success', weekdays: EVERY_DAY },
+                    { slot: '8pm', time: '20:00', label: '8:00 PM Draw', buttonClass: 'btn-warning', weekdays: EVERY_DAY }
+                ]
+            }
+        ]
+    },
+    sikkim: {
+        periods: [
+            {
+                from: '01-01-2000',
+                slots: [
+                    { slot: '3pm', time: '15:00', label: '3:00 PM Draw', buttonClass: 'btn-primary', weekdays: EVERY_DAY }
+                ]
+            }
+        ]
+    },
+    'west-bengal': {
+        periods: [
+            {
+                from: '01-01-2000',
+                slots: [
+                    { slot: '4pm', time: '16:00', label: '4:00 PM Draw', buttonClass: 'btn-success', weekdays: EVERY_DAY }
+                ]
+            }
+        ]
+    }
+};
+
+class DrawSchedule {
+    /**
+     * @param {object} config - { periods: [{ from: 'DD-MM-YYYY', slots: [...] }] }, defaults to Nagaland Dear
+     */
+    constructor(config = DRAW_SCHEDULES.nagaland) {
+        if (!config || !Array.isArray(config.periods) || config.periods.length === 0) {
+            throw new Error('Draw schedule needs at least one period');
+        }
+
+        // Periods oldest first, each slot with its draw time as minutes after midnight
+        this.periods = config.periods
+            .map(period => ({
+                from: period.from,
+                fromKey: DrawSchedule.dateKey(period.from),
+                slots: period.slots
+                    .map(slot => ({ ...slot, minutes: DrawSchedule.parseTime(slot.time) }))
+                    .sort((a, b) => a.minutes - b.minutes)
+            }))
+            .sort((a, b) => a.fromKey - b.fromKey);
+    }
+
+    /**
+     * Schedule for a brand id from brands.js
+     */
+    static forBrand(brandId) {
+        const config = DRAW_SCHEDULES[brandId];
+        if (!config) {
+            throw new Error(`No draw schedule for brand "${brandId}"`);
+        }
+        return new DrawSchedule(config);
+    }
+
+    /**
+     * Comparable YYYYMMDD number for a Date (calendar date) or DD-MM-YYYY string
+     */
+    static dateKey(date) {
+        if (typeof date === 'string') {
+            const [day, month, year] = date.split('-').map(Number);
+            return year * 10000 + month * 100 + day;
+        }
+        return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+    }
+
+    /**
+     * "18:00" -> 1080 minutes after midnight
+     */
+    static parseTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Schedule period in force on a date (the first period for dates before it)
+     */
+    periodFor(date) {
+        const key = DrawSchedule.dateKey(date);
+        let current = this.periods[0];
+        for (const period of this.periods) {
+            if (period.fromKey <= key) {
+                current = period;
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Slots offered on a date's schedule, earliest draw first (includes slots
+     * that do not run on that weekday - see slotsFor)
+     */
+    scheduledSlots(date) {
+        return this.periodFor(date).slots;
+    }
+
+    /**
+     * Slots that actually draw on a date, earliest first
+     */
+    slotsFor(date) {
+        const weekday = date.getDay();
+        return this.scheduledSlots(date).filter(slot => slot.weekdays.includes(weekday));
+    }
+
+    /**
+     * Every slot any period has ever used, earliest first (latest definition wins)
+     */
+    allSlots() {
+        const bySlot = new Map();
+        for (const period of this.periods) {
+            for (const slot of period.slots) {
+                bySlot.set(slot.slot, slot);
+            }
+        }
+        return Array.from(bySlot.values()).sort((a, b) => a.minutes - b.minutes);
+    }
+
+    /**
+     * Config for one slot name ("1pm"), or null when no period has it
+     */
+    getSlot(slotName) {
+        return this.allSlots().find(slot => slot.slot === slotName) || null;
+    }
+
+    /**
+     * Check a slot draws on a date
+     */
+    runsOn(slotName, date) {
+        return this.slotsFor(date).some(slot => slot.slot === slotName);
+    }
+
+    /**
+     * Priority of a slot: later draws are newer and rank higher, unknown slots are 0
+     */
+    priority(slotName) {
+        return this.allSlots().findIndex(slot => slot.slot === slotName) + 1;
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.DrawSchedule = DrawSchedule;
+}
+
+// Export for Node build tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrawSchedule;
+}
@@ -0,0 +1,400 @@
+/**
+ * Zoomable result image viewer
+ * Pinch, double-tap/double-click and mouse-wheel zoom, drag to pan, fullscreen.
+ * The view survives showing another image, so the same region of the next
+ * draw's sheet stays in view.
+ *
+ * The view is stored as { scale, x, y } with x/y as fractions of the viewer
+ * size, so it fits any screen size and can be copied between viewers
+ * (onChange / setView).
+ *
+ * An image shown from a downsized rendition carries its full-resolution
+ * address in data-full-src; that file is only fetched once the image is zoomed.
+ */
+
+class ImageViewer {
+    /**
+     * @param {HTMLElement} container - element the viewer is shown in
+     * @param {object} options - { minScale, maxScale, doubleTapScale, label }
+     */
+    constructor(container, { minScale = 1, maxScale = 6, doubleTapScale = 2.5, label = 'Result image' } = {}) {
+        this.container = container;
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+        this.doubleTapScale = doubleTapScale;
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map(); // Active pointers: id -> { x, y }
+        this.gesture = null;
+        this.lastTap = null;
+        this.onChange = null; // Called with the view after every user zoom or pan
+
+        this.buildElements(label);
+        this.bindEvents();
+    }
+
+    buildElements(label) {
+        this.element = document.createElement('div');
+        this.element.className = 'image-viewer';
+        this.element.tabIndex = 0;
+        this.element.setAttribute('role', 'region');
+        this.element.setAttribute('aria-label', `${label}. Plus and minus keys zoom, arrow keys pan, 0 resets.`);
+
+        this.stage = document.createElement('div');
+        this.stage.className = 'image-viewer-stage';
+        this.element.appendChild(this.stage);
+
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'image-viewer-toolbar';
+        this.zoomOutBtn = this.createButton('−', 'Zoom out', () => this.zoomBy(1 / 1.5));
+        this.zoomLabel = document.createElement('span');
+        this.zoomLabel.className = 'image-viewer-zoom';
+        this.zoomLabel.setAttribute('aria-live', 'polite');
+        this.zoomInBtn = this.createButton('+', 'Zoom in', () => this.zoomBy(1.5));
+        this.resetBtn = this.createButton('⟲', 'Reset zoom', () => this.reset());
+        this.fullscreenBtn = this.createButton('⛶', 'Full screen', () => this.toggleFullscreen());
+        this.fullscreenBtn.setAttribute('aria-pressed', 'false');
+        this.toolbar.append(this.zoomOutBtn, this.zoomLabel, this.zoomInBtn, this.resetBtn, this.fullscreenBtn);
+        this.element.appendChild(this.toolbar);
+    }
+
+    createButton(text, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'image-viewer-btn';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    bindEvents() {
+        this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.stage.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.stage.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        this.stage.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.stage.addEventListener('dblclick', (e) => {
+            e.preventDefault();
+            this.toggleZoomAt(e.clientX, e.clientY);
+        });
+        this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        const onFullscreenChange = () => this.updateFullscreenButton();
+        document.addEventListener('fullscreenchange', onFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', onFullscreenChange);
+    }
+
+    /**
+     * Show an image, keeping the current zoom and pan
+     */
+    show(img) {
+        img.classList.add('image-viewer-image');
+        img.draggable = false;
+        this.image = img;
+
+        this.stage.innerHTML = '';
+        this.stage.appendChild(img);
+        const inOverlay = this.element.classList.contains('fullscreen-fallback');
+        if (!inOverlay && (this.element.parentNode !== this.container || this.container.children.length !== 1)) {
+            this.mount();
+        }
+        this.applyView();
+    }
+
+    mount() {
+        this.container.innerHTML = '';
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Set the view (used to keep two viewers in step); does not call onChange
+     */
+    setView(view) {
+        this.view = this.clampView(view);
+        this.applyView();
+    }
+
+    reset() {
+        this.updateView({ scale: 1, x: 0, y: 0 });
+    }
+
+    zoomBy(factor) {
+        const rect = this.stage.getBoundingClientRect();
+        this.zoomAt(this.view.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    }
+
+    /**
+     * Zoom to a scale keeping the point under (clientX, clientY) still
+     */
+    zoomAt(scale, clientX, clientY) {
+        const rect = this.stage.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        const newScale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+        const px = (clientX - rect.left) / rect.width;
+        const py = (clientY - rect.top) / rect.height;
+        const ratio = newScale / this.view.scale;
+
+        this.updateView({
+            scale: newScale,
+            x: px - (px - this.view.x) * ratio,
+            y: py - (py - this.view.y) * ratio
+        });
+    }
+
+    toggleZoomAt(clientX, clientY) {
+        const scale = this.view.scale > this.minScale ? this.minScale : this.doubleTapScale;
+        this.zoomAt(scale, clientX, clientY);
+    }
+
+    /**
+     * Move the image by a number of pixels
+     */
+    panBy(dx, dy) {
+        const rect = this.stage.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        this.updateView({
+            scale: this.view.scale,
+            x: this.view.x + dx / rect.width,
+            y: this.view.y + dy / rect.height
+        });
+    }
+
+    updateView(view) {
+        this.view = this.clampView(view);
+        this.applyView();
+        if (this.onChange) {
+            this.onChange({ ...this.view });
+        }
+    }
+
+    /**
+     * Keep the image covering the viewer: no empty space once zoomed in
+     */
+    clampView({ scale, x, y }) {
+        const s = Math.min(this.maxScale, Math.max(this.minScale, Number(scale) || 1));
+        const clamp = value => Math.min(0, Math.max(1 - s, Number(value) || 0));
+        return { scale: s, x: clamp(x), y: clamp(y) };
+    }
+
+    applyView() {
+        const { scale, x, y } = this.view;
+        if (this.image) {
+            // Translate percentages are relative to the image box, i.e. the viewer size
+            this.image.style.transform = `translate(${x * 100}%, ${y * 100}%) scale(${scale})`;
+        }
+        this.element.classList.toggle('zoomed', scale > this.minScale);
+        if (scale > this.minScale) {
+            this.loadFullResolution();
+        }
+        this.zoomLabel.textContent = `${Math.round(scale * 100)}%`;
+        this.zoomOutBtn.disabled = scale <= this.minScale;
+        this.zoomInBtn.disabled = scale >= this.maxScale;
+    }
+
+    /**
+     * Swap a downsized image for its data-full-src file, once it has downloaded
+     */
+    loadFullResolution() {
+        const img = this.image;
+        const fullURL = img && img.dataset.fullSrc;
+        if (!fullURL) return;
+        delete img.dataset.fullSrc;
+
+        const full = new Image();
+        full.onload = () => {
+            img.removeAttribute('srcset');
+            img.removeAttribute('sizes');
+            img.src = full.src;
+        };
+        full.onerror = () => console.log(`⚠️ Full-resolution image failed to load: ${fullURL}`);
+        full.src = fullURL;
+    }
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.startGesture();
+    }
+
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        const points = Array.from(this.pointers.values());
+        if (this.gesture.type === 'pinch' && points.length >= 2) {
+            const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+            const midX = (points[0].x + points[1].x) / 2;
+            const midY = (points[0].y + points[1].y) / 2;
+
+            this.zoomAt(this.gesture.scale * distance / this.gesture.distance, midX, midY);
+            this.panBy(midX - this.gesture.midX, midY - this.gesture.midY);
+            this.gesture.scale = this.view.scale;
+            this.gesture.distance = distance;
+            this.gesture.midX = midX;
+            this.gesture.midY = midY;
+        } else if (this.gesture.type === 'pan') {
+            const dx = e.clientX - this.gesture.x;
+            const dy = e.clientY - this.gesture.y;
+            this.gesture.x = e.clientX;
+            this.gesture.y = e.clientY;
+            this.gesture.moved = this.gesture.moved || Math.abs(dx) + Math.abs(dy) > 2;
+            if (this.view.scale > this.minScale) {
+                this.panBy(dx, dy);
+            }
+        }
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+
+        const gesture = this.gesture;
+        this.pointers.delete(e.pointerId);
+
+        // Double tap on touch screens (mice use dblclick)
+        if (e.type === 'pointerup' && e.pointerType !== 'mouse' && gesture && gesture.type === 'pan' && !gesture.moved) {
+            const now = Date.now();
+            if (this.lastTap && now - this.lastTap.time < 300 &&
+                Math.hypot(e.clientX - this.lastTap.x, e.clientY - this.lastTap.y) < 30) {
+                this.lastTap = null;
+                this.toggleZoomAt(e.clientX, e.clientY);
+            } else {
+                this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+            }
+        }
+
+        this.startGesture();
+    }
+
+    /**
+     * One pointer pans, two pinch; re-evaluated whenever a finger lands or lifts
+     */
+    startGesture() {
+        const points = Array.from(this.pointers.values());
+        if (points.length >= 2) {
+            this.gesture = {
+                type: 'pinch',
+                scale: this.view.scale,
+                distance: Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) || 1,
+                midX: (points[0].x + points[1].x) / 2,
+                midY: (points[0].y + points[1].y) / 2
+            };
+        } else if (points.length === 1) {
+            this.gesture = { type: 'pan', x: points[0].x, y: points[0].y, moved: false };
+        } else {
+            this.gesture = null;
+        }
+    }
+
+    /**
+     * Wheel zooms; at normal size, scrolling down still scrolls the page
+     */
+    handleWheel(e) {
+        if (e.deltaY > 0 && this.view.scale <= this.minScale) return;
+
+        e.preventDefault();
+        const factor = Math.exp(-e.deltaY * (e.deltaMode === 1 ? 0.05 : 0.002));
+        this.zoomAt(this.view.scale * factor, e.clientX, e.clientY);
+    }
+
+    handleKeydown(e) {
+        const step = 40;
+        switch (e.key) {
+            case '+':
+            case '=':
+                this.zoomBy(1.5);
+                break;
+            case '-':
+                this.zoomBy(1 / 1.5);
+                break;
+            case '0':
+                this.reset();
+                break;
+            case 'Escape':
+                if (!this.element.classList.contains('fullscreen-fallback')) return;
+                this.toggleFullscreen();
+                break;
+            case 'ArrowLeft':
+                if (this.view.scale <= this.minScale) return;
+                this.panBy(step, 0);
+                break;
+            case 'ArrowRight':
+                if (this.view.scale <= this.minScale) return;
+                this.panBy(-step, 0);
+                break;
+            case 'ArrowUp':
+                if (this.view.scale <= this.minScale) return;
+                this.panBy(0, step);
+                break;
+            case 'ArrowDown':
+                if (this.view.scale <= this.minScale) return;
+                this.panBy(0, -step);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    isFullscreen() {
+        const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement;
+        return fullscreenElement === this.element || this.element.classList.contains('fullscreen-fallback');
+    }
+
+    /**
+     * Browser fullscreen where supported, else a fixed overlay (iPhone Safari)
+     */
+    toggleFullscreen() {
+        if (this.isFullscreen()) {
+            if (this.element.classList.contains('fullscreen-fallback')) {
+                this.element.classList.remove('fullscreen-fallback');
+                this.mount();
+                this.updateFullscreenButton();
+                this.element.focus();
+            } else {
+                (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+            }
+            return;
+        }
+
+        const request = this.element.requestFullscreen || this.element.webkitRequestFullscreen;
+        if (request) {
+            Promise.resolve(request.call(this.element)).catch(() => this.enterFallbackFullscreen());
+        } else {
+            this.enterFallbackFullscreen();
+        }
+    }
+
+    enterFallbackFullscreen() {
+        // Moved to <body>: a transformed ancestor would trap position: fixed
+        document.body.appendChild(this.element);
+        this.element.classList.add('fullscreen-fallback');
+        this.updateFullscreenButton();
+        this.element.focus();
+    }
+
+    updateFullscreenButton() {
+        const active = this.isFullscreen();
+        this.fullscreenBtn.setAttribute('aria-pressed', String(active));
+        this.fullscreenBtn.title = active ? 'Exit full screen' : 'Full screen';
+        this.fullscreenBtn.setAttribute('aria-label', this.fullscreenBtn.title);
+        this.applyView();
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ImageViewer = ImageViewer;
+}
+
+// Export for Node build tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageViewer;
+}
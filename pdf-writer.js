@@ -0,0 +1,297 @@
+/**
+ * Minimal PDF writer - builds result PDFs in the browser, no network or libraries
+ * Supports A4 pages with text in the standard PDF fonts (Helvetica, Courier),
+ * lines, rectangles and JPEG images. Shared by the browser (script.js) and tests.
+ *
+ * Coordinates are in points (1/72 inch) from the TOP-LEFT of the page; the
+ * writer flips them to PDF's bottom-left origin.
+ */
+
+// Standard font widths (1/1000 em) for characters 32-126, from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const PDF_FONTS = {
+    regular: { name: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { name: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+    mono: { name: 'F3', baseFont: 'Courier-Bold', widths: null } // Every character is 600
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding can still show
+const WIN_ANSI_EXTRAS = { '€': 0x80, '…': 0x85, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95 };
+
+class PdfWriter {
+    /**
+     * @param {object} options - { width, height } page size in points (A4 portrait by default), { title }
+     */
+    constructor({ width = 595.28, height = 841.89, title = '' } = {}) {
+        this.width = width;
+        this.height = height;
+        this.title = title;
+        this.pages = [];
+        this.images = [];
+    }
+
+    /**
+     * Add a page and return it; drawing calls go to that page.
+     * Pass an index to insert it before existing pages (e.g. a summary page first).
+     */
+    addPage(index = this.pages.length) {
+        const page = new PdfPage(this);
+        this.pages.splice(index, 0, page);
+        return page;
+    }
+
+    /**
+     * Register a JPEG (bytes of a .jpg file) for use with page.image()
+     */
+    addJpeg(bytes, pixelWidth, pixelHeight) {
+        const image = { name: `Im${this.images.length + 1}`, bytes, width: pixelWidth, height: pixelHeight };
+        this.images.push(image);
+        return image;
+    }
+
+    /**
+     * Width of a string in points
+     */
+    textWidth(text, size, font = 'regular') {
+        const widths = PDF_FONTS[font].widths;
+        let units = 0;
+        for (const code of PdfWriter.encodeText(text)) {
+            units += widths ? (widths[code - 32] || 556) : 600;
+        }
+        return units * size / 1000;
+    }
+
+    /**
+     * Split text into lines no wider than maxWidth (breaks at spaces)
+     */
+    wrapText(text, size, maxWidth, font = 'regular') {
+        const lines = [];
+        let line = '';
+        for (const word of String(text).split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && this.textWidth(candidate, size, font) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * WinAnsi byte codes for a string; "₹" becomes "Rs.", anything else unsupported "?"
+     */
+    static encodeText(text) {
+        const codes = [];
+        for (const char of String(text).replace(/₹\s?/g, 'Rs. ')) {
+            const code = char.codePointAt(0);
+            if (WIN_ANSI_EXTRAS[char]) {
+                codes.push(WIN_ANSI_EXTRAS[char]);
+            } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+                codes.push(code);
+            } else {
+                codes.push(63); // ?
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * PDF string literal: ( ) and \ escaped, non-ASCII as octal
+     */
+    static stringLiteral(text) {
+        let out = '(';
+        for (const code of PdfWriter.encodeText(text)) {
+            const char = String.fromCharCode(code);
+            if (char === '(' || char === ')' || char === '\\') {
+                out += `\\${char}`;
+            } else if (code > 126) {
+                out += `\\${code.toString(8).padStart(3, '0')}`;
+            } else {
+                out += char;
+            }
+        }
+        return `${out})`;
+    }
+
+    static formatNumber(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    /**
+     * PDF date string for /CreationDate
+     */
+    static formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    /**
+     * Assemble the file: objects, cross-reference table and trailer
+     */
+    toBytes() {
+        if (this.pages.length === 0) {
+            throw new Error('PDF needs at least one page');
+        }
+
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const bytes = typeof data === 'string' ? PdfWriter.latin1(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const object = (id, body, stream = null) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n${body}\n`);
+            if (stream) {
+                write('stream\n');
+                write(stream);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+        };
+
+        // Object ids: 1 catalog, 2 page tree, 3 info, 4-6 fonts, then images, then page + content pairs
+        const fontIds = { regular: 4, bold: 5, mono: 6 };
+        const imageIds = this.images.map((image, i) => 7 + i);
+        const firstPageId = 7 + this.images.length;
+        const pageIds = this.pages.map((page, i) => firstPageId + i * 2);
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+        object(3, `<< /Title ${PdfWriter.stringLiteral(this.title)} /Producer (Lottery Sambad) /CreationDate (${PdfWriter.formatDate(new Date())}) >>`);
+
+        for (const [key, font] of Object.entries(PDF_FONTS)) {
+            object(fontIds[key], `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+        }
+
+        this.images.forEach((image, i) => {
+            object(imageIds[i], `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`, image.bytes);
+        });
+
+        const fonts = Object.entries(PDF_FONTS).map(([key, font]) => `/${font.name} ${fontIds[key]} 0 R`).join(' ');
+        const xObjects = this.images.map((image, i) => `/${image.name} ${imageIds[i]} 0 R`).join(' ');
+
+        this.pages.forEach((page, i) => {
+            const pageId = pageIds[i];
+            const content = PdfWriter.latin1(page.operations.join('\n'));
+            object(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PdfWriter.formatNumber(this.width)} ${PdfWriter.formatNumber(this.height)}] ` +
+                `/Resources << /Font << ${fonts} >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> /Contents ${pageId + 1} 0 R >>`);
+            object(pageId + 1, `<< /Length ${content.length} >>`, content);
+        });
+
+        const objectCount = firstPageId + this.pages.length * 2;
+        const xrefOffset = length;
+        let xref = `xref\n0 ${objectCount}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objectCount; id++) {
+            xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        write(xref);
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const output = new Uint8Array(length);
+        let position = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, position);
+            position += chunk.length;
+        }
+        return output;
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'application/pdf' });
+    }
+
+    static latin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+}
+
+class PdfPage {
+    constructor(writer) {
+        this.writer = writer;
+        this.operations = [];
+    }
+
+    /**
+     * Draw text with its top at y
+     * @param {object} options - { size, font: 'regular'|'bold'|'mono', color: [r, g, b] 0-1, align: 'left'|'center'|'right' }
+     */
+    text(text, x, y, { size = 11, font = 'regular', color = [0, 0, 0], align = 'left' } = {}) {
+        const width = this.writer.textWidth(text, size, font);
+        const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+        const baseline = this.writer.height - y - size * 0.8;
+        const f = PdfWriter.formatNumber;
+
+        this.operations.push(
+            `BT /${PDF_FONTS[font].name} ${f(size)} Tf ${color.map(f).join(' ')} rg ${f(left)} ${f(baseline)} Td ${PdfWriter.stringLiteral(text)} Tj ET`
+        );
+        return width;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+        const f = PdfWriter.formatNumber;
+        const h = this.writer.height;
+        this.operations.push(`${f(width)} w ${color.map(f).join(' ')} RG ${f(x1)} ${f(h - y1)} m ${f(x2)} ${f(h - y2)} l S`);
+    }
+
+    /**
+     * Rectangle with its top-left corner at (x, y); fill and/or stroke colour [r, g, b]
+     */
+    rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+        const f = PdfWriter.formatNumber;
+        const path = `${f(x)} ${f(this.writer.height - y - height)} ${f(width)} ${f(height)} re`;
+        const parts = [];
+        if (fill) parts.push(`${fill.map(f).join(' ')} rg`);
+        if (stroke) parts.push(`${f(lineWidth)} w ${stroke.map(f).join(' ')} RG`);
+        parts.push(path, fill && stroke ? 'B' : fill ? 'f' : 'S');
+        this.operations.push(parts.join(' '));
+    }
+
+    /**
+     * Place an image from addJpeg with its top-left corner at (x, y)
+     */
+    image(image, x, y, width, height) {
+        const f = PdfWriter.formatNumber;
+        this.operations.push(`q ${f(width)} 0 0 ${f(height)} ${f(x)} ${f(this.writer.height - y - height)} cm /${image.name} Do Q`);
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.PdfWriter = PdfWriter;
+}
+
+// Export for Node build tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+}
@@ -0,0 +1,443 @@
+/**
+ * QR code encoder - deep links printed on watermarked result images, no libraries
+ * Byte mode (UTF-8), versions 1-10 (up to 271 bytes at level L), all four
+ * error correction levels. Follows ISO/IEC 18004.
+ * Shared by the browser (watermark.js) and tests.
+ */
+
+// Per version 1-10 (index 0 unused): error correction codewords per block, and blocks
+const QR_ECC_CODEWORDS_PER_BLOCK = {
+    L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18],
+    M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+    Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24],
+    H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28]
+};
+
+const QR_ECC_BLOCKS = {
+    L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4],
+    M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+    Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8],
+    H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8]
+};
+
+// Level bits used in the format information
+const QR_ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+const QR_MAX_VERSION = 10;
+
+class QrCode {
+    /**
+     * Encode text as the smallest QR code that fits
+     * @param {string} text - e.g. a draw URL
+     * @param {Object} options - ecc: 'L' | 'M' | 'Q' | 'H'; mask: 0-7 (chosen automatically when left out)
+     * @returns {QrCode}
+     */
+    static encode(text, { ecc = 'M', mask = null } = {}) {
+        if (!QR_ECC_BLOCKS[ecc]) {
+            throw new Error(`Unknown QR error correction level: ${ecc}`);
+        }
+
+        const bytes = new TextEncoder().encode(text);
+        let version = 1;
+        while (version <= QR_MAX_VERSION && QrCode.capacityBytes(version, ecc) < bytes.length) {
+            version++;
+        }
+        if (version > QR_MAX_VERSION) {
+            throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+        }
+
+        return new QrCode(version, ecc, QrCode.encodeData(bytes, version, ecc), mask);
+    }
+
+    constructor(version, ecc, dataCodewords, mask = null) {
+        this.version = version;
+        this.ecc = ecc;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addErrorCorrection(dataCodewords));
+
+        if (mask === null) {
+            // Keep the mask with the lowest penalty score
+            let bestPenalty = Infinity;
+            for (let candidate = 0; candidate < 8; candidate++) {
+                this.applyMask(candidate);
+                this.drawFormatBits(candidate);
+                const penalty = this.penaltyScore();
+                if (penalty < bestPenalty) {
+                    bestPenalty = penalty;
+                    mask = candidate;
+                }
+                this.applyMask(candidate); // XOR again to undo
+            }
+        }
+        this.mask = mask;
+        this.applyMask(mask);
+        this.drawFormatBits(mask);
+        this.isFunction = null;
+    }
+
+    /**
+     * Dark module at column x, row y
+     */
+    isDark(x, y) {
+        return this.modules[y][x];
+    }
+
+    /**
+     * Bytes of data a version holds at a level in byte mode
+     */
+    static capacityBytes(version, ecc) {
+        const countBits = version < 10 ? 8 : 16;
+        return Math.floor((QrCode.dataCodewordCount(version, ecc) * 8 - 4 - countBits) / 8);
+    }
+
+    /**
+     * Modules left for data and error correction once the function patterns are placed
+     */
+    static rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignCount - 10) * alignCount - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    static dataCodewordCount(version, ecc) {
+        return Math.floor(QrCode.rawDataModules(version) / 8) -
+            QR_ECC_CODEWORDS_PER_BLOCK[ecc][version] * QR_ECC_BLOCKS[ecc][version];
+    }
+
+    /**
+     * Mode indicator, length, data, terminator and pad bytes
+     */
+    static encodeData(bytes, version, ecc) {
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        const capacityBits = QrCode.dataCodewordCount(version, ecc) * 8;
+        push(0b0100, 4); // Byte mode
+        push(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => push(byte, 8));
+        push(0, Math.min(4, capacityBits - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    }
+
+    /**
+     * Split data into blocks, add Reed-Solomon codewords, and interleave
+     */
+    addErrorCorrection(data) {
+        const blockCount = QR_ECC_BLOCKS[this.ecc][this.version];
+        const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[this.ecc][this.version];
+        const shortBlockData = Math.floor(data.length / blockCount);
+        const longBlocks = data.length % blockCount; // The last blocks hold one extra codeword
+        const divisor = QrCode.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        let offset = 0;
+        for (let i = 0; i < blockCount; i++) {
+            const length = shortBlockData + (i >= blockCount - longBlocks ? 1 : 0);
+            const blockData = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: blockData, ecc: QrCode.reedSolomonRemainder(blockData, divisor) });
+        }
+
+        const result = [];
+        for (let i = 0; i <= shortBlockData; i++) {
+            for (const block of blocks) {
+                if (i < block.data.length) {
+                    result.push(block.data[i]);
+                }
+            }
+        }
+        for (let i = 0; i < eccLength; i++) {
+            for (const block of blocks) {
+                result.push(block.ecc[i]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Generator polynomial of a degree, highest coefficient dropped
+     */
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QrCode.gfMultiply(result[j], root);
+                if (j + 1 < degree) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QrCode.gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.gfMultiply(coefficient, factor);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Multiply in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+     */
+    static gfMultiply(x, y) {
+        let result = 0;
+        for (let i = 7; i >= 0; i--) {
+            result = (result << 1) ^ ((result >>> 7) * 0x11D);
+            result ^= ((y >>> i) & 1) * x;
+        }
+        return result;
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Finder, timing and alignment patterns, plus reserved format/version areas
+     */
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(size - 4, 3);
+        this.drawFinderPattern(3, size - 4);
+
+        const positions = this.alignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                // Skip the three corners taken by finder patterns
+                if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                    this.drawAlignmentPattern(x, y);
+                }
+            });
+        });
+
+        this.drawFormatBits(0); // Reserve the area; redrawn once the mask is known
+        this.drawVersionBits();
+    }
+
+    drawFinderPattern(centerX, centerY) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignmentPattern(centerX, centerY) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    /**
+     * Row/column centres of the alignment patterns
+     */
+    alignmentPositions() {
+        if (this.version === 1) return [];
+
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.ceil((this.version * 4 + 4) / (count * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    /**
+     * Error correction level and mask, BCH-protected, in both copies
+     */
+    drawFormatBits(mask) {
+        const data = (QR_ECC_FORMAT_BITS[this.ecc] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const size = this.size;
+
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(8, i, bit(i));
+        }
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(14 - i, 8, bit(i));
+        }
+
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(8, size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(8, size - 8, true); // Always dark
+    }
+
+    /**
+     * Version number blocks (version 7 and up)
+     */
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    /**
+     * Place codewords in the two-column zigzag, right to left, skipping function patterns
+     */
+    drawCodewords(codewords) {
+        const totalBits = codewords.length * 8;
+        let index = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                const y = upward ? this.size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.isFunction[y][x] || index >= totalBits) continue;
+                    this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                    index++;
+                }
+            }
+        }
+    }
+
+    /**
+     * XOR a mask pattern over the data modules (applying it twice undoes it)
+     */
+    applyMask(mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const pattern = patterns[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && pattern(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Penalty rules from the standard: runs, 2x2 blocks, finder look-alikes, dark balance
+     */
+    penaltyScore() {
+        const size = this.size;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+        const finderLike = /(?:^|0000)1011101|1011101(?:0000|$)/g;
+        for (const line of lines) {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
+                }
+            }
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            penalty += (text.match(finderLike) || []).length * 40;
+        }
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+        const total = size * size;
+        penalty += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.QrCode = QrCode;
+}
+
+// Export for Node build tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrCode;
+}
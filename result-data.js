@@ -0,0 +1,296 @@
+/**
+ * Structured winning-number data for a draw
+ * Each result image can have a JSON file with the same name next to it,
+ * e.g. "04-11-2025 1pm.jpg" + "04-11-2025 1pm.json".
+ * Format: see results.schema.json and RESULT_DATA_FORMAT.md
+ * Shared by the browser (script.js) and the Node tools.
+ */
+
+class ResultData {
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Match rules a prize tier can use
+     *   full  - whole ticket number including series, e.g. "68A 12345"
+     *   last5 - last 5 digits of the ticket number
+     *   last4 - last 4 digits of the ticket number
+     */
+    static get MATCH_PATTERNS() {
+        return {
+            full: /^\d{2}[A-Z]{1,2} \d{5}$/,
+            last5: /^\d{5}$/,
+            last4: /^\d{4}$/
+        };
+    }
+
+    /**
+     * Result data filename for an image filename ("04-11-2025 1pm.jpg" -> "04-11-2025 1pm.json")
+     */
+    static filenameForImage(imageFilename) {
+        return imageFilename.replace(/\.[^/.]+$/, '') + '.json';
+    }
+
+    /**
+     * Normalise a full ticket number: "68a12345", "68 A 12345" -> "68A 12345"
+     */
+    static normaliseTicketNumber(value) {
+        const compact = String(value).toUpperCase().replace(/[\s-]+/g, '');
+        const match = compact.match(/^(\d{2}[A-Z]{1,2})(\d{5})$/);
+        return match ? `${match[1]} ${match[2]}` : null;
+    }
+
+    /**
+     * Validate parsed JSON against the result data format
+     * `expected` may hold { date, slot } taken from the image filename
+     * Returns { valid, errors[] }
+     */
+    static validate(data, expected = {}) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(data)) {
+            return { valid: false, errors: ['Result data must be a JSON object'] };
+        }
+
+        if (data.version !== ResultData.VERSION) {
+            errors.push(`version must be ${ResultData.VERSION}`);
+        }
+
+        if (typeof data.date !== 'string' || !ResultData.isValidDate(data.date)) {
+            errors.push('date must be a real date in DD-MM-YYYY format');
+        } else if (expected.date && data.date !== expected.date) {
+            errors.push(`date ${data.date} does not match the draw ${expected.date}`);
+        }
+
+        if (typeof data.slot !== 'string' || !/^\d{1,2}(am|pm)$/.test(data.slot)) {
+            errors.push('slot must look like "1pm", "6pm" or "8pm"');
+        } else if (expected.slot && data.slot !== expected.slot) {
+            errors.push(`slot ${data.slot} does not match the draw ${expected.slot}`);
+        }
+
+        if (data.drawName !== undefined && (typeof data.drawName !== 'string' || !data.drawName.trim())) {
+            errors.push('drawName must be a non-empty string when present');
+        }
+
+        if (data.currency !== undefined && data.currency !== 'INR') {
+            errors.push('currency must be "INR" when present');
+        }
+
+        if (!Array.isArray(data.tiers) || data.tiers.length === 0) {
+            errors.push('tiers must be a non-empty array');
+        } else {
+            const names = new Set();
+            data.tiers.forEach((tier, index) => {
+                errors.push(...ResultData.validateTier(tier, index));
+                const name = tier && typeof tier.name === 'string' ? tier.name.trim() : '';
+                if (name && names.has(name)) {
+                    errors.push(`tiers[${index}].name "${name}" is listed twice`);
+                }
+                names.add(name);
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validate one prize tier
+     */
+    static validateTier(tier, index) {
+        const errors = [];
+        const label = `tiers[${index}]`;
+
+        if (tier === null || typeof tier !== 'object' || Array.isArray(tier)) {
+            return [`${label} must be an object`];
+        }
+
+        if (typeof tier.name !== 'string' || !tier.name.trim()) {
+            errors.push(`${label}.name must be a non-empty string`);
+        }
+
+        if (typeof tier.amount !== 'number' || !Number.isFinite(tier.amount) || tier.amount <= 0) {
+            errors.push(`${label}.amount must be a positive number`);
+        }
+
+        const pattern = ResultData.MATCH_PATTERNS[tier.match];
+        if (!pattern) {
+            errors.push(`${label}.match must be one of: ${Object.keys(ResultData.MATCH_PATTERNS).join(', ')}`);
+        }
+
+        if (!Array.isArray(tier.numbers) || tier.numbers.length === 0) {
+            errors.push(`${label}.numbers must be a non-empty array`);
+        } else if (pattern) {
+            const seen = new Set();
+            tier.numbers.forEach((number, numberIndex) => {
+                if (typeof number !== 'string' || !pattern.test(number)) {
+                    errors.push(`${label}.numbers[${numberIndex}] "${number}" is not a valid ${tier.match} number`);
+                } else if (seen.has(number)) {
+                    errors.push(`${label}.numbers[${numberIndex}] "${number}" is listed twice`);
+                }
+                seen.add(number);
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a ticket against a draw's validated result data
+     * Tiers are tried highest prize first; full tiers need series and number,
+     * last5/last4 tiers match the trailing digits of the ticket number.
+     * Returns { valid, ticket, prize } - prize is null when the ticket did not win
+     */
+    static checkTicket(data, ticketInput) {
+        const ticket = ResultData.normaliseTicketNumber(ticketInput);
+        if (!ticket) {
+            return { valid: false, ticket: null, prize: null };
+        }
+
+        const digits = ticket.slice(-5);
+        const candidates = {
+            full: ticket,
+            last5: digits,
+            last4: digits.slice(-4)
+        };
+
+        for (const tier of data.tiers) {
+            const candidate = candidates[tier.match];
+            if (tier.numbers.includes(candidate)) {
+                return {
+                    valid: true,
+                    ticket,
+                    prize: {
+                        name: tier.name,
+                        amount: tier.amount,
+                        match: tier.match,
+                        number: candidate
+                    }
+                };
+            }
+        }
+
+        return { valid: true, ticket, prize: null };
+    }
+
+    /**
+     * Parse a pasted ticket list or CSV text for bulk checking
+     * Each line holds a ticket number and optionally a draw date and slot,
+     * in any column order (comma, semicolon or tab separated).
+     * Returns { entries: [{ line, ticket, date, slot }], invalid: [{ line, text, reason }] }
+     */
+    static parseTicketList(text) {
+        const entries = [];
+        const invalid = [];
+        const lines = String(text).split(/\r?\n/);
+
+        lines.forEach((rawLine, index) => {
+            const line = index + 1;
+            const trimmed = rawLine.trim();
+            if (!trimmed) return;
+
+            let ticket = null;
+            let date = null;
+            let slot = null;
+
+            const cells = trimmed.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+            for (const cell of cells) {
+                if (!cell) continue;
+                ticket = ticket || ResultData.normaliseTicketNumber(cell);
+                date = date || ResultData.normaliseDrawDate(cell);
+                slot = slot || ResultData.normaliseSlot(cell);
+            }
+
+            if (ticket) {
+                entries.push({ line, ticket, date, slot });
+            } else if (entries.length === 0 && invalid.length === 0 && !/\d{5}/.test(trimmed)) {
+                // First line without a ticket number is a CSV header
+                return;
+            } else {
+                invalid.push({ line, text: trimmed, reason: 'No ticket number (series + 5 digits) found' });
+            }
+        });
+
+        return { entries, invalid };
+    }
+
+    /**
+     * Normalise a draw date cell to DD-MM-YYYY (accepts DD-MM-YYYY, DD/MM/YYYY, YYYY-MM-DD)
+     */
+    static normaliseDrawDate(value) {
+        let match = String(value).match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+        let day, month, year;
+
+        if (match) {
+            [, day, month, year] = match;
+        } else {
+            match = String(value).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+            if (!match) return null;
+            [, year, month, day] = match;
+        }
+
+        const dateStr = `${day.padStart(2, '0')}-${month.padStart(2, '0')}-${year}`;
+        return ResultData.isValidDate(dateStr) ? dateStr : null;
+    }
+
+    /**
+     * Normalise a draw slot cell: "1 PM", "1pm", "01pm" -> "1pm"
+     */
+    static normaliseSlot(value) {
+        const match = String(value).toLowerCase().replace(/\s+/g, '').match(/^0?(\d{1,2})(am|pm)$/);
+        if (!match) return null;
+
+        const hour = parseInt(match[1], 10);
+        return hour >= 1 && hour <= 12 ? `${hour}${match[2]}` : null;
+    }
+
+    /**
+     * Check a DD-MM-YYYY string is a real calendar date
+     */
+    static isValidDate(dateStr) {
+        const match = dateStr.match(/^(\d{2})-(\d{2})-(\d{4})$/);
+        if (!match) return false;
+
+        const [, day, month, year] = match.map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Parse and validate JSON text; throws with every problem listed when malformed
+     */
+    static parse(text, expected = {}) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Result data is not valid JSON: ${error.message}`);
+        }
+
+        const { valid, errors } = ResultData.validate(data, expected);
+        if (!valid) {
+            throw new Error(`Invalid result data: ${errors.join('; ')}`);
+        }
+        return data;
+    }
+
+    /**
+     * Winning numbers listed in both draws' data (exact matches, any tier)
+     */
+    static sharedNumbers(first, second) {
+        const numbersOf = data => new Set(data.tiers.flatMap(tier => tier.numbers));
+        const other = numbersOf(second);
+        return new Set([...numbersOf(first)].filter(number => other.has(number)));
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ResultData = ResultData;
+}
+
+// Export for Node build tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultData;
+}
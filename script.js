@@ -4,25 +4,83 @@
  * Priority: Show ANY image instantly, then upgrade in background
  */
 
+// Draws happen in India: "today" and draw times are always IST (Asia/Kolkata,
+// UTC+5:30, no daylight saving), whatever timezone the viewer is in
+const IST_OFFSET_MINUTES = 330;
+
+// Display width of result images, for picking a rendition from srcset:
+// the full width of phones and watches, at most 650px in the page layout
+const RESULT_IMAGE_SIZES = '(max-width: 768px) 100vw, 650px';
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Node (tests, tools) - browsers load brands.js and draw-schedule.js before this file
+if (typeof DrawSchedule === 'undefined' && typeof require === 'function') {
+    global.DrawSchedule = require('./draw-schedule.js');
+    global.LotteryBrands = require('./brands.js');
+}
+
 class ImageWebController {
-    constructor() {
+    /**
+     * @param {Object} options - attach: false skips the results page (elements, loading,
+     *                           countdown) and only sets up image discovery, for archive.html
+     */
+    constructor({ attach = true } = {}) {
         this.currentImage = null;
         this.availableImages = [];
         this.imageFormats = ['webp', 'jpeg', 'jpg', 'png']; // Optimized order
-        this.currentDate = new Date();
-        this.displayedMonth = new Date();
+        this.currentDate = this.getISTToday();
+        this.displayedMonth = this.getISTToday();
         this.isCalendarOpen = false;
         this.imageCache = new Map(); // Cache for fast lookups
+        this.manifestPromise = null;
+        this.resultsCacheName = 'lottery-results-v1'; // Must match RESULTS_CACHE in sw.js
+        this.resultDataCache = new Map(); // Winning-number JSON per draw (null = none)
+        this.archiveIndex = null; // 'DD-MM-YYYY' -> Set of slots with a result, for the calendar
+        this.archiveComplete = false; // Index covers every result, so empty days can be disabled
+        this.brandStorageKey = 'lottery-brand';
+        this.nextDraw = null;
+        this.awaitedDraw = null; // Draw that has happened but whose result is not out yet
+        this.unconfirmedDraw = null; // Latest draw at page load, awaited unless the image list has its result
+        this.resultAwaitedWindow = 4 * 60 * 60 * 1000; // Stop waiting 4 hours after draw time
+        this.awaitedPollInterval = 30 * 1000;
+        this.followLatest = true; // Switch to new results automatically
+        this.notifyStorageKey = 'lottery-notify'; // { brandId: ['1pm', ...] } slots to notify about
+        this.notifiedDraws = new Set(); // Notification tags already shown this session
+        this.resultStream = null; // EventSource on api/push/events (server.js)
         this.loadStartTime = performance.now();
         
+        // Brand from the link, else the one viewed last (sets schedule and image folder)
+        this.applyBrand(this.readBrandFromURL() || this.readSavedBrand() || LotteryBrands.getDefault());
+        
+        if (!attach) {
+            return;
+        }
+        
         console.log('🚀 OPTIMIZED: Starting instant image loader...');
         
         this.initializeElements();
         this.bindEvents();
         this.initializeCustomDatePicker();
+        this.registerServiceWorker();
+        
+        // Deep link (?date=DD-MM-YYYY&time=1pm) opens exactly that draw
+        const linkedDraw = this.readDrawFromURL();
+        if (linkedDraw) {
+            this.openDraw(linkedDraw.date, linkedDraw.time, { updateHistory: false });
+        } else {
+            // INSTANT LOADING: Show first available image immediately
+            this.showFirstAvailableImageInstantly();
+        }
         
-        // INSTANT LOADING: Show first available image immediately
-        this.showFirstAvailableImageInstantly();
+        // Next-draw countdown and "result awaited" watch
+        this.startDrawCountdown();
+        
+        // Live "result is out" messages for the slots the visitor opted in to
+        this.connectResultStream();
         
         // Background optimization after image is shown
         setTimeout(() => this.optimizeInBackground(), 100);
@@ -31,12 +89,77 @@ class ImageWebController {
     initializeElements() {
         this.datePicker = document.getElementById('date-picker');
         this.resultContainer = document.getElementById('result-container');
+        this.imageViewer = this.resultContainer && typeof ImageViewer !== 'undefined'
+            ? new ImageViewer(this.resultContainer, { label: 'Lottery result image' })
+            : null;
+        this.resultNumbers = document.getElementById('result-numbers');
+        this.ticketChecker = document.getElementById('ticket-checker');
+        this.ticketInput = document.getElementById('ticket-number');
+        this.ticketCheckResult = document.getElementById('ticket-check-result');
+        this.bulkInput = document.getElementById('bulk-tickets');
+        this.bulkFile = document.getElementById('bulk-file');
+        this.bulkCheckBtn = document.getElementById('bulk-check-btn');
+        this.bulkExportBtn = document.getElementById('bulk-export-btn');
+        this.bulkStatus = document.getElementById('bulk-status');
+        this.bulkResults = document.getElementById('bulk-results');
+        this.bulkWinners = [];
+        this.bulkSort = { key: 'amount', direction: 'desc' };
+        this.maxBulkTickets = 2000;
         this.downloadLink = document.getElementById('download-link');
+        this.downloadPdfBtn = document.getElementById('download-pdf');
+        this.watermark = typeof ResultWatermark !== 'undefined' ? new ResultWatermark() : null;
+        this.watermarkLogo = null; // Promise of the decoded logo, loaded on first use
+        this.shareBtn = document.getElementById('share-result');
+        this.shareMenu = document.getElementById('share-menu');
+        this.shareCopy = document.getElementById('share-copy');
+        this.shareWhatsApp = document.getElementById('share-whatsapp');
+        this.shareTelegram = document.getElementById('share-telegram');
+        this.shareFeedback = document.getElementById('share-feedback');
+        this.shareFile = null; // { key, promise } of the image prepared for the share sheet
+        this.shareURL = '';
+        this.defaultTitle = document.title;
+        this.brandSwitcher = document.getElementById('brand-switcher');
+        this.pageHeading = document.getElementById('page-heading');
+        this.timeButtonGroup = document.getElementById('time-buttons');
+        this.drawCountdown = document.getElementById('next-draw');
+        this.drawTimings = document.getElementById('draw-timings');
+        this.comparePanel = document.getElementById('compare-panel');
+        this.compareForm = document.getElementById('compare-form');
+        this.compareStatus = document.getElementById('compare-status');
+        this.compareResults = document.getElementById('compare-results');
+        this.comparePanes = this.comparePanel ? ['a', 'b'].map(side => ({
+            date: document.getElementById(`compare-${side}-date`),
+            slot: document.getElementById(`compare-${side}-slot`),
+            title: document.getElementById(`compare-${side}-title`),
+            image: document.getElementById(`compare-${side}-image`),
+            numbers: document.getElementById(`compare-${side}-numbers`)
+        })) : [];
+        this.compareViewers = null;
+        this.rangePanel = document.getElementById('range-panel');
+        this.rangeForm = document.getElementById('range-form');
+        this.rangeFrom = document.getElementById('range-from');
+        this.rangeTo = document.getElementById('range-to');
+        this.rangeSlots = document.getElementById('range-slots');
+        this.rangeSubmit = document.getElementById('range-submit');
+        this.rangeCancel = document.getElementById('range-cancel');
+        this.rangeProgress = document.getElementById('range-progress');
+        this.rangeStatus = document.getElementById('range-status');
+        this.rangeMissing = document.getElementById('range-missing');
+        this.rangeMaxDays = 93; // Every file is held in memory until the download is saved
+        this.notifySlots = document.getElementById('notify-slots');
+        this.notifyStatus = document.getElementById('notify-status');
         this.timeButtons = document.querySelectorAll('[data-time]');
+        this.renderBrandSwitcher();
+        this.updateBrandText();
+        this.renderTimeButtons();
+        this.renderDrawTimings();
+        this.renderNotifySlots();
+        this.renderCompareSlots();
+        this.renderRangeSlots();
         
         // Set today's date as default
         if (this.datePicker) {
-            this.datePicker.value = this.formatDateForInput(new Date());
+            this.datePicker.value = this.formatDateForInput(this.getISTToday());
         }
     }
 
@@ -47,8 +170,15 @@ class ImageWebController {
         this.datePickerCalendar = document.getElementById('date-picker-calendar');
         this.calendarMonthYear = document.getElementById('calendar-month-year');
         this.calendarDays = document.getElementById('calendar-days');
+        this.calendarGrid = document.getElementById('calendar-grid');
+        this.calendarJump = document.getElementById('calendar-jump');
+        this.calendarJumpYear = document.getElementById('calendar-jump-year');
+        this.calendarMonths = document.getElementById('calendar-months');
         this.prevMonthBtn = document.getElementById('prev-month');
         this.nextMonthBtn = document.getElementById('next-month');
+        this.prevYearBtn = document.getElementById('prev-year');
+        this.nextYearBtn = document.getElementById('next-year');
+        this.focusedDate = null; // Day cell that holds keyboard focus in the grid
         
         // Set up event listeners for custom date picker
         if (this.dateDisplay) {
@@ -56,6 +186,53 @@ class ImageWebController {
                 e.stopPropagation();
                 this.toggleCalendar();
             });
+            
+            // It is a div with role="button", so keys need handling by hand
+            this.dateDisplay.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ' || (e.key === 'ArrowDown' && !this.isCalendarOpen)) {
+                    e.preventDefault();
+                    this.toggleCalendar();
+                }
+            });
+        }
+        
+        if (this.datePickerCalendar) {
+            // Clicks re-render parts of the calendar, so the outside-click check
+            // below could no longer find the (detached) target inside it
+            this.datePickerCalendar.addEventListener('click', (e) => e.stopPropagation());
+            
+            // Tabbing out of the calendar closes it
+            this.datePickerCalendar.addEventListener('focusout', (e) => {
+                const next = e.relatedTarget;
+                if (next && !this.datePickerCalendar.contains(next) && next !== this.dateDisplay) {
+                    this.hideCalendar({ restoreFocus: false });
+                }
+            });
+        }
+        
+        if (this.calendarDays) {
+            this.calendarDays.addEventListener('keydown', (e) => this.handleCalendarKeydown(e));
+        }
+        
+        if (this.calendarMonthYear) {
+            this.calendarMonthYear.addEventListener('click', () => this.toggleMonthJump());
+        }
+        
+        if (this.prevYearBtn) {
+            this.prevYearBtn.addEventListener('click', () => this.changeJumpYear(-1));
+        }
+        
+        if (this.nextYearBtn) {
+            this.nextYearBtn.addEventListener('click', () => this.changeJumpYear(1));
+        }
+        
+        if (this.calendarMonths) {
+            this.calendarMonths.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-month]');
+                if (button && !button.disabled) {
+                    this.jumpToMonth(Number(button.getAttribute('data-month')));
+                }
+            });
         }
         
         if (this.prevMonthBtn) {
@@ -81,7 +258,7 @@ class ImageWebController {
         
         // Initialize with today's date if elements exist
         if (this.dateDisplay && this.dateText) {
-            this.currentDate = new Date();
+            this.currentDate = this.getISTToday();
             this.displayedMonth = new Date(this.currentDate);
             this.updateDateDisplay();
             this.renderCalendar();
@@ -95,16 +272,106 @@ class ImageWebController {
             this.datePicker.addEventListener('change', () => this.handleDateChange());
         }
         
-        // Time button clicks
-        this.timeButtons.forEach(button => {
-            button.addEventListener('click', () => this.handleTimeButtonClick(button));
-        });
+        // Brand switcher
+        if (this.brandSwitcher) {
+            this.brandSwitcher.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-brand]');
+                if (button) {
+                    this.switchBrand(button.getAttribute('data-brand'));
+                }
+            });
+        }
+        
+        // Time button clicks (buttons are re-rendered when the schedule changes)
+        if (this.timeButtonGroup) {
+            this.timeButtonGroup.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-time]');
+                if (button && !button.disabled) {
+                    this.handleTimeButtonClick(button);
+                }
+            });
+        }
+
+        // Compare two draws
+        if (this.comparePanel) {
+            this.comparePanel.addEventListener('toggle', () => {
+                if (this.comparePanel.open) {
+                    this.prefillCompare();
+                }
+            });
+        }
+        
+        if (this.compareForm) {
+            this.compareForm.addEventListener('submit', (e) => this.handleCompare(e));
+        }
+        
+        // Date range download
+        if (this.rangePanel) {
+            this.rangePanel.addEventListener('toggle', () => {
+                if (this.rangePanel.open) {
+                    this.prefillRange();
+                }
+            });
+        }
+        
+        if (this.rangeForm) {
+            this.rangeForm.addEventListener('submit', (e) => this.handleRangeDownload(e));
+            this.rangeCancel.addEventListener('click', () => this.cancelRangeDownload());
+        }
+        
+        // Result notification opt-in
+        if (this.notifySlots) {
+            this.notifySlots.addEventListener('change', (e) => {
+                if (e.target.matches('input[data-notify-slot]')) {
+                    this.handleNotifyToggle(e.target);
+                }
+            });
+        }
+
+        // Ticket checker
+        if (this.ticketChecker) {
+            this.ticketChecker.addEventListener('submit', (e) => this.handleTicketCheck(e));
+        }
+
+        // Bulk ticket checker
+        if (this.bulkCheckBtn) {
+            this.bulkCheckBtn.addEventListener('click', () => this.handleBulkCheck());
+        }
+        
+        if (this.bulkFile) {
+            this.bulkFile.addEventListener('change', () => this.handleBulkFileUpload());
+        }
+        
+        if (this.bulkExportBtn) {
+            this.bulkExportBtn.addEventListener('click', () => this.exportBulkWinners());
+        }
 
         // Download button click
         if (this.downloadLink) {
             this.downloadLink.addEventListener('click', (e) => this.handleDownload(e));
         }
         
+        if (this.downloadPdfBtn) {
+            this.downloadPdfBtn.addEventListener('click', () => this.handlePdfDownload());
+        }
+        
+        // Share: native share sheet, or the copy link / messaging app menu
+        if (this.shareBtn) {
+            this.shareBtn.addEventListener('click', () => this.handleShare());
+            this.shareCopy.addEventListener('click', () => this.copyShareLink());
+            
+            document.addEventListener('click', (e) => {
+                if (!this.shareMenu.hidden && !this.shareMenu.contains(e.target) && !this.shareBtn.contains(e.target)) {
+                    this.hideShareMenu();
+                }
+            });
+            this.shareMenu.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.hideShareMenu({ restoreFocus: true });
+                }
+            });
+        }
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // F5 or Ctrl+R to refresh images
@@ -119,14 +386,64 @@ class ImageWebController {
                 this.hardRefreshImages();
             }
             
-            // ESC to close calendar
+            // ESC leaves the month/year jump first, then closes the calendar
             if (e.key === 'Escape' && this.isCalendarOpen) {
-                this.hideCalendar();
+                if (this.calendarJump && !this.calendarJump.hidden) {
+                    this.hideMonthJump({ focusGrid: true });
+                } else {
+                    this.hideCalendar();
+                }
             }
         });
         
         // Auto-refresh every 2 minutes to catch new images
         this.setupAutoRefresh();
+        
+        // Back/forward between previously viewed draws
+        window.addEventListener('popstate', () => {
+            const draw = this.readDrawFromURL();
+            const brand = this.readBrandFromURL() || LotteryBrands.getDefault();
+            if (brand.id !== this.brand.id) {
+                this.switchBrand(brand.id, { updateHistory: false, showLatest: !draw });
+                if (!draw) return;
+            }
+            if (draw) {
+                console.log(`🔗 History: opening ${this.formatDateForDisplay(draw.date)} ${draw.time || 'any time'}`);
+                this.openDraw(draw.date, draw.time, { updateHistory: false });
+            } else {
+                this.showFirstAvailableImageInstantly();
+            }
+        });
+        
+        // Offline/online transitions
+        window.addEventListener('offline', () => {
+            console.log('📴 Connection lost - cached results only');
+            if (this.currentImage) {
+                this.showOfflineNotice(this.currentImage);
+            }
+        });
+        
+        window.addEventListener('online', () => {
+            console.log('📶 Back online - reloading latest results');
+            this.hideOfflineNotice();
+            if (!this.currentImage || this.currentImage.fromCache) {
+                this.showFirstAvailableImageInstantly();
+            }
+        });
+    }
+    
+    /**
+     * Register the service worker for offline support (sw.js)
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            console.log('⚠️ Service workers not supported - offline mode disabled');
+            return;
+        }
+        
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log(`📦 Service worker registered (scope: ${registration.scope})`))
+            .catch(error => console.log('⚠️ Service worker registration failed:', error.message));
     }
 
     /**
@@ -184,7 +501,34 @@ class ImageWebController {
      * Format date for HTML date input (YYYY-MM-DD)
      */
     formatDateForInput(date) {
-        return date.toISOString().split('T')[0];
+        const day = String(date.getDate()).padStart(2, '0');
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Today's draw date in IST, as a local Date at midnight
+     * Draw dates are kept as local calendar dates (year/month/day getters),
+     * so only "now" needs converting to get the right day anywhere.
+     */
+    getISTToday(now = new Date()) {
+        const ist = new Date(now.getTime() + IST_OFFSET_MINUTES * 60000);
+        return new Date(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate());
+    }
+
+    /**
+     * Actual moment a draw happens: `hour24`:`minutes` IST on the draw date
+     */
+    getDrawInstant(date, hour24, minutes = 0) {
+        const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), hour24, minutes, 0);
+        return new Date(utc - IST_OFFSET_MINUTES * 60000);
+    }
+
+    /**
+     * Check a draw date is today in IST
+     */
+    isISTToday(date, now = new Date()) {
+        return this.formatDateForFilename(date) === this.formatDateForFilename(this.getISTToday(now));
     }
 
     /**
@@ -206,8 +550,18 @@ class ImageWebController {
         
         // Don't show loading message - just get the image!
         
+        // Offline: go straight to the results saved on this device
+        if (this.isOffline()) {
+            await this.showNewestCachedResult();
+            return;
+        }
+        
         // Super fast check: try the most likely images first (today + recent days)
+        const brandId = this.brand.id;
         const found = await this.findFirstAvailableImageSuperFast();
+        if (brandId !== this.brand.id) {
+            return; // Brand switched while searching
+        }
         
         if (found) {
             const loadTime = performance.now() - startTime;
@@ -230,7 +584,118 @@ class ImageWebController {
         } else {
             const loadTime = performance.now() - startTime;
             console.log(`⚠️ OPTIMIZED: No images found in ${loadTime.toFixed(2)}ms`);
-            this.showImagePlaceholderWithMessage('No lottery results found');
+            
+            // Network may be failing even though the browser reports online
+            await this.showNewestCachedResult();
+        }
+    }
+    
+    /**
+     * Check whether the browser reports no network connection
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+    
+    /**
+     * List result images saved by the service worker, newest first
+     */
+    async getCachedResultImages() {
+        if (typeof caches === 'undefined') {
+            return [];
+        }
+        
+        try {
+            const cache = await caches.open(this.resultsCacheName);
+            const requests = await cache.keys();
+            const brandFolder = new URL(this.brand.imagePath || './', window.location.href).href;
+            const images = [];
+            
+            for (const request of requests) {
+                // Only this brand's folder (other brands keep their images in subfolders)
+                const rest = request.url.startsWith(brandFolder) ? request.url.slice(brandFolder.length) : '/';
+                if (rest.includes('/')) continue;
+                
+                const filename = decodeURIComponent(rest);
+                const parsed = this.parseImageName(filename);
+                if (parsed && !this.hasImageForDraw(images, parsed)) {
+                    images.push({ ...parsed, fromCache: true });
+                }
+            }
+            
+            return images.sort((a, b) => {
+                const dateComparison = b.date - a.date;
+                if (dateComparison !== 0) return dateComparison;
+                return this.getTimePriority(b.displayTime) - this.getTimePriority(a.displayTime);
+            });
+        } catch (error) {
+            console.log('⚠️ Could not read cached results:', error.message);
+            return [];
+        }
+    }
+    
+    /**
+     * Show the newest result saved on this device (offline fallback)
+     */
+    async showNewestCachedResult() {
+        const cachedImages = await this.getCachedResultImages();
+        
+        if (cachedImages.length === 0) {
+            console.log('📴 OFFLINE: No cached results on this device');
+            this.showImagePlaceholderWithMessage(this.isOffline()
+                ? 'You are offline and no results are saved on this device yet'
+                : 'No lottery results found');
+            return;
+        }
+        
+        const newest = cachedImages[0];
+        console.log(`📴 OFFLINE: Showing cached result ${newest.originalFilename}`);
+        
+        this.availableImages = cachedImages;
+        this.currentImage = newest;
+        this.displayImageDirectly(newest);
+        
+        this.currentDate = new Date(newest.date);
+        this.datePicker.value = this.formatDateForInput(newest.date);
+        
+        if (this.dateText) {
+            this.updateDateDisplay();
+        }
+        
+        this.highlightTimeButton(newest.displayTime);
+    }
+    
+    /**
+     * Show the offline notice over a displayed result when it came from the cache
+     */
+    showOfflineNoticeIfNeeded(imageInfo) {
+        if (this.isOffline() || imageInfo.fromCache) {
+            this.showOfflineNotice(imageInfo);
+        } else {
+            this.hideOfflineNotice();
+        }
+    }
+    
+    /**
+     * Add "offline - showing cached result from X" to the result container
+     */
+    showOfflineNotice(imageInfo) {
+        this.hideOfflineNotice();
+        
+        const notice = document.createElement('div');
+        notice.className = 'offline-notice';
+        notice.setAttribute('role', 'status');
+        notice.textContent = `📴 Offline — showing cached result from ${this.formatDateForDisplay(imageInfo.date)} ${imageInfo.displayTime}`;
+        this.resultContainer.appendChild(notice);
+    }
+    
+    /**
+     * Remove the offline notice
+     */
+    hideOfflineNotice() {
+        const notice = this.resultContainer.querySelector('.offline-notice');
+        if (notice) {
+            notice.remove();
         }
     }
     
@@ -241,8 +706,16 @@ class ImageWebController {
         console.log('⚡ SUPER FAST: Ultra-optimized image search starting...');
         
         const startTime = performance.now();
-        const today = new Date();
-        const times = ['8pm', '6pm', '1pm']; // Priority order
+        
+        // Manifest first - no probing needed when it is up to date
+        const manifest = await this.loadResultsManifest();
+        if (manifest && !manifest.stale && manifest.images.length > 0) {
+            const elapsed = performance.now() - startTime;
+            console.log(`⚡ MANIFEST: Found image in ${elapsed.toFixed(2)}ms - ${manifest.images[0].originalFilename}`);
+            return manifest.images[0];
+        }
+        
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png']; // Check all common formats
         
         // EXPANDED SEARCH: Check last 60 days to find your August 2025 images
@@ -252,7 +725,7 @@ class ImageWebController {
             const dateStr = this.formatDateForFilename(checkDate);
             
             // For each day, try each time in priority order
-            for (const time of times) {
+            for (const time of this.getDrawSlots(checkDate)) {
                 for (const ext of extensions) {
                     const filename = `${dateStr} ${time}.${ext}`;
                     
@@ -292,83 +765,636 @@ class ImageWebController {
             }
         }
         
+        // Stale manifest still knows about older results
+        if (manifest && manifest.images.length > 0) {
+            console.log(`📋 MANIFEST: Probe found nothing, using stale manifest - ${manifest.images[0].originalFilename}`);
+            return manifest.images[0];
+        }
+        
         const elapsed = performance.now() - startTime;
         console.log(`⚡ SUPER FAST: No images found in ${elapsed.toFixed(2)}ms`);
         return null;
     }
     
     /**
-     * Ultra-fast image existence check (50ms timeout)
+     * Load the results manifest (results.json) once per refresh cycle
+     * Resolves to { images, generatedAt, stale } or null when unavailable
      */
-    async checkImageExistsSuperFast(filename) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            let resolved = false;
-            
-            // Ultra-short timeout for maximum speed
-            const timeout = setTimeout(() => {
-                if (!resolved) {
-                    resolved = true;
-                    resolve(false);
+    async loadResultsManifest() {
+        if (!this.manifestPromise) {
+            this.manifestPromise = this.fetchResultsManifest();
+        }
+        return this.manifestPromise;
+    }
+    
+    /**
+     * Fetch and convert results.json into image info objects
+     */
+    async fetchResultsManifest() {
+        try {
+            // Bust cache per minute so a freshly published manifest is picked up
+            const v = Math.floor(Date.now() / 60000);
+            const response = await fetch(`${this.manifestURL}?v=${v}`, {
+                method: 'GET',
+                cache: 'no-cache',
+                headers: {
+                    'Accept': 'application/json'
                 }
-            }, 800); // Increased timeout for CDN latency
+            });
             
-            img.onload = () => {
-                if (!resolved) {
-                    resolved = true;
-                    clearTimeout(timeout);
-                    resolve(true);
-                }
-            };
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
             
-            img.onerror = () => {
-                if (!resolved) {
-                    resolved = true;
-                    clearTimeout(timeout);
-                    resolve(false);
-                }
-            };
+            const data = await response.json();
+            if (!data || !Array.isArray(data.images)) {
+                throw new Error('Invalid manifest format');
+            }
             
-            img.src = this.buildImageURLForCheck(filename);
-        });
+            const images = this.manifestEntriesToImages(data.images);
+            const generatedAt = new Date(data.generatedAt);
+            const stale = this.isManifestStale(generatedAt);
+            
+            console.log(`📋 Manifest loaded: ${images.length} results, generated ${data.generatedAt}${stale ? ' (stale)' : ''}`);
+            return { images, generatedAt, stale };
+            
+        } catch (error) {
+            console.log('⚠️ Results manifest unavailable:', error.message);
+            return null;
+        }
     }
     
     /**
-     * Background optimization - run after image is displayed
+     * Convert manifest entries to parsed image info, one per draw (preferred format wins)
      */
-    async optimizeInBackground() {
-        console.log('🔧 BACKGROUND: Starting background optimization...');
+    manifestEntriesToImages(entries) {
+        const byDraw = new Map();
         
-        // Load available images from server/client in background
-        await this.loadAvailableImagesInBackground();
+        for (const entry of entries) {
+            const parsed = entry && typeof entry.filename === 'string' ? this.parseImageName(entry.filename) : null;
+            if (!parsed) continue;
+            
+            const image = {
+                ...parsed,
+                filename: entry.filename,
+                extension: entry.extension,
+                fileSize: entry.size,
+                lastModified: entry.mtime,
+                renditions: entry.renditions || null
+            };
+            
+            const key = `${this.formatDateForFilename(parsed.date)} ${parsed.displayTime}`;
+            const existing = byDraw.get(key);
+            if (!existing || this.getFormatRank(image) < this.getFormatRank(existing)) {
+                byDraw.set(key, image);
+            }
+        }
         
-        console.log('🔧 BACKGROUND: Optimization completed');
+        return Array.from(byDraw.values()).sort((a, b) => {
+            const dateComparison = b.date - a.date;
+            if (dateComparison !== 0) return dateComparison;
+            return this.getTimePriority(b.displayTime) - this.getTimePriority(a.displayTime);
+        });
     }
     
     /**
-     * Find the newest image file INSTANTLY - optimized for speed
+     * Rank an image by the preferred format order (lower is better)
      */
-    async findNewestImageInstantly() {
-        console.log('⚡ INSTANT: Quick scanning for newest image...');
-        
-        const today = new Date();
-        const priorityTimes = ['8pm', '6pm', '1pm'];
-        const extensions = ['webp', 'jpeg', 'jpg', 'png']; // Check all common formats
-        
-        // INSTANT MODE: Check only last 14 days with priority order
-        // Check 8pm first across all recent dates, then 6pm, then 1pm
-        for (const time of priorityTimes) {
-            console.log(`⚡ INSTANT: Quick checking ${time} draws...`);
-            
-            for (let daysBack = 0; daysBack < 7; daysBack++) {
-                const checkDate = new Date(today);
-                checkDate.setDate(today.getDate() - daysBack);
-                
-                const dateStr = this.formatDateForFilename(checkDate);
-                
-                for (const ext of extensions) {
-                    const filename = `${dateStr} ${time}.${ext}`;
-                    
+    getFormatRank(imageInfo) {
+        const extension = (imageInfo.extension || imageInfo.originalFilename.split('.').pop()).toLowerCase();
+        const rank = this.imageFormats.indexOf(extension);
+        return rank === -1 ? this.imageFormats.length : rank;
+    }
+    
+    /**
+     * A manifest is stale when it was built before the most recent draw time,
+     * so a newer result may have been published since
+     */
+    isManifestStale(generatedAt) {
+        if (!(generatedAt instanceof Date) || isNaN(generatedAt)) {
+            return true;
+        }
+        return generatedAt < this.getLatestPassedDrawTime(new Date());
+    }
+    
+    /**
+     * Most recent scheduled draw time (IST) at or before `now`
+     */
+    getLatestPassedDrawTime(now) {
+        const draw = this.getLatestPassedDraw(now);
+        return draw ? draw.time : now;
+    }
+    
+    /**
+     * Most recent scheduled draw at or before `now`
+     * Returns { date, slot, label, time } or null
+     */
+    getLatestPassedDraw(now = new Date()) {
+        const today = this.getISTToday(now);
+        
+        // A week back covers schedules with days off
+        for (let daysBack = 0; daysBack < 8; daysBack++) {
+            const drawDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysBack);
+            const slots = this.schedule.slotsFor(drawDate).slice().reverse();
+            for (const slot of slots) {
+                const drawTime = this.getDrawInstant(drawDate, 0, slot.minutes);
+                if (drawTime <= now) {
+                    return { date: drawDate, slot: slot.slot, label: slot.label, time: drawTime };
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Next scheduled draw after `now`
+     * Returns { date, slot, label, time } or null
+     */
+    getNextDraw(now = new Date()) {
+        const today = this.getISTToday(now);
+        
+        for (let daysAhead = 0; daysAhead < 8; daysAhead++) {
+            const drawDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + daysAhead);
+            for (const slot of this.schedule.slotsFor(drawDate)) {
+                const drawTime = this.getDrawInstant(drawDate, 0, slot.minutes);
+                if (drawTime > now) {
+                    return { date: drawDate, slot: slot.slot, label: slot.label, time: drawTime };
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Draw time for a date and slot, or null when that slot does not draw that day
+     */
+    getDrawTimeFor(date, timeValue) {
+        const slot = this.schedule.slotsFor(date).find(candidate => candidate.slot === timeValue);
+        return slot ? this.getDrawInstant(date, 0, slot.minutes) : null;
+    }
+    
+    /**
+     * Check a draw is the same date and slot as a scheduled draw object
+     */
+    isSameDraw(draw, date, timeValue) {
+        return Boolean(draw) && draw.slot === timeValue &&
+            this.formatDateForFilename(draw.date) === this.formatDateForFilename(date);
+    }
+    
+    /**
+     * Start the next-draw countdown and the "result awaited" watch
+     */
+    startDrawCountdown() {
+        const now = new Date();
+        this.nextDraw = this.getNextDraw(now);
+        this.awaitedDraw = null;
+        this.lastAwaitedCheck = now.getTime(); // The page load itself looks for the latest result
+        
+        // The latest draw may have happened before the page opened, still without a result;
+        // confirmAwaitedDraw decides once the image list has loaded
+        const latest = this.getLatestPassedDraw(now);
+        this.unconfirmedDraw = latest && now - latest.time < this.resultAwaitedWindow ? latest : null;
+        
+        if (!this.countdownTimer) {
+            this.countdownTimer = setInterval(() => this.tickDrawCountdown(), 1000);
+        }
+        this.tickDrawCountdown();
+    }
+    
+    /**
+     * Wait for the latest draw noted by startDrawCountdown only when
+     * the loaded image list does not already hold its result
+     */
+    confirmAwaitedDraw() {
+        const draw = this.unconfirmedDraw;
+        this.unconfirmedDraw = null;
+        if (!draw || this.awaitedDraw || new Date() - draw.time > this.resultAwaitedWindow) return;
+        if (this.hasImageForDraw(this.availableImages, { date: draw.date, displayTime: draw.slot })) return;
+        
+        this.awaitedDraw = draw;
+        this.renderDrawCountdown(new Date());
+    }
+    
+    /**
+     * Runs every second: move on when a draw starts, poll for awaited results
+     */
+    tickDrawCountdown() {
+        const now = new Date();
+        
+        if (this.nextDraw && now >= this.nextDraw.time) {
+            console.log(`⏰ Draw time: ${this.nextDraw.label} - waiting for the result`);
+            this.awaitedDraw = this.nextDraw;
+            this.lastAwaitedCheck = 0;
+            this.nextDraw = this.getNextDraw(now);
+            
+            // Someone watching the countdown placeholder now waits for the result
+            if (this.pendingPlaceholder && this.isSameDraw(this.awaitedDraw, this.pendingPlaceholder.date, this.pendingPlaceholder.timeValue)) {
+                this.showNoImageForDateTime(this.pendingPlaceholder.date, this.pendingPlaceholder.timeValue);
+            }
+        }
+        
+        if (this.awaitedDraw) {
+            if (now - this.awaitedDraw.time > this.resultAwaitedWindow) {
+                console.log(`⌛ Stopped waiting for ${this.awaitedDraw.label} result`);
+                this.awaitedDraw = null;
+            } else if (now - this.lastAwaitedCheck >= this.awaitedPollInterval) {
+                this.lastAwaitedCheck = now.getTime();
+                this.checkAwaitedResult();
+            }
+        }
+        
+        this.renderDrawCountdown(now);
+    }
+    
+    /**
+     * Look for the awaited result; show it when the visitor is following the latest draw
+     */
+    async checkAwaitedResult() {
+        const draw = this.awaitedDraw;
+        if (!draw || this.awaitedCheckInFlight || this.isOffline()) return;
+        
+        this.awaitedCheckInFlight = true;
+        const brandId = this.brand.id;
+        try {
+            // A manifest read before the draw does not know about the result yet
+            this.manifestPromise = null;
+            const found = await this.resolveImageForDateTime(new Date(draw.date), draw.slot);
+            if (!found || brandId !== this.brand.id || this.awaitedDraw !== draw) {
+                return;
+            }
+            
+            console.log(`🎉 Result published: ${found.originalFilename}`);
+            this.awaitedDraw = null;
+            this.notifyResult(this.resultNotificationFor(draw.date, draw.slot));
+            if (!this.hasImageForDraw(this.availableImages, found)) {
+                this.availableImages.unshift(found);
+            }
+            this.addToArchiveIndex(found);
+            
+            const watching = this.pendingPlaceholder && this.isSameDraw(draw, this.pendingPlaceholder.date, this.pendingPlaceholder.timeValue);
+            if (this.followLatest || watching) {
+                this.displayImage(found);
+                this.currentDate = new Date(found.date);
+                if (this.dateText) {
+                    this.updateDateDisplay();
+                }
+                this.highlightTimeButton(found.displayTime);
+            }
+            if (this.calendarDays) {
+                this.renderCalendar();
+            }
+            this.renderDrawCountdown(new Date());
+        } finally {
+            this.awaitedCheckInFlight = false;
+        }
+    }
+    
+    /**
+     * Update the next-draw line under the time buttons
+     */
+    renderDrawCountdown(now) {
+        if (!this.drawCountdown) return;
+        
+        let text = '';
+        if (this.awaitedDraw) {
+            text = `🕒 ${this.awaitedDraw.label} (${this.formatDateForDisplay(this.awaitedDraw.date)}): result awaited`;
+        }
+        if (this.nextDraw) {
+            const next = `⏳ Next: ${this.nextDraw.label} in ${this.formatCountdown(this.nextDraw.time - now)}`;
+            text = text ? `${text} · ${next}` : next;
+        }
+        
+        this.drawCountdown.textContent = text;
+        this.drawCountdown.hidden = !text;
+    }
+    
+    /**
+     * 3725000 ms -> "1:02:05"; under an hour -> "12:05"
+     */
+    formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        
+        if (hours > 0) {
+            return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+        }
+        return `${minutes}:${seconds}`;
+    }
+    
+    /**
+     * Whether a found result should replace what is on screen: only when the
+     * visitor is looking at today without picking an earlier draw
+     */
+    updateFollowLatest(date, timeValue) {
+        this.followLatest = this.isISTToday(date) && (
+            !timeValue ||
+            this.isSameDraw(this.awaitedDraw, date, timeValue) ||
+            this.isSameDraw(this.nextDraw, date, timeValue)
+        );
+    }
+    
+    /**
+     * Notification opt-ins for every brand, { brandId: [slots] }
+     */
+    readNotifyPrefs() {
+        try {
+            const prefs = JSON.parse(localStorage.getItem(this.notifyStorageKey) || '{}');
+            return prefs && typeof prefs === 'object' ? prefs : {};
+        } catch (error) {
+            return {}; // Storage blocked or corrupt
+        }
+    }
+    
+    saveNotifyPrefs(prefs) {
+        try {
+            localStorage.setItem(this.notifyStorageKey, JSON.stringify(prefs));
+        } catch (error) {
+            // Storage blocked - nothing to remember the opt-ins in
+        }
+    }
+    
+    /**
+     * Check the visitor wants a notification for a brand's slot
+     */
+    isNotifyEnabled(brandId, slot) {
+        const prefs = this.readNotifyPrefs();
+        return Array.isArray(prefs[brandId]) && prefs[brandId].includes(slot);
+    }
+    
+    /**
+     * Build a checkbox per slot of the current brand
+     */
+    renderNotifySlots() {
+        if (!this.notifySlots) return;
+        
+        this.notifySlots.innerHTML = '';
+        if (!('Notification' in window)) {
+            this.showNotifyStatus('This browser does not support notifications.');
+            return;
+        }
+        
+        for (const slot of this.schedule.allSlots()) {
+            const label = document.createElement('label');
+            label.className = 'notify-slot';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.setAttribute('data-notify-slot', slot.slot);
+            checkbox.checked = this.isNotifyEnabled(this.brand.id, slot.slot) && Notification.permission === 'granted';
+            
+            label.append(checkbox, ` ${slot.label}`);
+            this.notifySlots.appendChild(label);
+        }
+        
+        if (Notification.permission === 'denied') {
+            this.showNotifyStatus('Notifications are blocked for this site. Allow them in your browser settings to turn them on.');
+        } else {
+            this.showNotifyStatus('');
+        }
+    }
+    
+    /**
+     * Opt in or out of one slot; asks for permission the first time
+     */
+    async handleNotifyToggle(checkbox) {
+        const slot = checkbox.getAttribute('data-notify-slot');
+        
+        if (checkbox.checked && Notification.permission !== 'granted') {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                checkbox.checked = false;
+                this.showNotifyStatus('Notifications were not allowed, so none will be shown.');
+                return;
+            }
+        }
+        
+        const prefs = this.readNotifyPrefs();
+        const slots = new Set(prefs[this.brand.id] || []);
+        if (checkbox.checked) {
+            slots.add(slot);
+        } else {
+            slots.delete(slot);
+        }
+        if (slots.size > 0) {
+            prefs[this.brand.id] = Array.from(slots);
+        } else {
+            delete prefs[this.brand.id];
+        }
+        this.saveNotifyPrefs(prefs);
+        
+        console.log(`🔔 Notifications for ${this.brand.name} ${slot}: ${checkbox.checked ? 'on' : 'off'}`);
+        this.showNotifyStatus(checkbox.checked ? `You'll be notified when the ${this.brand.name} ${slot} result is out.` : '');
+        this.connectResultStream();
+    }
+    
+    showNotifyStatus(message) {
+        if (this.notifyStatus) {
+            this.notifyStatus.textContent = message;
+        }
+    }
+    
+    /**
+     * Listen to the local push server (server.js) while any slot is opted in
+     * Static hosting has no stream; the "result awaited" polling still notifies
+     * about the brand on screen.
+     */
+    connectResultStream() {
+        const wanted = Object.values(this.readNotifyPrefs()).some(slots => Array.isArray(slots) && slots.length > 0);
+        
+        if (!wanted || typeof EventSource === 'undefined') {
+            if (this.resultStream) {
+                this.resultStream.close();
+                this.resultStream = null;
+            }
+            return;
+        }
+        if (this.resultStream) return;
+        
+        this.resultStream = new EventSource('api/push/events');
+        this.resultStream.addEventListener('result', (e) => {
+            try {
+                this.handlePushedResult(JSON.parse(e.data));
+            } catch (error) {
+                console.log('⚠️ Ignoring bad push message:', error.message);
+            }
+        });
+        this.resultStream.onerror = () => {
+            // EventSource reconnects by itself unless the server refused the stream
+            if (this.resultStream && this.resultStream.readyState === EventSource.CLOSED) {
+                console.log('📡 No push server - result notifications use polling only');
+                this.resultStream = null;
+            }
+        };
+    }
+    
+    /**
+     * A result pushed by the server: notify, and pick it up at once when it is
+     * the draw this page is waiting for
+     */
+    handlePushedResult(payload) {
+        console.log(`📨 Push: ${payload.title}`);
+        this.notifyResult(payload);
+        
+        if (payload.brand === this.brand.id && this.isSameDraw(this.awaitedDraw, this.parseDrawDate(payload.date), payload.slot)) {
+            this.lastAwaitedCheck = Date.now();
+            this.checkAwaitedResult();
+        }
+    }
+    
+    /**
+     * Notification payload for a draw of the current brand
+     */
+    resultNotificationFor(date, slot) {
+        const scheduleSlot = this.schedule.getSlot(slot);
+        return LotteryBrands.resultNotification(this.brand, this.formatDateForFilename(date), slot, scheduleSlot ? scheduleSlot.label : null);
+    }
+    
+    /**
+     * Show a "result is out" notification (LotteryBrands.resultNotification
+     * payload) when the visitor opted in and the tab is in the background
+     * (each draw once, whichever of the ways a new result is found comes first;
+     * a draw found while the page is visible is not counted as notified)
+     */
+    notifyResult(payload) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        if (!this.isNotifyEnabled(payload.brand, payload.slot) || this.notifiedDraws.has(payload.tag)) return;
+        
+        // The visible page already switches to the new result by itself
+        if (!document.hidden) return;
+        this.notifiedDraws.add(payload.tag);
+        
+        const options = {
+            body: payload.body,
+            icon: 'logo.png',
+            badge: 'logo.png',
+            tag: payload.tag,
+            data: { url: payload.url }
+        };
+        
+        // The service worker's notificationclick (sw.js) opens the draw
+        const viaWorker = 'serviceWorker' in navigator
+            ? navigator.serviceWorker.getRegistration().then(registration => {
+                if (!registration) return false;
+                return registration.showNotification(payload.title, options).then(() => true);
+            })
+            : Promise.resolve(false);
+        
+        viaWorker
+            .catch(() => false)
+            .then(shown => {
+                if (shown) return;
+                const notification = new Notification(payload.title, options);
+                notification.onclick = () => {
+                    window.focus();
+                    notification.close();
+                    this.openPushedDraw(payload);
+                };
+            });
+    }
+    
+    /**
+     * Open the draw a notification is about, switching brand when needed
+     */
+    openPushedDraw(payload) {
+        if (payload.brand !== this.brand.id) {
+            this.switchBrand(payload.brand, { showLatest: false });
+        }
+        this.openDraw(this.parseDrawDate(payload.date), payload.slot);
+    }
+    
+    /**
+     * Find a manifest image for a DD-MM-YYYY date and time slot
+     */
+    findManifestImage(manifest, dateStr, timeValue) {
+        return manifest.images.find(img =>
+            this.formatDateForFilename(img.date) === dateStr && img.displayTime === timeValue
+        ) || null;
+    }
+    
+    /**
+     * Check whether a list already holds an image for the same draw
+     */
+    hasImageForDraw(images, imageInfo) {
+        return images.some(img =>
+            img.date.toDateString() === imageInfo.date.toDateString() && img.displayTime === imageInfo.displayTime
+        );
+    }
+    
+    /**
+     * Ultra-fast image existence check (50ms timeout)
+     */
+    async checkImageExistsSuperFast(filename) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            let resolved = false;
+            
+            // Ultra-short timeout for maximum speed
+            const timeout = setTimeout(() => {
+                if (!resolved) {
+                    resolved = true;
+                    resolve(false);
+                }
+            }, 800); // Increased timeout for CDN latency
+            
+            img.onload = () => {
+                if (!resolved) {
+                    resolved = true;
+                    clearTimeout(timeout);
+                    resolve(true);
+                }
+            };
+            
+            img.onerror = () => {
+                if (!resolved) {
+                    resolved = true;
+                    clearTimeout(timeout);
+                    resolve(false);
+                }
+            };
+            
+            img.src = this.buildImageURLForCheck(filename);
+        });
+    }
+    
+    /**
+     * Background optimization - run after image is displayed
+     */
+    async optimizeInBackground() {
+        console.log('🔧 BACKGROUND: Starting background optimization...');
+        
+        // Load available images from server/client in background
+        await this.loadAvailableImagesInBackground();
+        
+        console.log('🔧 BACKGROUND: Optimization completed');
+    }
+    
+    /**
+     * Find the newest image file INSTANTLY - optimized for speed
+     */
+    async findNewestImageInstantly() {
+        console.log('⚡ INSTANT: Quick scanning for newest image...');
+        
+        const today = this.getISTToday();
+        const priorityTimes = this.getAllDrawSlots();
+        const extensions = ['webp', 'jpeg', 'jpg', 'png']; // Check all common formats
+        
+        // INSTANT MODE: Check only last 14 days with priority order
+        // Check the latest slot first across all recent dates, then earlier ones
+        for (const time of priorityTimes) {
+            console.log(`⚡ INSTANT: Quick checking ${time} draws...`);
+            
+            for (let daysBack = 0; daysBack < 7; daysBack++) {
+                const checkDate = new Date(today);
+                checkDate.setDate(today.getDate() - daysBack);
+                if (!this.isDrawDay(time, checkDate)) continue;
+                
+                const dateStr = this.formatDateForFilename(checkDate);
+                
+                for (const ext of extensions) {
+                    const filename = `${dateStr} ${time}.${ext}`;
+                    
                     try {
                         // Super fast check with 200ms timeout
                         const exists = await this.checkImageExistsInstant(filename);
@@ -402,19 +1428,24 @@ class ImageWebController {
         // Give UI a moment to render
         await new Promise(resolve => setTimeout(resolve, 50));
         
-        const today = new Date();
-        const priorityTimes = ['8pm', '6pm', '1pm'];
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png'];
         const foundImages = [];
         
-        // Comprehensive scan of last 60 days
-        for (let daysBack = 0; daysBack < 14; daysBack++) {
+        const manifest = await this.loadResultsManifest();
+        if (manifest) {
+            foundImages.push(...manifest.images);
+        }
+        
+        // Comprehensive scan of last 60 days (skipped when the manifest is up to date)
+        const scanDays = manifest && !manifest.stale ? 0 : 14;
+        for (let daysBack = 0; daysBack < scanDays; daysBack++) {
             const checkDate = new Date(today);
             checkDate.setDate(today.getDate() - daysBack);
             
             const dateStr = this.formatDateForFilename(checkDate);
             
-            for (const time of priorityTimes) {
+            for (const time of this.getDrawSlots(checkDate)) {
                 for (const ext of extensions) {
                     const filename = `${dateStr} ${time}.${ext}`;
                     
@@ -422,7 +1453,7 @@ class ImageWebController {
                         const exists = await this.checkImageExistsFast(filename);
                         if (exists) {
                             const parsed = this.parseImageName(filename);
-                            if (parsed) {
+                            if (parsed && !this.hasImageForDraw(foundImages, parsed)) {
                                 foundImages.push(parsed);
                                 console.log(`📸 COMPREHENSIVE: Found ${filename}`);
                             }
@@ -483,9 +1514,8 @@ class ImageWebController {
     async emergencyImageScan() {
         console.log('🆘 EMERGENCY: Last attempt to find any images...');
         
-        const today = new Date();
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png'];
-        const times = ['8pm', '6pm', '1pm'];
         
         // Try last 180 days (6 months) as emergency measure
         for (let daysBack = 0; daysBack < 30; daysBack++) {
@@ -494,7 +1524,7 @@ class ImageWebController {
             
             const dateStr = this.formatDateForFilename(checkDate);
             
-            for (const time of times) {
+            for (const time of this.getDrawSlots(checkDate)) {
                 for (const ext of extensions) {
                     const filename = `${dateStr} ${time}.${ext}`;
                     
@@ -546,8 +1576,10 @@ class ImageWebController {
             const newerImage = await this.findImageNewerThanCurrent();
             
             if (newerImage) {
+                this.notifyResult(this.resultNotificationFor(newerImage.date, newerImage.displayTime));
+                
                 // Check if we should auto-upgrade based on time difference and user interaction
-                const daysDifference = (newerImage.date - this.currentImage.date) / (1000 * 60 * 60 * 24);
+                const daysDifference = this.currentImage ? (newerImage.date - this.currentImage.date) / (1000 * 60 * 60 * 24) : Infinity;
                 const shouldUpgrade = this.allowAutoUpgrade && 
                     (daysDifference >= 1 || // Much newer (1+ days)
                      !this.isInitialLoad); // User has interacted
@@ -592,8 +1624,7 @@ class ImageWebController {
     async findImageNewerThanCurrent() {
         console.log('🔍 NEWER: Checking for images newer than current...');
         
-        const today = new Date();
-        const priorityTimes = ['8pm', '6pm', '1pm'];
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png'];
         const foundImages = [];
         
@@ -604,7 +1635,7 @@ class ImageWebController {
             
             const dateStr = this.formatDateForFilename(checkDate);
             
-            for (const time of priorityTimes) {
+            for (const time of this.getDrawSlots(checkDate)) {
                 for (const ext of extensions) {
                     const filename = `${dateStr} ${time}.${ext}`;
                     
@@ -652,8 +1683,7 @@ class ImageWebController {
     async findAbsoluteNewestImage() {
         console.log('🔍 NEWEST: Scanning for absolute newest image across all dates...');
         
-        const today = new Date();
-        const priorityTimes = ['8pm', '6pm', '1pm'];
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png'];
         const foundImages = [];
         
@@ -665,7 +1695,7 @@ class ImageWebController {
             const dateStr = this.formatDateForFilename(checkDate);
             
             // For each date, check all times to find all available images
-            for (const time of priorityTimes) {
+            for (const time of this.getDrawSlots(checkDate)) {
                 for (const ext of extensions) {
                     const filename = `${dateStr} ${time}.${ext}`;
                     
@@ -698,7 +1728,7 @@ class ImageWebController {
                 return dateComparison;
             }
             
-            // If same date, sort by time priority (8pm > 6pm > 1pm)
+            // If same date, sort by time priority (later draw first)
             return this.getTimePriority(b.displayTime) - this.getTimePriority(a.displayTime);
         });
         
@@ -712,12 +1742,28 @@ class ImageWebController {
      * Get numeric priority for time slots (higher number = higher priority)
      */
     getTimePriority(timeSlot) {
-        const priorities = {
-            '8pm': 3,
-            '6pm': 2, 
-            '1pm': 1
-        };
-        return priorities[timeSlot] || 0;
+        return this.schedule.priority(timeSlot);
+    }
+    
+    /**
+     * Slots that draw on a date, in priority order (latest draw first)
+     */
+    getDrawSlots(date) {
+        return this.schedule.slotsFor(date).map(slot => slot.slot).reverse();
+    }
+    
+    /**
+     * Every slot in the schedule, in priority order (latest draw first)
+     */
+    getAllDrawSlots() {
+        return this.schedule.allSlots().map(slot => slot.slot).reverse();
+    }
+    
+    /**
+     * Check a slot draws on a date
+     */
+    isDrawDay(timeSlot, date) {
+        return this.schedule.runsOn(timeSlot, date);
     }
     
     /**
@@ -734,24 +1780,79 @@ class ImageWebController {
      * Build image URL for display with gentle cache-busting for today's images
      */
     buildImageURL(filename) {
+        const url = this.getBrandFileURL(filename);
         try {
-            const todayStr = this.formatDateForFilename(new Date());
-            if (filename.startsWith(`${todayStr} `)) {
+            const todayStr = this.formatDateForFilename(this.getISTToday());
+            if (filename.split('/').pop().startsWith(`${todayStr} `)) {
                 // Bust cache per minute for today's results to avoid CDN/browser staleness
                 const v = Math.floor(Date.now() / 60000);
-                return `${filename}?v=${v}`;
+                return `${url}?v=${v}`;
             }
-            return filename;
+            return url;
         } catch (e) {
-            return filename;
+            return url;
         }
     }
 
     /**
      * Build image URL for existence checks with aggressive cache-busting
+     * (sw.js does not keep ?check= loads in the offline results cache)
      */
     buildImageURLForCheck(filename) {
-        return `${filename}?v=${Date.now()}`;
+        return `${this.getBrandFileURL(filename)}?check=${Date.now()}`;
+    }
+    
+    /**
+     * Path of a result file (image, result data) in the current brand's folder
+     */
+    getBrandFileURL(filename) {
+        return `${this.brand.imagePath}${filename}`;
+    }
+
+    /**
+     * Point a result <img> at an image. When the manifest lists downsized renditions
+     * the browser picks one for the screen (srcset/sizes) and the full-resolution
+     * file waits in data-full-src until the viewer zooms in.
+     */
+    setResultImageSource(img, imageInfo) {
+        const fullURL = this.buildImageURL(imageInfo.originalFilename);
+        const renditions = Object.values(imageInfo.renditions || {})
+            .filter(rendition => rendition && rendition.file && rendition.width > 0)
+            .sort((a, b) => a.width - b.width);
+
+        if (renditions.length === 0) {
+            img.src = fullURL;
+            return;
+        }
+
+        // srcset entries are space-separated, so the spaces in result names are encoded
+        img.srcset = renditions.map(rendition => `${encodeURI(this.buildImageURL(rendition.file))} ${rendition.width}w`).join(', ');
+        img.sizes = RESULT_IMAGE_SIZES;
+        img.dataset.fullSrc = fullURL;
+        img.src = this.buildImageURL(renditions[renditions.length - 1].file);
+    }
+
+    /**
+     * Load the full-resolution file instead of a rendition that failed;
+     * returns false when the image was already the full file
+     */
+    useFullResultImage(img) {
+        const fullURL = img.dataset.fullSrc;
+        if (!fullURL) return false;
+
+        delete img.dataset.fullSrc;
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        img.src = fullURL;
+        return true;
+    }
+    
+    /**
+     * get-images API URL for the current brand
+     */
+    buildApiURL(params) {
+        const query = new URLSearchParams({ ...params, brand: this.brand.id });
+        return `api/get-images.php?${query}`;
     }
     
     /**
@@ -759,9 +1860,8 @@ class ImageWebController {
      */
     generateRecentImageNames() {
         const images = [];
-        const today = new Date();
+        const today = this.getISTToday();
         const extensions = ['jpeg', 'webp', 'jpg', 'png'];
-        const times = ['8pm', '6pm', '1pm']; // Correct priority order: 8pm > 6pm > 1pm
         
         // Check last 10 days for recent images
         for (let daysBack = 0; daysBack < 7; daysBack++) {
@@ -773,8 +1873,8 @@ class ImageWebController {
             const year = date.getFullYear();
             const dateStr = `${day}-${month}-${year}`;
             
-            // For each day, check times in priority order (8pm first, then 6pm, then 1pm)
-            for (const time of times) {
+            // For each day, check times in priority order (latest draw first)
+            for (const time of this.getDrawSlots(date)) {
                 for (const ext of extensions) {
                     images.push(`${dateStr} ${time}.${ext}`);
                 }
@@ -790,9 +1890,9 @@ class ImageWebController {
      */
     generateRecentImageNamesWithPriority() {
         const images = [];
-        const today = new Date();
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png']; // webp first as most common
-        const times = ['8pm', '6pm', '1pm']; // Priority order: 8pm > 6pm > 1pm
+        const times = this.getAllDrawSlots(); // Priority order: latest draw first
         
         // Check last 7 days for recent images with STRICT TIME PRIORITY
         // First, check ALL 8pm images for all dates
@@ -804,6 +1904,7 @@ class ImageWebController {
             for (let daysBack = 0; daysBack < 7; daysBack++) {
                 const date = new Date(today);
                 date.setDate(today.getDate() - daysBack);
+                if (!this.isDrawDay(time, date)) continue;
                 
                 const day = String(date.getDate()).padStart(2, '0');
                 const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -860,10 +1961,11 @@ class ImageWebController {
      */
     displayImageDirectly(imageInfo) {
         this.currentImage = imageInfo;
+        this.pendingPlaceholder = null;
         
         // Create and display image immediately
         const img = document.createElement('img');
-        img.src = this.buildImageURL(imageInfo.originalFilename);
+        this.setResultImageSource(img, imageInfo);
         img.alt = `Lottery Result - ${this.formatDateForDisplay(imageInfo.date)} ${imageInfo.displayTime}`;
         img.style.cssText = `
             width: 100%;
@@ -873,9 +1975,10 @@ class ImageWebController {
         `;
         
         // Show image immediately (don't wait for load)
-        this.resultContainer.innerHTML = '';
-        this.resultContainer.appendChild(img);
+        this.showResultImage(img);
         this.updateDownloadLink();
+        this.showOfflineNoticeIfNeeded(imageInfo);
+        this.renderResultNumbers(imageInfo);
         
         // Handle load/error events but don't block display
         img.onload = () => {
@@ -883,6 +1986,7 @@ class ImageWebController {
         };
         
         img.onerror = () => {
+            if (this.useFullResultImage(img)) return;
             console.log('⚠️ Default image failed to load, but continuing...');
             // Could fall back to placeholder here if needed
         };
@@ -943,6 +2047,7 @@ class ImageWebController {
         await new Promise(resolve => setTimeout(resolve, 100));
         
         const allImages = [];
+        const brandId = this.brand.id;
         
         // Try server-side API first (much faster)
         const serverImages = await this.loadImagesFromServer();
@@ -955,6 +2060,11 @@ class ImageWebController {
             await this.loadImagesClientSide(allImages);
         }
         
+        if (brandId !== this.brand.id) {
+            console.log('🏷️ Background: Brand switched, discarding results');
+            return;
+        }
+        
         // Sort by date (newest first)
         allImages.sort((a, b) => {
             if (a.date && b.date) {
@@ -966,6 +2076,13 @@ class ImageWebController {
         
         // Update available images list
         this.availableImages = allImages;
+        this.confirmAwaitedDraw();
+        
+        // Calendar markers cover the whole archive, not just the recent scan
+        const manifest = await this.loadResultsManifest();
+        if (brandId !== this.brand.id) return;
+        this.archiveIndex = this.buildArchiveIndex([...(manifest ? manifest.images : []), ...allImages]);
+        this.archiveComplete = Boolean(manifest) || Boolean(serverImages && serverImages.length > 0);
         
         // Only update during initial load if we found significantly more recent images
         if (allImages.length > 0 && this.isInitialLoad) {
@@ -1015,6 +2132,30 @@ class ImageWebController {
         this.isInitialLoad = false;
     }
     
+    /**
+     * Every listed result of the brand, newest first, one per draw (archive.html)
+     * From the results manifest, plus the server listing when the manifest is
+     * missing or stale; manifest entries win as they carry the renditions
+     */
+    async loadArchiveImages() {
+        const manifest = await this.loadResultsManifest();
+        const serverImages = !manifest || manifest.stale ? await this.loadImagesFromServer() : null;
+        
+        const byDraw = new Map();
+        for (const image of [...(manifest ? manifest.images : []), ...(serverImages || [])]) {
+            const key = `${this.formatDateForFilename(image.date)} ${image.displayTime}`;
+            if (!byDraw.has(key)) {
+                byDraw.set(key, image);
+            }
+        }
+        
+        return Array.from(byDraw.values()).sort((a, b) => {
+            const dateComparison = b.date - a.date;
+            if (dateComparison !== 0) return dateComparison;
+            return this.getTimePriority(b.displayTime) - this.getTimePriority(a.displayTime);
+        });
+    }
+    
     /**
      * Load images from server-side API
      * Much faster than client-side scanning
@@ -1022,7 +2163,7 @@ class ImageWebController {
     async loadImagesFromServer() {
         try {
             console.log('🌐 Attempting server-side image scan...');
-            const response = await fetch('api/get-images.php?action=list', {
+            const response = await fetch(this.buildApiURL({ action: 'list' }), {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json'
@@ -1074,14 +2215,17 @@ class ImageWebController {
         const targetArray = imageArray || this.availableImages;
         
         // First try to load known images directly
-        await this.loadKnownImages(targetArray);
+        const fromManifest = await this.loadKnownImages(targetArray);
+        if (fromManifest) {
+            console.log('📋 Client-side scan skipped: results manifest is up to date');
+            return;
+        }
         
         const potentialImages = [];
         
         // Generate potential filenames for a reasonable date range
-        const today = new Date();
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png', 'gif', 'bmp'];
-        const times = ['1pm', '6pm', '8pm', '1am', '6am', '8am', '12pm', '12am'];
         
         // Check dates from 6 months ago to 6 months in the future to catch all images
         for (let daysOffset = -14; daysOffset <= 0; daysOffset++) {
@@ -1093,11 +2237,10 @@ class ImageWebController {
             const year = date.getFullYear();
             const dateStr = `${day}-${month}-${year}`;
             
-            // Check main draw times and common extensions
-            const commonTimes = ['1pm', '6pm', '8pm'];
+            // Check scheduled draw times and common extensions
             const commonExtensions = ['webp', 'jpeg'];
             
-            for (const time of commonTimes) {
+            for (const time of this.getDrawSlots(date)) {
                 for (const ext of commonExtensions) {
                     potentialImages.push(`${dateStr} ${time}.${ext}`);
                 }
@@ -1155,13 +2298,30 @@ class ImageWebController {
     
     /**
      * Load images by smart scanning - completely automatic
+     * Returns true when an up-to-date results manifest made scanning unnecessary
      */
     async loadKnownImages(targetArray = null) {
+        const imageArray = targetArray || this.availableImages;
+        
+        const manifest = await this.loadResultsManifest();
+        if (manifest) {
+            // The target may already hold some of these draws (e.g. from the server listing)
+            let added = 0;
+            for (const image of manifest.images) {
+                if (!this.hasImageForDraw(imageArray, image)) {
+                    imageArray.push(image);
+                    added++;
+                }
+            }
+            console.log(`📋 Manifest: Loaded ${added} images${manifest.stale ? ' (stale, scanning for newer)' : ''}`);
+            if (!manifest.stale) {
+                return true;
+            }
+        }
+        
         console.log('🔍 Smart scanning for ALL images automatically...');
         
-        const imageArray = targetArray || this.availableImages;
-        const today = new Date();
-        const priorityTimes = ['8pm', '6pm', '1pm'];
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png'];
         let foundCount = 0;
         
@@ -1173,7 +2333,7 @@ class ImageWebController {
             const dateStr = this.formatDateForFilename(checkDate);
             
             // Check all time slots for this date
-            for (const time of priorityTimes) {
+            for (const time of this.getDrawSlots(checkDate)) {
                 for (const ext of extensions) {
                     const filename = `${dateStr} ${time}.${ext}`;
                     
@@ -1183,7 +2343,7 @@ class ImageWebController {
                         if (imageExists) {
                             const parsed = this.parseImageName(filename);
                             
-                            if (parsed) {
+                            if (parsed && !this.hasImageForDraw(imageArray, parsed)) {
                                 console.log(`✅ Auto-found image: ${filename} (${parsed.displayTime})`);
                                 imageArray.push(parsed);
                                 foundCount++;
@@ -1203,6 +2363,7 @@ class ImageWebController {
         
         console.log(`🎯 Auto-scan complete: Found ${foundCount} images automatically`);
         console.log(`📊 Current available images: ${imageArray.length} total`);
+        return false;
     }
     
     /**
@@ -1211,9 +2372,8 @@ class ImageWebController {
     async extendedImageSearch(targetArray = null) {
         console.log('🔍 Running extended search...');
         const potentialImages = [];
-        const today = new Date();
+        const today = this.getISTToday();
         const extensions = ['webp', 'jpeg', 'jpg', 'png'];
-        const times = ['1pm', '6pm', '8pm', '1am', '6am', '8am', '12pm', '12am'];
         
         const imageArray = targetArray || this.availableImages;
         
@@ -1227,7 +2387,9 @@ class ImageWebController {
             const year = date.getFullYear();
             const dateStr = `${day}-${month}-${year}`;
             
-            for (const time of times) {
+            // Every slot any schedule period has used, in case an image was filed
+            // under a slot that does not draw that day
+            for (const time of this.getAllDrawSlots()) {
                 for (const ext of extensions) {
                     potentialImages.push(`${dateStr} ${time}.${ext}`);
                 }
@@ -1418,13 +2580,15 @@ class ImageWebController {
      */
     displayImage(imageInfo) {
         this.currentImage = imageInfo;
+        this.pendingPlaceholder = null;
+        this.clearResultNumbers();
         
         // Show loading state
         this.showLoading();
         
         // Create image element
         const img = document.createElement('img');
-        img.src = this.buildImageURL(imageInfo.originalFilename);
+        this.setResultImageSource(img, imageInfo);
         img.alt = `Lottery Result - ${this.formatDateForDisplay(imageInfo.date)} ${imageInfo.displayTime}`;
         img.style.cssText = `
             width: 100%;
@@ -1433,19 +2597,39 @@ class ImageWebController {
             border-radius: 0;
         `;
         
-        // Handle image load success
+        // Handle image load success (once: zooming in swaps in the full-resolution file)
         img.onload = () => {
-            this.resultContainer.innerHTML = '';
-            this.resultContainer.appendChild(img);
+            img.onload = null;
+            this.showResultImage(img);
             this.updateDownloadLink();
+            this.showOfflineNoticeIfNeeded(imageInfo);
+            this.renderResultNumbers(imageInfo);
         };
         
         // Handle image load error
         img.onerror = () => {
+            if (this.useFullResultImage(img)) return;
+            if (this.isOffline()) {
+                this.showNoImageForDateTime(imageInfo.date, imageInfo.displayTime);
+                return;
+            }
             this.showImageNotFound(imageInfo);
         };
     }
 
+    /**
+     * Put a result image on screen, in the zoom viewer when available
+     * (zoom and pan carry over from the previous draw)
+     */
+    showResultImage(img) {
+        if (this.imageViewer) {
+            this.imageViewer.show(img);
+            return;
+        }
+        this.resultContainer.innerHTML = '';
+        this.resultContainer.appendChild(img);
+    }
+
     /**
      * Show loading spinner
      */
@@ -1462,6 +2646,7 @@ class ImageWebController {
      * Show image not found message (for existing images that fail to load)
      */
     showImageNotFound(imageInfo) {
+        this.clearResultNumbers();
         this.resultContainer.innerHTML = `
             <div class="error-state">
                 <div class="error-icon">📷</div>
@@ -1482,6 +2667,32 @@ class ImageWebController {
      * Show message when no image exists for selected date/time
      */
     showNoImageForDateTime(date, timeValue) {
+        this.clearResultNumbers();
+        this.pendingPlaceholder = null;
+        
+        if (this.isOffline()) {
+            this.resultContainer.innerHTML = `
+                <div class="image-placeholder">
+                    <div class="image-icon">📴</div>
+                    <div>
+                        <div>You Are Offline</div>
+                        <div style="font-size: 0.8125rem; margin-top: 0.5rem; opacity: 0.8;">
+                            The result for ${this.formatDateForDisplay(date)} ${timeValue} is not saved on this device
+                        </div>
+                    </div>
+                </div>
+            `;
+            return;
+        }
+        
+        // Draw still to come, or held recently and the result is not out yet
+        const drawTime = this.getDrawTimeFor(date, timeValue);
+        const now = new Date();
+        if (drawTime && now - drawTime < this.resultAwaitedWindow) {
+            this.showPendingDraw(date, timeValue, drawTime, now);
+            return;
+        }
+        
         this.resultContainer.innerHTML = `
             <div class="image-placeholder">
                 <div class="image-icon">🎫</div>
@@ -1494,11 +2705,48 @@ class ImageWebController {
             </div>
         `;
     }
+    
+    /**
+     * Placeholder for a draw that has not happened yet or whose result is awaited
+     * The countdown line keeps ticking; the result replaces this when it is found.
+     */
+    showPendingDraw(date, timeValue, drawTime, now) {
+        const slot = this.schedule.getSlot(timeValue);
+        const label = slot ? slot.label : timeValue;
+        const dateText = this.formatDateForDisplay(date);
+        this.pendingPlaceholder = { date: new Date(date), timeValue };
+        
+        let icon, title, detail;
+        if (drawTime > now) {
+            icon = '⏳';
+            title = 'Draw Not Held Yet';
+            detail = `The ${label} for ${dateText} starts at ${this.formatDrawTime(slot.minutes)}. The result will appear here automatically.`;
+        } else {
+            icon = '🕒';
+            title = 'Result Awaited';
+            detail = `The ${label} for ${dateText} has been held. The result will appear here as soon as it is published.`;
+            if (!this.isSameDraw(this.awaitedDraw, date, timeValue)) {
+                this.awaitedDraw = { date: new Date(date), slot: timeValue, label, time: drawTime };
+                this.lastAwaitedCheck = now.getTime();
+            }
+        }
+        
+        this.resultContainer.innerHTML = `
+            <div class="image-placeholder">
+                <div class="image-icon">${icon}</div>
+                <div>
+                    <div>${title}</div>
+                    <div style="font-size: 0.8125rem; margin-top: 0.5rem; opacity: 0.8;">${detail}</div>
+                </div>
+            </div>
+        `;
+    }
 
     /**
      * Show message when no images are available
      */
     showNoImageMessage() {
+        this.clearResultNumbers();
         this.resultContainer.innerHTML = `
             <div class="image-placeholder">
                 <div class="image-icon">🎫</div>
@@ -1516,6 +2764,7 @@ class ImageWebController {
      * Show image placeholder with custom message
      */
     showImagePlaceholderWithMessage(message) {
+        this.clearResultNumbers();
         this.resultContainer.innerHTML = `
             <div class="image-placeholder">
                 <div class="image-icon">🎫</div>
@@ -1530,154 +2779,1352 @@ class ImageWebController {
     }
 
     /**
-     * Handle date picker change
+     * Load the winning-number JSON that sits next to a result image
+     * Resolves to validated data, or null when there is none or it is malformed
+     * Only loaded data and a 404 are cached, so a failed request is tried again next time
      */
-    handleDateChange() {
-        let selectedDate;
-        if (this.currentDate) {
-            selectedDate = new Date(this.currentDate);
-        } else if (this.datePicker.value) {
-            selectedDate = new Date(this.datePicker.value + 'T00:00:00');
-        } else {
-            selectedDate = new Date(); // fallback to today
+    async loadResultData(imageInfo) {
+        const dataFilename = ResultData.filenameForImage(imageInfo.originalFilename);
+        
+        if (this.resultDataCache.has(dataFilename)) {
+            return this.resultDataCache.get(dataFilename);
         }
         
-        console.log(`📅 Date changed: ${selectedDate.toDateString()}`);
-        this.findAndDisplayImageForDate(selectedDate);
+        try {
+            const response = await fetch(this.buildImageURL(dataFilename), {
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            
+            // Only a 404 means the draw has no data; other failures are tried again next time
+            if (response.status === 404) {
+                this.resultDataCache.set(dataFilename, null);
+                return null;
+            }
+            if (!response.ok) {
+                console.log(`⚠️ Result data ${dataFilename} unavailable (HTTP ${response.status})`);
+                return null;
+            }
+            
+            const data = ResultData.parse(await response.text(), {
+                date: this.formatDateForFilename(imageInfo.date),
+                slot: imageInfo.displayTime
+            });
+            console.log(`🔢 Winning numbers loaded: ${dataFilename}`);
+            this.resultDataCache.set(dataFilename, data);
+            return data;
+        } catch (error) {
+            // Malformed data is rejected rather than shown
+            console.log(`⚠️ Ignoring result data ${dataFilename}:`, error.message);
+            return null;
+        }
     }
-
+    
     /**
-     * Handle time button click
+     * Render the winning-number table under the result image when data exists
      */
-    handleTimeButtonClick(button) {
-        const timeValue = button.getAttribute('data-time');
+    async renderResultNumbers(imageInfo) {
+        this.clearTicketCheckResult();
+        if (!this.resultNumbers) return;
         
-        // Mark that user has interacted (no longer initial load)
-        this.isInitialLoad = false;
-        this.allowAutoUpgrade = true; // Allow auto-upgrades after user interaction
+        const data = await this.loadResultData(imageInfo);
         
-        // Use currentDate from custom picker instead of hidden input
-        let selectedDate;
-        if (this.currentDate) {
-            selectedDate = new Date(this.currentDate);
-        } else if (this.datePicker.value) {
-            selectedDate = new Date(this.datePicker.value + 'T00:00:00');
-        } else {
-            selectedDate = new Date(); // fallback to today
-        }
+        // Another draw may have been selected while loading
+        if (this.currentImage !== imageInfo) return;
         
-        console.log(`🎯 Time button clicked: ${timeValue}`);
-        console.log(`📅 Using date: ${selectedDate.toDateString()}`);
+        if (!data) {
+            this.clearResultNumbers();
+            return;
+        }
         
-        this.highlightTimeButton(timeValue);
-        this.findAndDisplayImageForDateTime(selectedDate, timeValue);
+        this.resultNumbers.innerHTML = '';
+        this.resultNumbers.appendChild(this.buildResultTable(data));
+        this.resultNumbers.hidden = false;
     }
-
+    
     /**
-     * Highlight the selected time button
+     * Winning-number table for a draw's result data
+     * Numbers in `sharedNumbers` (compare mode) are highlighted.
      */
-    highlightTimeButton(timeValue) {
-        this.timeButtons.forEach(btn => btn.classList.remove('selected'));
-        const targetButton = document.querySelector(`[data-time="${timeValue}"]`);
-        if (targetButton) {
-            targetButton.classList.add('selected');
+    buildResultTable(data, sharedNumbers = null) {
+        const table = document.createElement('table');
+        table.className = 'result-table';
+        
+        const caption = document.createElement('caption');
+        caption.textContent = `Winning numbers – ${data.drawName ? `${data.drawName}, ` : ''}${data.date} ${data.slot}`;
+        table.appendChild(caption);
+        
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        for (const heading of ['Prize', 'Amount', 'Winning Numbers']) {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = heading;
+            headRow.appendChild(th);
+        }
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        for (const tier of data.tiers) {
+            const row = document.createElement('tr');
+            
+            const name = document.createElement('th');
+            name.scope = 'row';
+            name.textContent = tier.name;
+            row.appendChild(name);
+            
+            const amount = document.createElement('td');
+            amount.textContent = this.formatPrizeAmount(tier.amount);
+            row.appendChild(amount);
+            
+            const numbersCell = document.createElement('td');
+            const list = document.createElement('ul');
+            list.className = 'winning-numbers';
+            list.setAttribute('aria-label', `${tier.name} winning numbers`);
+            for (const number of tier.numbers) {
+                const item = document.createElement('li');
+                item.textContent = number;
+                if (sharedNumbers && sharedNumbers.has(number)) {
+                    item.classList.add('shared-number');
+                    item.title = 'Also a winning number in the other draw';
+                    const note = document.createElement('span');
+                    note.className = 'visually-hidden';
+                    note.textContent = ' (in both draws)';
+                    item.appendChild(note);
+                }
+                list.appendChild(item);
+            }
+            numbersCell.appendChild(list);
+            row.appendChild(numbersCell);
+            
+            tbody.appendChild(row);
         }
+        table.appendChild(tbody);
+        
+        return table;
     }
-
+    
     /**
-     * Find and display image for specific date and time
-     * Enhanced with server-side API support for faster lookups
+     * Remove the winning-number table
      */
-    async findAndDisplayImageForDateTime(date, timeValue) {
-        console.log(`🔍 Looking for image: date=${date.toDateString()}, time=${timeValue}`);
+    clearResultNumbers() {
+        this.clearTicketCheckResult();
+        if (!this.resultNumbers) return;
+        this.resultNumbers.innerHTML = '';
+        this.resultNumbers.hidden = true;
+    }
+    
+    /**
+     * Handle ticket checker submit - match the ticket against the selected draw
+     */
+    async handleTicketCheck(event) {
+        event.preventDefault();
         
-        // Format the date to match filename pattern (DD-MM-YYYY)
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const year = date.getFullYear();
-        const dateStr = `${day}-${month}-${year}`;
+        const input = this.ticketInput.value.trim();
+        if (!input) {
+            this.showTicketCheckResult('error', 'Enter your ticket number, e.g. 68A 12345');
+            return;
+        }
         
-        console.log(`📅 Formatted date: ${dateStr}`);
-        console.log(`⏰ Time: ${timeValue}`);
+        if (!ResultData.normaliseTicketNumber(input)) {
+            this.showTicketCheckResult('error', 'Enter the series and 5-digit number, e.g. 68A 12345');
+            return;
+        }
         
-        // Try server-side API first
-        const serverResult = await this.findImageOnServer(dateStr, timeValue);
-        if (serverResult) {
-            console.log(`🚀 Server found image: ${serverResult.filename}`);
-            // Convert server format to client format
-            const parsed = {
-                originalFilename: serverResult.filename,
-                filename: serverResult.filename,
-                date: new Date(serverResult.year, serverResult.month - 1, serverResult.day, serverResult.hour24, 0, 0),
-                day: serverResult.day,
-                month: serverResult.month,
-                year: serverResult.year,
-                hour: serverResult.hour,
-                period: serverResult.period,
-                hour24: serverResult.hour24,
-                displayTime: serverResult.displayTime,
-                timestamp: serverResult.timestamp
-            };
-            
-            this.displayImage(parsed);
+        const imageInfo = this.currentImage;
+        if (!imageInfo) {
+            this.showTicketCheckResult('error', 'Select a date and draw with a published result first');
             return;
         }
         
-        // Fallback to client-side search
-        console.log('📡 Server API unavailable, using client-side search...');
-        await this.findImageClientSide(dateStr, timeValue, date);
+        const drawLabel = `${this.formatDateForDisplay(imageInfo.date)} ${imageInfo.displayTime}`;
+        this.showTicketCheckResult('pending', `Checking against the ${drawLabel} draw...`);
+        
+        const data = await this.loadResultData(imageInfo);
+        
+        // Another draw may have been selected while loading
+        if (this.currentImage !== imageInfo) return;
+        
+        if (!data) {
+            this.showTicketCheckResult('error', `Winning numbers for the ${drawLabel} draw are not available yet. Please check the result image.`);
+            return;
+        }
+        
+        const { ticket, prize } = ResultData.checkTicket(data, input);
+        console.log(`🎟️ Ticket ${ticket} checked against ${drawLabel}: ${prize ? prize.name : 'no prize'}`);
+        
+        if (prize) {
+            this.showTicketCheckResult('win', `🎉 ${ticket} won the ${prize.name} – ${this.formatPrizeAmount(prize.amount)} (${drawLabel} draw)`);
+        } else {
+            this.showTicketCheckResult('no-prize', `No prize for ${ticket} in the ${drawLabel} draw`);
+        }
     }
     
     /**
-     * Find image using server-side API
+     * Show a ticket checker message (state: win, no-prize, error, pending)
      */
-    async findImageOnServer(dateStr, timeValue) {
-        try {
-            const response = await fetch(`api/get-images.php?action=find&date=${encodeURIComponent(dateStr)}&time=${encodeURIComponent(timeValue)}`, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+    showTicketCheckResult(state, message) {
+        if (!this.ticketCheckResult) return;
+        this.ticketCheckResult.className = `ticket-checker-result ${state}`;
+        this.ticketCheckResult.textContent = message;
+    }
+    
+    /**
+     * Clear the ticket checker message (the selected draw changed)
+     */
+    clearTicketCheckResult() {
+        if (!this.ticketCheckResult) return;
+        this.ticketCheckResult.className = 'ticket-checker-result';
+        this.ticketCheckResult.textContent = '';
+    }
+    
+    /**
+     * Currently selected time slot (highlighted button, else the displayed draw)
+     */
+    getSelectedTimeSlot() {
+        const selected = document.querySelector('.time-button.selected');
+        if (selected) {
+            return selected.getAttribute('data-time');
+        }
+        return this.currentImage ? this.currentImage.displayTime : null;
+    }
+    
+    /**
+     * Parse a DD-MM-YYYY draw date into a local Date
+     */
+    parseDrawDate(dateStr) {
+        const [day, month, year] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    
+    /**
+     * Parse a YYYY-MM-DD date input value into a local Date, or null
+     */
+    parseInputDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+    
+    /**
+     * Fill the compare slot pickers from the brand's schedule
+     */
+    renderCompareSlots() {
+        for (const pane of this.comparePanes) {
+            const previous = pane.slot.value;
+            pane.slot.innerHTML = '';
+            for (const slot of this.schedule.allSlots()) {
+                const option = document.createElement('option');
+                option.value = slot.slot;
+                option.textContent = slot.label;
+                pane.slot.appendChild(option);
             }
-            
-            const data = await response.json();
-            
-            if (data.success && data.found && data.image) {
-                return data.image;
+            if (this.schedule.getSlot(previous)) {
+                pane.slot.value = previous;
             }
-            
-            return null;
-            
-        } catch (error) {
-            console.log('⚠️ Server-side find failed:', error.message);
-            return null;
         }
     }
     
     /**
-     * Find image using client-side method (fallback)
+     * Start the comparison from the draw on screen and the same draw the day before
      */
-    async findImageClientSide(dateStr, timeValue, date) {
-        // List of possible extensions to check
-        const extensions = ['webp', 'jpeg', 'jpg', 'png', 'gif', 'bmp'];
+    prefillCompare() {
+        const [first, second] = this.comparePanes;
+        const today = this.formatDateForInput(this.getISTToday());
+        for (const pane of this.comparePanes) {
+            pane.date.max = today;
+        }
+        if (first.date.value) return;
         
-        // Check all possible filename combinations with and without "File " prefix
-        const filenamePrefixes = ['', 'File '];
+        const date = this.currentImage ? new Date(this.currentImage.date) : new Date(this.currentDate);
+        const slot = this.currentImage ? this.currentImage.displayTime : this.getSelectedTimeSlot();
+        const dayBefore = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
         
-        for (const prefix of filenamePrefixes) {
-            for (const ext of extensions) {
-                const filename = `${prefix}${dateStr} ${timeValue}.${ext}`;
-                console.log(`🔍 Checking file: ${filename}`);
-                
-                try {
-                    const imageExists = await this.checkImageExists(filename);
-                    console.log(`📁 File ${filename} exists: ${imageExists}`);
-                    
-                    if (imageExists) {
+        first.date.value = this.formatDateForInput(date);
+        second.date.value = this.formatDateForInput(dayBefore);
+        if (this.schedule.getSlot(slot)) {
+            first.slot.value = slot;
+            second.slot.value = slot;
+        }
+    }
+    
+    /**
+     * Show two draws side by side with zoom kept in step and shared numbers highlighted
+     */
+    async handleCompare(event) {
+        event.preventDefault();
+        
+        const picks = this.comparePanes.map(pane => ({
+            date: this.parseInputDate(pane.date.value),
+            slot: pane.slot.value
+        }));
+        if (picks.some(pick => !pick.date || !pick.slot)) {
+            this.compareStatus.textContent = 'Pick a date and draw for both sides.';
+            return;
+        }
+        
+        const brandId = this.brand.id;
+        const token = (this.compareToken || 0) + 1;
+        this.compareToken = token;
+        const isStale = () => token !== this.compareToken || brandId !== this.brand.id;
+        this.compareStatus.textContent = 'Loading both draws…';
+        
+        // Same lookup as the time buttons: server API, manifest, then probing
+        const images = await Promise.all(picks.map(pick => this.resolveImageForDateTime(pick.date, pick.slot)));
+        if (isStale()) return;
+        
+        this.ensureCompareViewers();
+        this.compareResults.hidden = false;
+        picks.forEach((pick, i) => this.showComparePane(this.comparePanes[i], this.compareViewers && this.compareViewers[i], pick, images[i]));
+        if (this.compareViewers) {
+            this.compareViewers.forEach(viewer => viewer.setView({ scale: 1, x: 0, y: 0 }));
+        }
+        
+        const data = await Promise.all(images.map(image => image ? this.loadResultData(image) : null));
+        if (isStale()) return;
+        
+        const shared = data[0] && data[1] ? ResultData.sharedNumbers(data[0], data[1]) : null;
+        this.comparePanes.forEach((pane, i) => {
+            pane.numbers.innerHTML = '';
+            pane.numbers.hidden = !data[i];
+            if (data[i]) {
+                pane.numbers.appendChild(this.buildResultTable(data[i], shared));
+            }
+        });
+        
+        const missing = picks.filter((pick, i) => !images[i]).map(pick => this.describeDraw(pick.date, pick.slot));
+        let status;
+        if (missing.length > 0) {
+            status = `No result yet for ${missing.join(' or ')}.`;
+        } else if (shared) {
+            status = shared.size > 0
+                ? `${shared.size} winning number${shared.size === 1 ? '' : 's'} in both draws (highlighted).`
+                : 'No winning numbers in common.';
+        } else {
+            status = 'Winning numbers are not available for both draws, so they are not compared.';
+        }
+        this.compareStatus.textContent = status;
+        console.log(`🆚 Compare: ${picks.map(pick => this.describeDraw(pick.date, pick.slot)).join(' vs ')} - ${status}`);
+    }
+    
+    /**
+     * Two viewers whose zoom and pan follow each other
+     */
+    ensureCompareViewers() {
+        if (this.compareViewers || typeof ImageViewer === 'undefined') return;
+        
+        this.compareViewers = this.comparePanes.map((pane, i) =>
+            new ImageViewer(pane.image, { label: i === 0 ? 'First draw result image' : 'Second draw result image' })
+        );
+        const [first, second] = this.compareViewers;
+        first.onChange = view => second.setView(view);
+        second.onChange = view => first.setView(view);
+    }
+    
+    showComparePane(pane, viewer, pick, imageInfo) {
+        pane.title.textContent = this.describeDraw(pick.date, pick.slot);
+        
+        if (!imageInfo) {
+            pane.image.innerHTML = `
+                <div class="image-placeholder">
+                    <div class="image-icon">🔍</div>
+                    <div>No result for this draw</div>
+                </div>
+            `;
+            return;
+        }
+        
+        const img = document.createElement('img');
+        this.setResultImageSource(img, imageInfo);
+        img.onerror = () => this.useFullResultImage(img);
+        img.alt = `Lottery Result - ${this.formatDateForDisplay(imageInfo.date)} ${imageInfo.displayTime}`;
+        if (viewer) {
+            viewer.show(img);
+        } else {
+            pane.image.innerHTML = '';
+            pane.image.appendChild(img);
+        }
+    }
+    
+    /**
+     * "04-11-2025 · 1:00 PM Draw"
+     */
+    describeDraw(date, slotName) {
+        const slot = this.schedule.getSlot(slotName);
+        return `${this.formatDateForDisplay(date)} · ${slot ? slot.label : slotName}`;
+    }
+    
+    /**
+     * Forget the comparison (brand switch)
+     */
+    clearCompare() {
+        if (!this.compareResults) return;
+        this.compareToken = (this.compareToken || 0) + 1;
+        this.compareResults.hidden = true;
+        this.compareStatus.textContent = '';
+        for (const pane of this.comparePanes) {
+            pane.numbers.innerHTML = '';
+            pane.numbers.hidden = true;
+        }
+    }
+    
+    /**
+     * Build a checkbox per slot of the current brand for the range download (all ticked)
+     */
+    renderRangeSlots() {
+        if (!this.rangeSlots) return;
+        
+        this.rangeSlots.innerHTML = '';
+        for (const slot of this.schedule.allSlots()) {
+            const label = document.createElement('label');
+            label.className = 'notify-slot';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = slot.slot;
+            checkbox.checked = true;
+            
+            label.append(checkbox, ` ${slot.label}`);
+            this.rangeSlots.appendChild(label);
+        }
+    }
+    
+    /**
+     * Start with the last seven days
+     */
+    prefillRange() {
+        const today = this.getISTToday();
+        this.rangeFrom.max = this.formatDateForInput(today);
+        this.rangeTo.max = this.formatDateForInput(today);
+        if (this.rangeFrom.value) return;
+        
+        this.rangeFrom.value = this.formatDateForInput(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6));
+        this.rangeTo.value = this.formatDateForInput(today);
+    }
+    
+    /**
+     * Draws held between two dates (inclusive) in the chosen slots, oldest first.
+     * Slots that do not run on a weekday, and draws still to come, are left out.
+     */
+    listDrawsInRange(from, to, slotNames, now = new Date()) {
+        const draws = [];
+        for (let date = new Date(from); date <= to; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+            for (const slot of this.schedule.slotsFor(date)) {
+                if (!slotNames.includes(slot.slot)) continue;
+                
+                const drawTime = this.getDrawTimeFor(date, slot.slot);
+                if (drawTime > now) continue;
+                draws.push({ date, slot: slot.slot, drawTime });
+            }
+        }
+        return draws;
+    }
+    
+    /**
+     * Download every draw in a date range as a ZIP of images or one PDF,
+     * with a summary listing the draws that have no result
+     */
+    async handleRangeDownload(event) {
+        event.preventDefault();
+        if (this.rangeInProgress) return;
+        
+        const from = this.parseInputDate(this.rangeFrom.value);
+        const to = this.parseInputDate(this.rangeTo.value);
+        const slotNames = Array.from(this.rangeSlots.querySelectorAll('input:checked'), input => input.value);
+        const format = this.rangeForm.querySelector('input[name="range-format"]:checked').value;
+        
+        let problem = '';
+        if (!from || !to) {
+            problem = 'Pick a start and an end date.';
+        } else if (from > to) {
+            problem = 'The start date must be on or before the end date.';
+        } else if (Math.round((to - from) / 86400000) + 1 > this.rangeMaxDays) {
+            problem = `Pick at most ${this.rangeMaxDays} days at a time.`;
+        } else if (slotNames.length === 0) {
+            problem = 'Pick at least one draw.';
+        } else if (typeof (format === 'pdf' ? PdfWriter : ZipWriter) === 'undefined') {
+            problem = 'This download is not available right now.';
+        }
+        
+        const draws = problem ? [] : this.listDrawsInRange(from, to, slotNames);
+        if (!problem && draws.length === 0) {
+            problem = 'None of those draws have been held yet.';
+        }
+        if (problem) {
+            this.rangeStatus.textContent = problem;
+            return;
+        }
+        
+        const brand = this.brand;
+        const token = (this.rangeToken || 0) + 1;
+        this.rangeToken = token;
+        const isStale = () => token !== this.rangeToken || brand.id !== this.brand.id;
+        const rangeText = `${this.formatDateForDisplay(from)} to ${this.formatDateForDisplay(to)}`;
+        const pdf = format === 'pdf' ? new PdfWriter({ title: `${brand.heading} ${rangeText}` }) : null;
+        const zip = format === 'zip' ? new ZipWriter() : null;
+        const missing = [];
+        let included = 0;
+        
+        this.setRangeBusy(true, draws.length);
+        console.log(`🗂️ Range download: ${draws.length} draws, ${rangeText} (${format})`);
+        
+        try {
+            for (const [i, draw] of draws.entries()) {
+                const name = this.describeDraw(draw.date, draw.slot);
+                this.rangeStatus.textContent = `Fetching ${i + 1} of ${draws.length}: ${name}`;
+                
+                try {
+                    const imageInfo = await this.resolveImageForDateTime(draw.date, draw.slot);
+                    if (isStale()) return;
+                    
+                    if (!imageInfo) {
+                        missing.push(name);
+                    } else if (pdf) {
+                        await this.addDrawToPdf(pdf, imageInfo);
+                        included++;
+                    } else {
+                        const file = await this.buildResultImageFile(imageInfo);
+                        zip.addFile(file.filename, new Uint8Array(await file.blob.arrayBuffer()), draw.drawTime);
+                        included++;
+                    }
+                } catch (error) {
+                    console.log(`❌ Range download: ${name} failed:`, error);
+                    missing.push(`${name} (download failed)`);
+                }
+                
+                if (isStale()) return;
+                this.rangeProgress.value = i + 1;
+            }
+            
+            if (included === 0) {
+                this.rangeStatus.textContent = `No results were found for the ${draws.length} draws picked.`;
+                return;
+            }
+            
+            const summary = this.rangeSummaryLines(rangeText, slotNames, draws.length, included, missing);
+            const filename = `${brand.downloadPrefix}-Results-${this.formatDateForDisplay(from)}-to-${this.formatDateForDisplay(to)}`;
+            if (pdf) {
+                this.addPdfSummaryPages(pdf, rangeText, summary);
+                this.addPdfPageNumbers(pdf);
+                this.saveBlob(pdf.toBlob(), `${filename}.pdf`);
+            } else {
+                zip.addFile('Summary.txt', `${summary.join('\r\n')}\r\n`);
+                this.saveBlob(zip.toBlob(), `${filename}.zip`);
+            }
+            
+            this.rangeStatus.textContent = missing.length
+                ? `Saved ${included} of ${draws.length} draws. Missing draws are listed below and in the summary page.`
+                : `Saved all ${draws.length} draws.`;
+            this.showRangeMissing(missing);
+            console.log(`✅ Range download saved: ${included} of ${draws.length} draws, ${missing.length} missing`);
+        } catch (error) {
+            console.log('❌ Range download failed:', error);
+            this.rangeStatus.textContent = 'Could not create the download. Try a shorter range.';
+        } finally {
+            if (token === this.rangeToken) {
+                this.setRangeBusy(false);
+            }
+        }
+    }
+    
+    /**
+     * Summary page text: range, draws picked, how many were found, and the missing ones
+     */
+    rangeSummaryLines(rangeText, slotNames, total, included, missing) {
+        const labels = slotNames.map(slotName => {
+            const slot = this.schedule.getSlot(slotName);
+            return slot ? slot.label : slotName;
+        });
+        
+        const lines = [
+            `${this.brand.heading} results, ${rangeText}`,
+            `Draws: ${labels.join(', ')}`,
+            `Included: ${included} of ${total} draws`,
+            ''
+        ];
+        if (missing.length) {
+            lines.push(`Missing draws (${missing.length}):`, ...missing.map(name => `  ${name}`));
+        } else {
+            lines.push('No draws are missing.');
+        }
+        return lines;
+    }
+    
+    /**
+     * Summary page(s) at the front of a range PDF
+     */
+    addPdfSummaryPages(pdf, rangeText, lines) {
+        const margin = 40;
+        const bottom = pdf.height - margin - 24;
+        const subtitle = `Summary · ${rangeText}`;
+        const sourceURL = window.location.origin + window.location.pathname;
+        let index = 0;
+        let page = pdf.addPage(index++);
+        let y = this.drawPdfPageFrame(pdf, page, subtitle, sourceURL, margin);
+        
+        lines.forEach((line, i) => {
+            if (y + 16 > bottom) {
+                page = pdf.addPage(index++);
+                y = this.drawPdfPageFrame(pdf, page, subtitle, sourceURL, margin);
+            }
+            page.text(line, margin, y, { size: 11, font: i === 0 ? 'bold' : 'regular' });
+            y += 16;
+        });
+    }
+    
+    /**
+     * Lock the form and show the progress bar while a range download runs
+     */
+    setRangeBusy(busy, total = 0) {
+        this.rangeInProgress = busy;
+        this.rangeSubmit.disabled = busy;
+        this.rangeCancel.hidden = !busy;
+        this.rangeProgress.hidden = !busy;
+        if (busy) {
+            this.rangeProgress.max = total;
+            this.rangeProgress.value = 0;
+            this.showRangeMissing([]);
+        }
+    }
+    
+    showRangeMissing(missing) {
+        this.rangeMissing.innerHTML = '';
+        for (const name of missing) {
+            const item = document.createElement('li');
+            item.textContent = name;
+            this.rangeMissing.appendChild(item);
+        }
+        this.rangeMissing.hidden = missing.length === 0;
+    }
+    
+    /**
+     * Stop a running range download (Cancel button, brand switch)
+     */
+    cancelRangeDownload(message = 'Download cancelled.') {
+        if (!this.rangeForm) return;
+        
+        if (this.rangeInProgress) {
+            console.log('🛑 Range download cancelled');
+        }
+        this.rangeToken = (this.rangeToken || 0) + 1;
+        this.setRangeBusy(false);
+        this.rangeStatus.textContent = message;
+        this.showRangeMissing([]);
+    }
+    
+    /**
+     * Read an uploaded CSV/text file into the bulk checker box
+     */
+    async handleBulkFileUpload() {
+        const file = this.bulkFile.files[0];
+        if (!file) return;
+        
+        if (file.size > 1024 * 1024) {
+            this.bulkStatus.textContent = 'That file is too large (limit 1 MB).';
+            this.bulkFile.value = '';
+            return;
+        }
+        
+        try {
+            this.bulkInput.value = await file.text();
+            this.bulkStatus.textContent = `Loaded ${file.name}. Press "Check All" to check the tickets.`;
+        } catch (error) {
+            this.bulkStatus.textContent = `Could not read ${file.name}: ${error.message}`;
+        }
+        this.bulkFile.value = '';
+    }
+    
+    /**
+     * Check every pasted/uploaded ticket against the draws it names
+     * Draws are resolved with the same lookup as the time buttons (resolveImageForDateTime)
+     */
+    async handleBulkCheck() {
+        const { entries, invalid } = ResultData.parseTicketList(this.bulkInput.value);
+        
+        if (entries.length === 0) {
+            this.bulkStatus.textContent = 'No ticket numbers found. Enter one ticket (e.g. 68A 12345) per line.';
+            return;
+        }
+        
+        if (entries.length > this.maxBulkTickets) {
+            this.bulkStatus.textContent = `Too many tickets (${entries.length}). Check at most ${this.maxBulkTickets} at a time.`;
+            return;
+        }
+        
+        const defaultDate = this.formatDateForFilename(this.currentDate || this.getISTToday());
+        const defaultSlot = this.getSelectedTimeSlot();
+        
+        // Group tickets by draw so each draw's numbers load once
+        const draws = new Map();
+        for (const entry of entries) {
+            const slot = entry.slot || defaultSlot;
+            if (!slot) {
+                invalid.push({ line: entry.line, text: entry.ticket, reason: 'No draw selected - add a slot such as 1pm' });
+                continue;
+            }
+            
+            const date = entry.date || defaultDate;
+            const key = `${date} ${slot}`;
+            if (!draws.has(key)) {
+                draws.set(key, { date, slot, entries: [] });
+            }
+            draws.get(key).entries.push(entry);
+        }
+        
+        this.bulkCheckBtn.disabled = true;
+        const winners = [];
+        const unavailableDraws = [];
+        let checked = 0;
+        let drawIndex = 0;
+        
+        try {
+            for (const draw of draws.values()) {
+                drawIndex++;
+                this.bulkStatus.textContent = `Checking draw ${drawIndex} of ${draws.size} (${draw.date} ${draw.slot})...`;
+                
+                const image = await this.resolveImageForDateTime(this.parseDrawDate(draw.date), draw.slot);
+                const data = image ? await this.loadResultData(image) : null;
+                
+                if (!data) {
+                    unavailableDraws.push(`${draw.date} ${draw.slot} (${draw.entries.length} tickets)`);
+                    continue;
+                }
+                
+                for (const entry of draw.entries) {
+                    const { prize } = ResultData.checkTicket(data, entry.ticket);
+                    checked++;
+                    if (prize) {
+                        winners.push({
+                            ticket: entry.ticket,
+                            date: draw.date,
+                            slot: draw.slot,
+                            prize: prize.name,
+                            amount: prize.amount
+                        });
+                    }
+                }
+            }
+        } finally {
+            this.bulkCheckBtn.disabled = false;
+        }
+        
+        console.log(`🎟️ Bulk check: ${checked} checked, ${winners.length} winners, ${unavailableDraws.length} draws without numbers`);
+        
+        this.bulkWinners = winners;
+        this.renderBulkResults();
+        
+        const summary = [`Checked ${checked} tickets: ${winners.length} winning, ${checked - winners.length} no prize.`];
+        if (unavailableDraws.length > 0) {
+            summary.push(`Winning numbers not available for: ${unavailableDraws.join(', ')}.`);
+        }
+        if (invalid.length > 0) {
+            summary.push(`Skipped ${invalid.length} lines: ${invalid.slice(0, 5).map(item => `line ${item.line} (${item.reason})`).join('; ')}${invalid.length > 5 ? '; ...' : ''}`);
+        }
+        this.bulkStatus.textContent = summary.join(' ');
+    }
+    
+    /**
+     * Render the sortable winners table
+     */
+    renderBulkResults() {
+        this.bulkResults.innerHTML = '';
+        this.bulkExportBtn.disabled = this.bulkWinners.length === 0;
+        
+        if (this.bulkWinners.length === 0) return;
+        
+        const columns = [
+            { key: 'ticket', label: 'Ticket' },
+            { key: 'date', label: 'Date' },
+            { key: 'slot', label: 'Draw' },
+            { key: 'prize', label: 'Prize' },
+            { key: 'amount', label: 'Amount' }
+        ];
+        
+        const rows = this.sortBulkWinners(this.bulkWinners);
+        
+        const table = document.createElement('table');
+        table.className = 'result-table bulk-results-table';
+        
+        const caption = document.createElement('caption');
+        caption.textContent = `Winning tickets (${rows.length})`;
+        table.appendChild(caption);
+        
+        const thead = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        for (const column of columns) {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            
+            const isSorted = this.bulkSort.key === column.key;
+            th.setAttribute('aria-sort', isSorted ? (this.bulkSort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sort-button';
+            button.textContent = `${column.label}${isSorted ? (this.bulkSort.direction === 'asc' ? ' ▲' : ' ▼') : ''}`;
+            button.addEventListener('click', () => {
+                const direction = isSorted && this.bulkSort.direction === 'asc' ? 'desc' : 'asc';
+                this.bulkSort = { key: column.key, direction };
+                this.renderBulkResults();
+            });
+            
+            th.appendChild(button);
+            headRow.appendChild(th);
+        }
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        for (const winner of rows) {
+            const row = document.createElement('tr');
+            for (const column of columns) {
+                const cell = document.createElement('td');
+                cell.textContent = column.key === 'amount' ? this.formatPrizeAmount(winner.amount) : winner[column.key];
+                row.appendChild(cell);
+            }
+            tbody.appendChild(row);
+        }
+        table.appendChild(tbody);
+        
+        this.bulkResults.appendChild(table);
+    }
+    
+    /**
+     * Sort winners by the selected column (dates and draws in chronological order)
+     */
+    sortBulkWinners(winners) {
+        const { key, direction } = this.bulkSort;
+        const sign = direction === 'asc' ? 1 : -1;
+        
+        const value = (winner) => {
+            switch (key) {
+                case 'amount':
+                    return winner.amount;
+                case 'date':
+                    return this.parseDrawDate(winner.date).getTime();
+                case 'slot':
+                    return this.getTimePriority(winner.slot);
+                default:
+                    return winner[key];
+            }
+        };
+        
+        return [...winners].sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            if (va < vb) return -sign;
+            if (va > vb) return sign;
+            return a.ticket.localeCompare(b.ticket);
+        });
+    }
+    
+    /**
+     * Download the winners table as CSV
+     */
+    exportBulkWinners() {
+        if (this.bulkWinners.length === 0) return;
+        
+        const escape = (value) => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [['Ticket', 'Date', 'Draw', 'Prize', 'Amount (INR)'].join(',')];
+        for (const winner of this.sortBulkWinners(this.bulkWinners)) {
+            lines.push([winner.ticket, winner.date, winner.slot, winner.prize, winner.amount].map(escape).join(','));
+        }
+        
+        const blob = new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.brand.downloadPrefix}-Winners-${this.formatDateForDisplay(this.getISTToday())}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Format a prize amount in Indian rupees (₹1,00,00,000)
+     */
+    formatPrizeAmount(amount) {
+        return `₹${amount.toLocaleString('en-IN')}`;
+    }
+
+    /**
+     * Handle date picker change
+     */
+    handleDateChange() {
+        let selectedDate;
+        if (this.currentDate) {
+            selectedDate = new Date(this.currentDate);
+        } else if (this.datePicker.value) {
+            selectedDate = new Date(this.datePicker.value + 'T00:00:00');
+        } else {
+            selectedDate = this.getISTToday(); // fallback to today (IST)
+        }
+        
+        console.log(`📅 Date changed: ${selectedDate.toDateString()}`);
+        this.updateFollowLatest(selectedDate, null);
+        this.findAndDisplayImageForDate(selectedDate);
+    }
+
+    /**
+     * Handle time button click
+     */
+    handleTimeButtonClick(button) {
+        const timeValue = button.getAttribute('data-time');
+        
+        // Mark that user has interacted (no longer initial load)
+        this.isInitialLoad = false;
+        this.allowAutoUpgrade = true; // Allow auto-upgrades after user interaction
+        
+        // Use currentDate from custom picker instead of hidden input
+        let selectedDate;
+        if (this.currentDate) {
+            selectedDate = new Date(this.currentDate);
+        } else if (this.datePicker.value) {
+            selectedDate = new Date(this.datePicker.value + 'T00:00:00');
+        } else {
+            selectedDate = this.getISTToday(); // fallback to today (IST)
+        }
+        
+        console.log(`🎯 Time button clicked: ${timeValue}`);
+        console.log(`📅 Using date: ${selectedDate.toDateString()}`);
+        
+        this.updateFollowLatest(selectedDate, timeValue);        
+        this.highlightTimeButton(timeValue);
+        this.updateURLForDraw(selectedDate, timeValue);
+        this.findAndDisplayImageForDateTime(selectedDate, timeValue);
+    }
+
+    /**
+     * Read a draw from the page URL (?date=DD-MM-YYYY&time=1pm)
+     * Returns { date, time } (time may be null) or null when there is no valid date
+     */
+    readDrawFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const dateStr = ResultData.normaliseDrawDate(params.get('date') || '');
+        if (!dateStr) {
+            return null;
+        }
+        
+        return {
+            date: this.parseDrawDate(dateStr),
+            time: ResultData.normaliseSlot(params.get('time') || '')
+        };
+    }
+    
+    /**
+     * Open a specific draw: select the date (and time, when given) and show its result
+     */
+    openDraw(date, timeValue, { updateHistory = true } = {}) {
+        this.isInitialLoad = false;
+        this.allowAutoUpgrade = true;
+        this.updateFollowLatest(date, timeValue);
+        
+        this.currentDate = new Date(date);
+        this.displayedMonth = new Date(date);
+        if (this.dateText) {
+            this.updateDateDisplay();
+        }
+        if (this.calendarDays) {
+            this.renderCalendar();
+        }
+        
+        if (updateHistory) {
+            this.updateURLForDraw(date, timeValue);
+        }
+        
+        if (timeValue) {
+            this.highlightTimeButton(timeValue);
+            this.findAndDisplayImageForDateTime(new Date(date), timeValue);
+        } else {
+            this.timeButtons.forEach(btn => btn.classList.remove('selected'));
+            this.findAndDisplayImageForDate(new Date(date));
+        }
+    }
+    
+    /**
+     * Build the shareable URL for a draw
+     */
+    buildDrawURL(date, timeValue) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('brand', this.brand.id);
+        url.searchParams.set('date', this.formatDateForFilename(date));
+        if (timeValue) {
+            url.searchParams.set('time', timeValue);
+        } else {
+            url.searchParams.delete('time');
+        }
+        url.hash = '';
+        return url;
+    }
+    
+    /**
+     * Record the selected draw in the address bar and browser history
+     */
+    updateURLForDraw(date, timeValue) {
+        const url = this.buildDrawURL(date, timeValue);
+        if (url.href === window.location.href) {
+            return;
+        }
+        
+        history.pushState({ brand: this.brand.id, date: this.formatDateForFilename(date), time: timeValue || null }, '', url);
+    }
+    
+    /**
+     * Record a brand switch in the address bar (latest result, no draw yet)
+     */
+    updateURLForBrand() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('brand', this.brand.id);
+        url.searchParams.delete('date');
+        url.searchParams.delete('time');
+        url.hash = '';
+        if (url.href !== window.location.href) {
+            history.pushState({ brand: this.brand.id }, '', url);
+        }
+    }
+    
+    /**
+     * Brand from ?brand=..., or null when missing or unknown
+     */
+    readBrandFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        return LotteryBrands.get(params.get('brand'));
+    }
+    
+    /**
+     * Brand the visitor viewed last, or null
+     */
+    readSavedBrand() {
+        try {
+            return LotteryBrands.get(localStorage.getItem(this.brandStorageKey));
+        } catch (error) {
+            return null; // Storage blocked (private mode)
+        }
+    }
+    
+    /**
+     * Remember the brand for the next visit
+     */
+    saveBrand(brand) {
+        try {
+            localStorage.setItem(this.brandStorageKey, brand.id);
+        } catch (error) {
+            // Storage blocked - the brand is still in the URL
+        }
+    }
+    
+    /**
+     * Point the controller at a brand's schedule and image folder
+     */
+    applyBrand(brand) {
+        this.brand = brand;
+        this.schedule = DrawSchedule.forBrand(brand.id); // Slots, draw times and labels (draw-schedule.js)
+        this.manifestURL = `${brand.imagePath}results.json`; // Built by tools/build-manifest.js
+    }
+    
+    /**
+     * Switch to another brand and show its latest result
+     */
+    switchBrand(brandId, { updateHistory = true, showLatest = true } = {}) {
+        const brand = LotteryBrands.get(brandId);
+        if (!brand || brand.id === this.brand.id) {
+            return;
+        }
+        
+        console.log(`🏷️ Brand: ${brand.name}`);
+        this.applyBrand(brand);
+        this.saveBrand(brand);
+        
+        // Everything loaded so far belongs to the previous brand
+        this.imageCache.clear();
+        this.resultDataCache.clear();
+        this.manifestPromise = null;
+        this.availableImages = [];
+        this.archiveIndex = null;
+        this.archiveComplete = false;
+        this.currentImage = null;
+        this.bulkWinners = [];
+        if (this.bulkResults) this.bulkResults.innerHTML = '';
+        if (this.bulkStatus) this.bulkStatus.textContent = '';
+        if (this.bulkExportBtn) this.bulkExportBtn.disabled = true;
+        this.clearResultNumbers();
+        this.clearTicketCheckResult();
+        this.hideOfflineNotice();
+        
+        this.renderBrandSwitcher();
+        this.updateBrandText();
+        this.renderTimeButtons();
+        this.renderDrawTimings();
+        this.renderNotifySlots();
+        this.renderCompareSlots();
+        this.clearCompare();
+        this.renderRangeSlots();
+        this.cancelRangeDownload('');
+        this.updateDownloadLink();
+        if (this.calendarDays) {
+            this.renderCalendar();
+        }
+        
+        if (updateHistory) {
+            this.updateURLForBrand();
+        }
+        if (showLatest) {
+            this.followLatest = true;
+            this.showFirstAvailableImageInstantly();
+        }
+        this.startDrawCountdown();
+        
+        // Calendar availability for the new brand
+        this.loadAvailableImagesInBackground();
+    }
+    
+    /**
+     * Build the brand switcher buttons
+     */
+    renderBrandSwitcher() {
+        if (!this.brandSwitcher) return;
+        
+        this.brandSwitcher.innerHTML = '';
+        for (const brand of LotteryBrands.all()) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'brand-button';
+            button.setAttribute('data-brand', brand.id);
+            button.setAttribute('aria-pressed', String(brand.id === this.brand.id));
+            button.textContent = brand.name;
+            this.brandSwitcher.appendChild(button);
+        }
+    }
+    
+    /**
+     * Show the brand in the page heading and title
+     */
+    updateBrandText() {
+        if (this.pageHeading) {
+            this.pageHeading.textContent = this.brand.heading;
+        }
+        document.title = this.brand.id === LotteryBrands.DEFAULT_ID
+            ? this.defaultTitle
+            : `${this.brand.heading} | ${this.defaultTitle}`;
+    }
+
+    /**
+     * Build the time buttons from the draw schedule for the selected date
+     * Slots that do not draw on that weekday are shown disabled.
+     */
+    renderTimeButtons() {
+        if (!this.timeButtonGroup) return;
+        
+        const date = this.currentDate || this.getISTToday();
+        const selected = this.timeButtonGroup.querySelector('.selected');
+        const selectedTime = selected ? selected.getAttribute('data-time') : null;
+        const weekday = date.toLocaleDateString('en-IN', { weekday: 'long' });
+        
+        this.timeButtonGroup.innerHTML = '';
+        for (const slot of this.schedule.scheduledSlots(date)) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `${slot.buttonClass || 'btn-primary'} time-button`;
+            button.setAttribute('data-time', slot.slot);
+            button.textContent = slot.label;
+            
+            if (!slot.weekdays.includes(date.getDay())) {
+                button.disabled = true;
+                button.title = `No ${slot.label} on ${weekday}`;
+            }
+            if (slot.slot === selectedTime) {
+                button.classList.add('selected');
+            }
+            this.timeButtonGroup.appendChild(button);
+        }
+        
+        this.timeButtons = this.timeButtonGroup.querySelectorAll('[data-time]');
+    }
+    
+    /**
+     * List the current draw times in the "Draw Timings" info card
+     */
+    renderDrawTimings() {
+        if (!this.drawTimings) return;
+        
+        this.drawTimings.innerHTML = '';
+        for (const slot of this.schedule.scheduledSlots(this.getISTToday())) {
+            const item = document.createElement('li');
+            const label = document.createElement('strong');
+            label.textContent = `${slot.label}:`;
+            
+            const days = slot.weekdays.length === 7 ? 'daily' : `on ${this.formatWeekdays(slot.weekdays)}`;
+            item.append(label, ` Results available after ${this.formatDrawTime(slot.minutes)} ${days}`);
+            this.drawTimings.appendChild(item);
+        }
+    }
+    
+    /**
+     * 1080 minutes after midnight -> "6:00 PM"
+     */
+    formatDrawTime(minutes) {
+        const hour24 = Math.floor(minutes / 60);
+        const hour12 = hour24 % 12 || 12;
+        const period = hour24 < 12 ? 'AM' : 'PM';
+        return `${hour12}:${String(minutes % 60).padStart(2, '0')} ${period}`;
+    }
+    
+    /**
+     * [1, 3, 5] -> "Mon, Wed, Fri"
+     */
+    formatWeekdays(weekdays) {
+        const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        return weekdays.map(day => names[day]).join(', ');
+    }
+
+    /**
+     * Highlight the selected time button
+     */
+    highlightTimeButton(timeValue) {
+        this.timeButtons.forEach(btn => btn.classList.remove('selected'));
+        const targetButton = document.querySelector(`[data-time="${timeValue}"]`);
+        if (targetButton) {
+            targetButton.classList.add('selected');
+        }
+    }
+
+    /**
+     * Find and display image for specific date and time
+     * Enhanced with server-side API support for faster lookups
+     */
+    async findAndDisplayImageForDateTime(date, timeValue) {
+        const found = await this.resolveImageForDateTime(date, timeValue);
+        
+        if (found) {
+            this.displayImage(found);
+            return;
+        }
+        
+        // If we get here, no file was found
+        this.showNoImageForDateTime(date, timeValue);
+        this.currentImage = null;
+        this.updateDownloadLink();
+    }
+    
+    /**
+     * Resolve the result image for a date and time slot without displaying it
+     * Order: server API, results manifest, then client-side filename probing
+     */
+    async resolveImageForDateTime(date, timeValue) {
+        console.log(`🔍 Looking for image: date=${date.toDateString()}, time=${timeValue}`);
+        
+        // Format the date to match filename pattern (DD-MM-YYYY)
+        const day = String(date.getDate()).padStart(2, '0');
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const year = date.getFullYear();
+        const dateStr = `${day}-${month}-${year}`;
+        
+        console.log(`📅 Formatted date: ${dateStr}`);
+        console.log(`⏰ Time: ${timeValue}`);
+        
+        // Try server-side API first
+        const serverResult = await this.findImageOnServer(dateStr, timeValue);
+        if (serverResult) {
+            console.log(`🚀 Server found image: ${serverResult.filename}`);
+            return this.serverImageToImageInfo(serverResult);
+        }
+        
+        // Fallback to client-side search
+        console.log('📡 Server API unavailable, using client-side search...');
+        return this.findImageClientSide(dateStr, timeValue);
+    }
+    
+    /**
+     * Convert a get-images API image to client format
+     */
+    serverImageToImageInfo(serverResult) {
+        return {
+            originalFilename: serverResult.filename,
+            filename: serverResult.filename,
+            date: new Date(serverResult.year, serverResult.month - 1, serverResult.day, serverResult.hour24, 0, 0),
+            day: serverResult.day,
+            month: serverResult.month,
+            year: serverResult.year,
+            hour: serverResult.hour,
+            period: serverResult.period,
+            hour24: serverResult.hour24,
+            displayTime: serverResult.displayTime,
+            timestamp: serverResult.timestamp
+        };
+    }
+    
+    /**
+     * Find image using server-side API
+     */
+    async findImageOnServer(dateStr, timeValue) {
+        try {
+            const response = await fetch(this.buildApiURL({ action: 'find', date: dateStr, time: timeValue }), {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            
+            if (data.success && data.found && data.image) {
+                return data.image;
+            }
+            
+            return null;
+            
+        } catch (error) {
+            console.log('⚠️ Server-side find failed:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Find image using client-side method (fallback)
+     * Resolves to parsed image info, or null when no file exists
+     */
+    async findImageClientSide(dateStr, timeValue) {
+        // Look the draw up in the results manifest before probing
+        const manifest = await this.loadResultsManifest();
+        if (manifest) {
+            const listed = this.findManifestImage(manifest, dateStr, timeValue);
+            if (listed) {
+                console.log(`📋 Manifest has ${listed.originalFilename}`);
+                return listed;
+            }
+            
+            if (!manifest.stale) {
+                console.log(`❌ Manifest has no result for ${dateStr} ${timeValue}`);
+                return null;
+            }
+        }
+        
+        // List of possible extensions to check
+        const extensions = ['webp', 'jpeg', 'jpg', 'png', 'gif', 'bmp'];
+        
+        // Check all possible filename combinations with and without "File " prefix
+        const filenamePrefixes = ['', 'File '];
+        
+        for (const prefix of filenamePrefixes) {
+            for (const ext of extensions) {
+                const filename = `${prefix}${dateStr} ${timeValue}.${ext}`;
+                console.log(`🔍 Checking file: ${filename}`);
+                
+                try {
+                    const imageExists = await this.checkImageExists(filename);
+                    console.log(`📁 File ${filename} exists: ${imageExists}`);
+                    
+                    if (imageExists) {
                         console.log(`✅ Found matching file: ${filename}`);
                         
                         // Parse the found image to create image info
@@ -1687,8 +4134,7 @@ class ImageWebController {
                             console.log(`   Date: ${parsed.date.toDateString()}`);
                             console.log(`   Display Time: ${parsed.displayTime}`);
                             
-                            this.displayImage(parsed);
-                            return; // Found and displayed, exit
+                            return parsed;
                         } else {
                             console.log(`❌ Failed to parse: ${filename}`);
                         }
@@ -1701,11 +4147,8 @@ class ImageWebController {
             }
         }
         
-        // If we get here, no file was found
         console.log(`❌ No matching file found for ${dateStr} ${timeValue}`);
-        this.showNoImageForDateTime(date, timeValue);
-        this.currentImage = null;
-        this.updateDownloadLink();
+        return null;
     }
 
     /**
@@ -1717,7 +4160,7 @@ class ImageWebController {
         );
         
         if (imagesForDate.length > 0) {
-            // Select the image with highest priority time (8pm > 6pm > 1pm)
+            // Select the image with highest priority time (latest draw first)
             const priorityImage = this.selectImageByTimePriority(imagesForDate);
             this.displayImage(priorityImage);
             this.highlightTimeButton(priorityImage.displayTime);
@@ -1732,12 +4175,26 @@ class ImageWebController {
      * Update download link with enhanced functionality
      */
     updateDownloadLink() {
+        if (this.downloadPdfBtn && !this.pdfInProgress) {
+            this.downloadPdfBtn.disabled = !this.currentImage;
+        }
+        
+        if (this.shareBtn) {
+            this.shareBtn.disabled = !this.currentImage;
+            if (!this.currentImage || this.getShareDetails(this.currentImage).url !== this.shareURL) {
+                this.hideShareMenu();
+            }
+            if (this.currentImage && navigator.canShare) {
+                this.prepareShareFile(this.currentImage);
+            }
+        }
+        
         if (this.currentImage) {
-            this.downloadLink.href = this.currentImage.originalFilename;
+            this.downloadLink.href = this.getBrandFileURL(this.currentImage.originalFilename);
             this.downloadLink.download = this.generateDownloadFilename();
             this.downloadLink.style.opacity = '1';
             this.downloadLink.style.pointerEvents = 'auto';
-            this.downloadLink.setAttribute('aria-label', `Download lottery result for ${this.formatDateForDisplay(this.currentImage.date)} ${this.currentImage.displayTime}`);
+            this.downloadLink.setAttribute('aria-label', `Download lottery result image for ${this.formatDateForDisplay(this.currentImage.date)} ${this.currentImage.displayTime}`);
             
             // Update button text for smartwatch screens
             if (window.innerWidth <= 250) {
@@ -1745,14 +4202,14 @@ class ImageWebController {
                     <svg class="download-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
                     </svg>
-                    Get PDF
+                    Image
                 `;
             } else {
                 this.downloadLink.innerHTML = `
                     <svg class="download-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
                     </svg>
-                    Download Result
+                    Download Image
                 `;
             }
         } else {
@@ -1768,30 +4225,31 @@ class ImageWebController {
                     <svg class="download-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
                     </svg>
-                    No PDF
+                    No Image
                 `;
             } else {
                 this.downloadLink.innerHTML = `
                     <svg class="download-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
                     </svg>
-                    Download Result
+                    Download Image
                 `;
             }
         }
     }
 
     /**
-     * Generate a user-friendly filename for download
+     * Generate a user-friendly filename for download (the image's own extension unless given;
+     * the draw on screen unless another is given)
      */
-    generateDownloadFilename() {
-        if (!this.currentImage) return '';
+    generateDownloadFilename(extension = null, imageInfo = this.currentImage) {
+        if (!imageInfo) return '';
         
-        const dateStr = this.formatDateForDisplay(this.currentImage.date);
-        const timeStr = this.currentImage.displayTime;
-        const extension = this.currentImage.originalFilename.split('.').pop();
+        const dateStr = this.formatDateForDisplay(imageInfo.date);
+        const timeStr = imageInfo.displayTime;
+        const fileExtension = extension || imageInfo.originalFilename.split('.').pop();
         
-        return `Nagaland-Lottery-Result-${dateStr}-${timeStr}.${extension}`;
+        return `${this.brand.downloadPrefix}-Result-${dateStr}-${timeStr}.${fileExtension}`;
     }
 
     /**
@@ -1809,6 +4267,419 @@ class ImageWebController {
             // For smartwatch, show a brief confirmation
             this.showDownloadFeedback();
         }
+        
+        // Save the watermarked copy instead of the original file
+        if (this.watermark && this.watermark.enabled) {
+            event.preventDefault();
+            this.downloadResultImage(this.currentImage);
+        }
+    }
+    
+    async downloadResultImage(imageInfo) {
+        try {
+            const file = await this.buildResultImageFile(imageInfo);
+            this.saveBlob(file.blob, file.filename);
+            console.log(`💾 Saved ${file.filename}`);
+        } catch (error) {
+            console.log('❌ Image download failed:', error);
+            this.showSmartWatchFriendlyAlert('Could not download the image. Check your connection and try again.');
+        }
+    }
+    
+    /**
+     * Build and save a PDF of the draw on screen (no network needed)
+     */
+    async handlePdfDownload() {
+        const imageInfo = this.currentImage;
+        if (!imageInfo || this.pdfInProgress) {
+            if (!imageInfo) this.showSmartWatchFriendlyAlert('No lottery result available to download');
+            return;
+        }
+        if (typeof PdfWriter === 'undefined') {
+            this.showSmartWatchFriendlyAlert('PDF download is not available right now');
+            return;
+        }
+        
+        const label = this.downloadPdfBtn.querySelector('.download-pdf-label');
+        const originalText = label ? label.textContent : '';
+        this.pdfInProgress = true;
+        this.downloadPdfBtn.disabled = true;
+        if (label) label.textContent = 'Preparing PDF…';
+        
+        try {
+            const pdf = new PdfWriter({ title: `${this.brand.heading} ${this.formatDateForDisplay(imageInfo.date)} ${imageInfo.displayTime}` });
+            await this.addDrawToPdf(pdf, imageInfo);
+            this.addPdfPageNumbers(pdf);
+            this.saveBlob(pdf.toBlob(), this.generateDownloadFilename('pdf'));
+            console.log(`📄 PDF created for ${imageInfo.originalFilename}`);
+        } catch (error) {
+            console.log('❌ PDF creation failed:', error);
+            this.showSmartWatchFriendlyAlert('Could not create the PDF. Try downloading the image instead.');
+        } finally {
+            this.pdfInProgress = false;
+            if (label) label.textContent = originalText;
+            this.updateDownloadLink();
+        }
+    }
+    
+    /**
+     * Add one draw to a PDF: brand/date/draw header, the result image at print
+     * resolution, the winning-number table when there is one, and a source footer
+     */
+    async addDrawToPdf(pdf, imageInfo) {
+        const [image, data] = await Promise.all([
+            this.loadPrintImage(imageInfo),
+            this.loadResultData(imageInfo)
+        ]);
+        
+        const margin = 40;
+        const contentWidth = pdf.width - margin * 2;
+        const bottom = pdf.height - margin - 24; // Room for the footer
+        const subtitle = this.describeDraw(imageInfo.date, imageInfo.displayTime);
+        const sourceURL = this.buildDrawURL(imageInfo.date, imageInfo.displayTime).href;
+        let page = pdf.addPage();
+        let y = this.drawPdfPageFrame(pdf, page, subtitle, sourceURL, margin);
+        
+        // Image scaled to the page width, or the space left on the page
+        const jpeg = pdf.addJpeg(image.bytes, image.width, image.height);
+        const scale = Math.min(contentWidth / image.width, (bottom - y) / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        page.image(jpeg, margin + (contentWidth - width) / 2, y, width, height);
+        y += height + 20;
+        
+        if (!data) return;
+        
+        // Winning-number table, continued on new pages as needed
+        const columns = [{ title: 'Prize', width: 120 }, { title: 'Amount', width: 100 }, { title: 'Winning Numbers', width: contentWidth - 220 }];
+        const drawHeader = () => {
+            page.rect(margin, y, contentWidth, 20, { fill: [0.93, 0.94, 0.98] });
+            let x = margin;
+            for (const column of columns) {
+                page.text(column.title, x + 6, y + 5, { size: 10, font: 'bold' });
+                x += column.width;
+            }
+            y += 20;
+        };
+        
+        if (bottom - y < 80) {
+            page = pdf.addPage();
+            y = this.drawPdfPageFrame(pdf, page, subtitle, sourceURL, margin);
+        }
+        page.text(`Winning numbers${data.drawName ? ` – ${data.drawName}` : ''}`, margin, y, { size: 12, font: 'bold' });
+        y += 20;
+        drawHeader();
+        
+        for (const tier of data.tiers) {
+            const lines = pdf.wrapText(tier.numbers.join('   '), 10, columns[2].width - 12, 'mono');
+            const rowHeight = lines.length * 14 + 8;
+            
+            if (y + rowHeight > bottom) {
+                page = pdf.addPage();
+                y = this.drawPdfPageFrame(pdf, page, subtitle, sourceURL, margin);
+                drawHeader();
+            }
+            
+            page.text(tier.name, margin + 6, y + 5, { size: 10, font: 'bold' });
+            page.text(this.formatPrizeAmount(tier.amount), margin + columns[0].width + 6, y + 5, { size: 10 });
+            lines.forEach((line, i) => {
+                page.text(line, margin + columns[0].width + columns[1].width + 6, y + 5 + i * 14, { size: 10, font: 'mono' });
+            });
+            y += rowHeight;
+            page.line(margin, y, margin + contentWidth, y, { color: [0.85, 0.86, 0.9] });
+        }
+    }
+    
+    /**
+     * Header and source footer of a PDF page; returns where the content starts
+     */
+    drawPdfPageFrame(pdf, page, subtitle, sourceURL, margin) {
+        page.text(this.brand.heading, margin, margin, { size: 18, font: 'bold', color: [0.26, 0.22, 0.79] });
+        page.text(subtitle, margin, margin + 26, { size: 12 });
+        page.line(margin, margin + 46, pdf.width - margin, margin + 46, { width: 1, color: [0.39, 0.4, 0.95] });
+        
+        page.line(margin, pdf.height - margin - 14, pdf.width - margin, pdf.height - margin - 14, { color: [0.85, 0.86, 0.9] });
+        page.text(`Source: ${sourceURL}`, margin, pdf.height - margin - 8, { size: 8, color: [0.4, 0.45, 0.55] });
+        
+        return margin + 60;
+    }
+    
+    /**
+     * "Page 1 of 3" in every page's footer, once all pages exist
+     */
+    addPdfPageNumbers(pdf) {
+        const margin = 40;
+        pdf.pages.forEach((page, i) => {
+            page.text(`Page ${i + 1} of ${pdf.pages.length}`, pdf.width - margin, pdf.height - margin - 8, {
+                size: 8,
+                color: [0.4, 0.45, 0.55],
+                align: 'right'
+            });
+        });
+    }
+    
+    /**
+     * Result image re-encoded as JPEG, about 300 dpi across an A4 page
+     * (works for any format, and from the offline cache)
+     */
+    async loadPrintImage(imageInfo) {
+        const response = await this.fetchResultImage(imageInfo);
+        const original = await response.blob();
+        const maxWidth = 2200; // ~515pt content width at 300 dpi
+        let canvas;
+        
+        if (this.watermark && this.watermark.enabled) {
+            canvas = await this.renderWatermarkedImage(imageInfo, original, maxWidth);
+        } else {
+            const source = await this.decodeImage(original);
+            const scale = Math.min(1, maxWidth / source.width);
+            canvas = document.createElement('canvas');
+            canvas.width = Math.round(source.width * scale);
+            canvas.height = Math.round(source.height * scale);
+            
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff'; // JPEG has no transparency
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(source, 0, 0, canvas.width, canvas.height);
+        }
+        
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+        if (!blob) {
+            throw new Error('Could not encode the image');
+        }
+        return { bytes: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+    }
+    
+    /**
+     * Download a result image file (served from the offline cache when saved there)
+     */
+    async fetchResultImage(imageInfo) {
+        const response = await fetch(this.buildImageURL(imageInfo.originalFilename));
+        if (!response.ok) {
+            throw new Error(`Image download failed: HTTP ${response.status}`);
+        }
+        return response;
+    }
+    
+    /**
+     * Result image file for downloads and shares: redrawn with the watermark when it is
+     * enabled, the original file otherwise (or if the canvas step fails).
+     * Returns { blob, filename }
+     */
+    async buildResultImageFile(imageInfo) {
+        const response = await this.fetchResultImage(imageInfo);
+        const original = await response.blob();
+        if (!this.watermark || !this.watermark.enabled) {
+            return { blob: original, filename: this.generateDownloadFilename(null, imageInfo) };
+        }
+        
+        try {
+            const canvas = await this.renderWatermarkedImage(imageInfo, original);
+            const type = original.type === 'image/png' ? 'image/png' : 'image/jpeg';
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.92));
+            if (!blob) {
+                throw new Error('Could not encode the image');
+            }
+            return { blob, filename: this.generateDownloadFilename(type === 'image/png' ? 'png' : 'jpg', imageInfo) };
+        } catch (error) {
+            console.log('⚠️ Watermark failed, using the original image:', error);
+            return { blob: original, filename: this.generateDownloadFilename(null, imageInfo) };
+        }
+    }
+    
+    /**
+     * Canvas with the result, logo and site address overlay, date/draw caption and QR link
+     */
+    async renderWatermarkedImage(imageInfo, blob, maxWidth = Infinity) {
+        const [source, logo] = await Promise.all([this.decodeImage(blob), this.loadWatermarkLogo()]);
+        return this.watermark.render(source, {
+            logo,
+            siteURL: this.getWatermarkSiteURL(),
+            caption: `${this.brand.name} · ${this.describeDraw(imageInfo.date, imageInfo.displayTime)}`,
+            drawURL: this.buildDrawURL(imageInfo.date, imageInfo.displayTime).href,
+            maxWidth
+        });
+    }
+    
+    loadWatermarkLogo() {
+        if (!this.watermarkLogo) {
+            const logoURL = this.watermark.config.logo;
+            this.watermarkLogo = !logoURL ? Promise.resolve(null) : fetch(logoURL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.blob();
+                })
+                .then(blob => this.decodeImage(blob))
+                .catch(error => {
+                    console.log('⚠️ Watermark logo not available:', error);
+                    return null;
+                });
+        }
+        return this.watermarkLogo;
+    }
+    
+    /**
+     * Address printed on images: the configured one, or this site without the protocol
+     */
+    getWatermarkSiteURL() {
+        const configured = this.watermark.config.siteURL;
+        if (configured) return configured;
+        
+        return `${window.location.host}${window.location.pathname.replace(/index\.html$/, '')}`.replace(/\/$/, '');
+    }
+    
+    decodeImage(blob) {
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(blob);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read the image'));
+            };
+            img.src = url;
+        });
+    }
+    
+    /**
+     * Save a generated file
+     */
+    saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+    
+    /**
+     * Title, text and deep link shared for a draw
+     */
+    getShareDetails(imageInfo) {
+        const slot = this.schedule.getSlot(imageInfo.displayTime);
+        return {
+            title: this.brand.heading,
+            text: LotteryBrands.shareText(this.brand, this.formatDateForDisplay(imageInfo.date), slot ? slot.label : imageInfo.displayTime),
+            url: this.buildDrawURL(imageInfo.date, imageInfo.displayTime).href
+        };
+    }
+    
+    /**
+     * Result image as a File for the share sheet, fetched before the tap
+     * (browsers only open the share sheet straight after one)
+     */
+    prepareShareFile(imageInfo) {
+        const key = this.getBrandFileURL(imageInfo.originalFilename);
+        if (this.shareFile && this.shareFile.key === key) {
+            return this.shareFile.promise;
+        }
+        
+        const promise = this.buildResultImageFile(imageInfo)
+            .then(file => new File([file.blob], file.filename, { type: file.blob.type || 'image/jpeg' }))
+            .catch(error => {
+                console.log('⚠️ Share: result image not available as a file:', error);
+                return null;
+            });
+        this.shareFile = { key, promise };
+        return promise;
+    }
+    
+    /**
+     * Share the draw on screen: the image file and link through the Web Share API
+     * where supported, otherwise the copy link / WhatsApp / Telegram menu
+     */
+    async handleShare() {
+        const imageInfo = this.currentImage;
+        if (!imageInfo) {
+            this.showSmartWatchFriendlyAlert('No lottery result available to share');
+            return;
+        }
+        if (!this.shareMenu.hidden) {
+            this.hideShareMenu();
+            return;
+        }
+        
+        const details = this.getShareDetails(imageInfo);
+        if (navigator.share) {
+            const file = await this.prepareShareFile(imageInfo);
+            const data = file && navigator.canShare && navigator.canShare({ files: [file] })
+                // Some apps drop `url` when a file is attached, so the link goes in the text too
+                ? { title: details.title, text: `${details.text}\n${details.url}`, files: [file] }
+                : details;
+            
+            try {
+                await navigator.share(data);
+                console.log(`📤 Shared ${imageInfo.originalFilename}${data.files ? ' with the image' : ''}`);
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return; // Share sheet closed
+                console.log('⚠️ Web Share failed, showing share links instead:', error);
+            }
+        }
+        
+        this.showShareMenu(details);
+    }
+    
+    showShareMenu(details) {
+        this.shareURL = details.url;
+        this.shareWhatsApp.href = `https://wa.me/?text=${encodeURIComponent(`${details.text}\n${details.url}`)}`;
+        this.shareTelegram.href = `https://t.me/share/url?url=${encodeURIComponent(details.url)}&text=${encodeURIComponent(details.text)}`;
+        this.shareFeedback.textContent = '';
+        this.shareMenu.hidden = false;
+        this.shareBtn.setAttribute('aria-expanded', 'true');
+        this.shareCopy.focus();
+    }
+    
+    hideShareMenu({ restoreFocus = false } = {}) {
+        if (!this.shareMenu || this.shareMenu.hidden) return;
+        
+        this.shareMenu.hidden = true;
+        this.shareBtn.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) {
+            this.shareBtn.focus();
+        }
+    }
+    
+    /**
+     * Copy the draw's link (clipboard API, or a hidden text field on older browsers)
+     */
+    async copyShareLink() {
+        const url = this.shareURL;
+        try {
+            if (navigator.clipboard && window.isSecureContext) {
+                await navigator.clipboard.writeText(url);
+            } else {
+                const field = document.createElement('textarea');
+                field.value = url;
+                field.setAttribute('readonly', '');
+                field.style.position = 'fixed';
+                field.style.opacity = '0';
+                document.body.appendChild(field);
+                field.select();
+                const copied = document.execCommand('copy');
+                field.remove();
+                if (!copied) {
+                    throw new Error('Copy command refused');
+                }
+            }
+            this.shareFeedback.textContent = 'Link copied';
+            console.log(`📋 Copied ${url}`);
+        } catch (error) {
+            console.log('❌ Copy failed:', error);
+            this.shareFeedback.textContent = `Copy this link: ${url}`;
+        }
     }
     
     /**
@@ -1865,19 +4736,20 @@ class ImageWebController {
      * Refresh available images (useful for real-time updates)
      */
     async refreshImages() {
+        // Re-read the results manifest on next lookup
+        this.manifestPromise = null;
+        
         // Clear server cache if available
         try {
-            await fetch('api/get-images.php?action=clear-cache');
+            await fetch(this.buildApiURL({ action: 'clear-cache' }));
             console.log('🧹 Server cache cleared');
         } catch (error) {
             console.log('⚠️ Could not clear server cache:', error.message);
         }
         
-        // Reload images
-        await this.loadAvailableImages();
-        
-        // Re-run priority search to find newest images
-        await this.loadPriorityImageInBackground();
+        // Look for a result newer than the one shown (notifies and switches to it),
+        // then reload all images for the calendar
+        await this.scanForNewerImagesInBackground();
         
         console.log('✅ Images refreshed successfully');
     }
@@ -1893,7 +4765,7 @@ class ImageWebController {
         
         // Clear all caches
         try {
-            await fetch('api/get-images.php?action=clear-cache', {
+            await fetch(this.buildApiURL({ action: 'clear-cache' }), {
                 cache: 'no-store'
             });
             console.log('🧹 Server cache cleared');
@@ -1904,9 +4776,10 @@ class ImageWebController {
         // Reset available images
         this.availableImages = [];
         this.currentImage = null;
+        this.manifestPromise = null;
         
         // Force reload from scratch
-        await this.loadPriorityImageInBackground();
+        await this.showFirstAvailableImageInstantly();
         
         console.log('✅ Force refresh completed');
     }
@@ -1923,7 +4796,7 @@ class ImageWebController {
         // Clear server cache with cache busting
         try {
             const cacheBuster = Date.now();
-            await fetch(`api/get-images.php?action=clear-cache&_t=${cacheBuster}`, {
+            await fetch(this.buildApiURL({ action: 'clear-cache', _t: cacheBuster }), {
                 cache: 'no-store',
                 headers: {
                     'Cache-Control': 'no-cache',
@@ -1938,6 +4811,7 @@ class ImageWebController {
         // Reset everything
         this.availableImages = [];
         this.currentImage = null;
+        this.manifestPromise = null;
         
         // Force complete reload with cache busting for images
         await this.loadPriorityImageInBackgroundWithCacheBust();
@@ -1954,13 +4828,12 @@ class ImageWebController {
         const cacheBuster = Date.now();
         
         try {
-            const today = new Date();
+            const today = this.getISTToday();
             const todayStr = this.formatDateForFilename(today);
-            const priorityTimes = ['8pm', '6pm', '1pm'];
             const extensions = ['webp', 'jpeg', 'jpg', 'png'];
             
             // Check today's images with cache busting
-            for (const time of priorityTimes) {
+            for (const time of this.getDrawSlots(today)) {
                 for (const ext of extensions) {
                     const filename = `${todayStr} ${time}.${ext}`;
                     console.log(`💥 CACHE BUST: Checking ${filename}...`);
@@ -1997,7 +4870,7 @@ class ImageWebController {
                 date.setDate(today.getDate() - daysBack);
                 const dateStr = this.formatDateForFilename(date);
                 
-                for (const time of priorityTimes) {
+                for (const time of this.getDrawSlots(date)) {
                     for (const ext of extensions) {
                         const filename = `${dateStr} ${time}.${ext}`;
                         
@@ -2069,7 +4942,7 @@ class ImageWebController {
             };
             
             // Add cache buster to image URL
-            img.src = `${filename}?_t=${cacheBuster}`;
+            img.src = `${this.getBrandFileURL(filename)}?_t=${cacheBuster}`;
         });
     }
     
@@ -2081,7 +4954,7 @@ class ImageWebController {
         
         // Create image element with cache buster
         const img = document.createElement('img');
-        img.src = `${imageInfo.originalFilename}?_t=${cacheBuster}`;
+        img.src = `${this.getBrandFileURL(imageInfo.originalFilename)}?_t=${cacheBuster}`;
         img.alt = `Lottery Result - ${this.formatDateForDisplay(imageInfo.date)} ${imageInfo.displayTime}`;
         img.style.cssText = `
             width: 100%;
@@ -2095,9 +4968,9 @@ class ImageWebController {
         
         // Handle image load
         img.onload = () => {
-            this.resultContainer.innerHTML = '';
-            this.resultContainer.appendChild(img);
+            this.showResultImage(img);
             this.updateDownloadLink();
+            this.renderResultNumbers(imageInfo);
             console.log(`💥 Fresh image displayed with cache bust: ${imageInfo.originalFilename}`);
         };
         
@@ -2141,30 +5014,57 @@ class ImageWebController {
     }
     
     /**
-     * Show calendar
+     * Show calendar on the selected date's month, with focus on that day
      */
     showCalendar() {
         this.datePickerCalendar.classList.add('show');
         this.isCalendarOpen = true;
+        this.dateDisplay?.setAttribute('aria-expanded', 'true');
+        
+        this.focusedDate = new Date(this.currentDate);
+        this.displayedMonth = new Date(this.currentDate.getFullYear(), this.currentDate.getMonth(), 1);
+        this.hideMonthJump();
         this.renderCalendar();
+        this.focusCalendarDay();
     }
     
     /**
-     * Hide calendar
+     * Hide calendar; focus goes back to the date display when it was inside
      */
-    hideCalendar() {
+    hideCalendar({ restoreFocus = true } = {}) {
+        if (!this.isCalendarOpen) return;
+        
+        const hadFocus = this.datePickerCalendar.contains(document.activeElement);
         this.datePickerCalendar.classList.remove('show');
         this.isCalendarOpen = false;
+        this.dateDisplay?.setAttribute('aria-expanded', 'false');
+        this.hideMonthJump();
+        
+        if (restoreFocus && hadFocus && this.dateDisplay) {
+            this.dateDisplay.focus();
+        }
     }
     
     /**
-     * Navigate to different month
+     * Navigate to different month (the focused day moves with it)
      */
     navigateMonth(direction) {
-        this.displayedMonth.setMonth(this.displayedMonth.getMonth() + direction);
+        const base = this.focusedDate || this.displayedMonth;
+        this.focusedDate = this.addMonths(base, direction);
+        this.displayedMonth = new Date(this.focusedDate.getFullYear(), this.focusedDate.getMonth(), 1);
         this.renderCalendar();
     }
     
+    /**
+     * Same day n months later, clamped to the month's length (31 Jan + 1 -> 28/29 Feb)
+     */
+    addMonths(date, months) {
+        const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(date.getDate(), lastDay));
+        return target;
+    }
+    
     /**
      * Update the date display text
      */
@@ -2177,64 +5077,66 @@ class ImageWebController {
         
         // Update hidden input for form compatibility
         this.datePicker.value = this.formatDateForInput(this.currentDate);
+        
+        // Slots can differ by date (weekdays, schedule changes)
+        this.renderTimeButtons();
     }
     
     /**
-     * Render calendar grid
+     * Render calendar grid: six week rows, one focusable day (roving tabindex)
      */
     renderCalendar() {
-        const monthNames = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-        ];
-        
-        const month = monthNames[this.displayedMonth.getMonth()];
         const year = this.displayedMonth.getFullYear();
+        const monthIndex = this.displayedMonth.getMonth();
         
         // Update month/year display
-        this.calendarMonthYear.textContent = `${month} ${year}`;
+        this.calendarMonthYear.textContent = `${MONTH_NAMES[monthIndex]} ${year}`;
         
-        // Clear existing days
-        this.calendarDays.innerHTML = '';
+        // Keep keyboard focus in the month on screen
+        if (!this.focusedDate || this.focusedDate.getFullYear() !== year || this.focusedDate.getMonth() !== monthIndex) {
+            const selectedShown = this.currentDate.getFullYear() === year && this.currentDate.getMonth() === monthIndex;
+            this.focusedDate = selectedShown ? new Date(this.currentDate) : new Date(year, monthIndex, 1);
+        }
         
-        // Get first day of month and number of days
-        const firstDay = new Date(this.displayedMonth.getFullYear(), this.displayedMonth.getMonth(), 1);
-        const lastDay = new Date(this.displayedMonth.getFullYear(), this.displayedMonth.getMonth() + 1, 0);
-        const daysInMonth = lastDay.getDate();
-        const startingDayOfWeek = firstDay.getDay();
+        // Background refreshes re-render too; keep keyboard focus in the grid
+        const hadFocus = this.calendarDays.contains(document.activeElement);
         
-        // Add previous month's trailing days
-        const prevMonth = new Date(this.displayedMonth.getFullYear(), this.displayedMonth.getMonth() - 1, 0);
-        for (let i = startingDayOfWeek - 1; i >= 0; i--) {
-            const day = prevMonth.getDate() - i;
-            this.createCalendarDay(day, true, new Date(prevMonth.getFullYear(), prevMonth.getMonth(), day));
-        }
+        // Clear existing weeks
+        this.calendarDays.innerHTML = '';
         
-        // Add current month's days
-        for (let day = 1; day <= daysInMonth; day++) {
-            const date = new Date(this.displayedMonth.getFullYear(), this.displayedMonth.getMonth(), day);
-            this.createCalendarDay(day, false, date);
+        // 6 weeks × 7 days, starting on the Sunday on or before the 1st
+        const firstDay = new Date(year, monthIndex, 1);
+        let row = null;
+        for (let i = 0; i < 42; i++) {
+            if (i % 7 === 0) {
+                row = document.createElement('div');
+                row.className = 'calendar-week';
+                row.setAttribute('role', 'row');
+                this.calendarDays.appendChild(row);
+            }
+            
+            const date = new Date(year, monthIndex, 1 - firstDay.getDay() + i);
+            row.appendChild(this.createCalendarDay(date.getDate(), date.getMonth() !== monthIndex, date));
         }
         
-        // Add next month's leading days to fill the grid
-        const totalCells = this.calendarDays.children.length;
-        const remainingCells = 42 - totalCells; // 6 weeks × 7 days
-        const nextMonth = new Date(this.displayedMonth.getFullYear(), this.displayedMonth.getMonth() + 1, 1);
-        
-        for (let day = 1; day <= Math.min(remainingCells, 14); day++) {
-            const date = new Date(nextMonth.getFullYear(), nextMonth.getMonth(), day);
-            this.createCalendarDay(day, true, date);
+        if (hadFocus) {
+            this.focusCalendarDay();
         }
     }
     
     /**
-     * Create a calendar day element
+     * Create a calendar day cell
      */
     createCalendarDay(dayNumber, isOtherMonth, date) {
         const dayElement = document.createElement('button');
         dayElement.type = 'button';
         dayElement.className = 'calendar-day';
         dayElement.textContent = dayNumber;
+        dayElement.setAttribute('role', 'gridcell');
+        dayElement.setAttribute('data-date', this.formatDateForFilename(date));
+        
+        const isFocused = date.toDateString() === this.focusedDate.toDateString();
+        dayElement.tabIndex = isFocused ? 0 : -1;
         
         // Add classes based on day type
         if (isOtherMonth) {
@@ -2242,33 +5144,259 @@ class ImageWebController {
         }
         
         // Check if it's today
-        const today = new Date();
-        if (date.toDateString() === today.toDateString()) {
+        if (this.isISTToday(date)) {
             dayElement.classList.add('today');
+            dayElement.setAttribute('aria-current', 'date');
         }
         
         // Check if it's the selected date
-        if (date.toDateString() === this.currentDate.toDateString()) {
+        const isSelected = date.toDateString() === this.currentDate.toDateString();
+        dayElement.setAttribute('aria-selected', String(isSelected));
+        if (isSelected) {
             dayElement.classList.add('selected');
         }
         
-        // Check if there are lottery results for this date
-        const hasResults = this.availableImages.some(img => 
-            img.date.toDateString() === date.toDateString()
-        );
+        // One coloured marker per draw with a result, matching the time buttons
+        const resultSlots = this.getResultSlots(date);
+        const spokenDate = date.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+        let disabled = false;
         
-        if (hasResults) {
+        if (resultSlots.length > 0) {
             dayElement.classList.add('has-result');
-            dayElement.title = `Lottery results available for ${date.toDateString()}`;
+            dayElement.title = `${date.toDateString()}: ${resultSlots.map(slot => slot.label).join(', ')}`;
+            dayElement.setAttribute('aria-label', `${spokenDate}, results: ${resultSlots.map(slot => slot.label).join(', ')}`);
+            
+            const markers = document.createElement('span');
+            markers.className = 'calendar-markers';
+            markers.setAttribute('aria-hidden', 'true');
+            for (const slot of resultSlots) {
+                const marker = document.createElement('span');
+                marker.className = `calendar-marker marker-${(slot.buttonClass || 'btn-primary').replace('btn-', '')}`;
+                markers.appendChild(marker);
+            }
+            dayElement.appendChild(markers);
+        } else if (this.archiveComplete && !this.isISTToday(date)) {
+            // Today stays open for the countdown and "result awaited" view.
+            // Disabled days stay focusable so arrow keys can move across them.
+            disabled = true;
+            dayElement.classList.add('disabled');
+            dayElement.setAttribute('aria-disabled', 'true');
+            dayElement.title = `No results for ${date.toDateString()}`;
+            dayElement.setAttribute('aria-label', `${spokenDate}, no results`);
+        } else {
+            dayElement.setAttribute('aria-label', spokenDate);
         }
         
         // Add click event
         dayElement.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.selectDate(new Date(date));
+            if (!disabled) {
+                this.selectDate(new Date(date));
+            }
+        });
+        
+        return dayElement;
+    }
+    
+    /**
+     * Arrow keys, Home/End and PageUp/PageDown (Shift: by year) move the focused day
+     */
+    handleCalendarKeydown(e) {
+        const cell = e.target.closest('[data-date]');
+        if (!cell) return;
+        
+        const date = this.parseDrawDate(cell.getAttribute('data-date'));
+        const byDays = days => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+        let target;
+        
+        switch (e.key) {
+            case 'ArrowLeft':
+                target = byDays(-1);
+                break;
+            case 'ArrowRight':
+                target = byDays(1);
+                break;
+            case 'ArrowUp':
+                target = byDays(-7);
+                break;
+            case 'ArrowDown':
+                target = byDays(7);
+                break;
+            case 'Home':
+                target = byDays(-date.getDay());
+                break;
+            case 'End':
+                target = byDays(6 - date.getDay());
+                break;
+            case 'PageUp':
+                target = this.addMonths(date, e.shiftKey ? -12 : -1);
+                break;
+            case 'PageDown':
+                target = this.addMonths(date, e.shiftKey ? 12 : 1);
+                break;
+            default:
+                return; // Enter and Space click the day button
+        }
+        
+        e.preventDefault();
+        this.moveCalendarFocus(target);
+    }
+    
+    /**
+     * Focus a day, switching month when it is outside the one shown
+     */
+    moveCalendarFocus(date) {
+        this.focusedDate = date;
+        this.displayedMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+        this.renderCalendar();
+        this.focusCalendarDay();
+    }
+    
+    focusCalendarDay() {
+        const cell = this.calendarDays?.querySelector('[tabindex="0"]');
+        if (cell) {
+            cell.focus();
+        }
+    }
+    
+    /**
+     * Month/year jump view, opened from the month heading
+     */
+    toggleMonthJump() {
+        if (!this.calendarJump) return;
+        
+        if (this.calendarJump.hidden) {
+            this.showMonthJump();
+        } else {
+            this.hideMonthJump({ focusGrid: true });
+        }
+    }
+    
+    showMonthJump() {
+        this.jumpYear = this.displayedMonth.getFullYear();
+        this.calendarJump.hidden = false;
+        this.calendarGrid.hidden = true;
+        this.calendarMonthYear.setAttribute('aria-expanded', 'true');
+        this.renderMonthJump();
+        
+        const current = this.calendarMonths.querySelector('[aria-current="true"]') || this.calendarMonths.querySelector('button:not(:disabled)');
+        if (current) {
+            current.focus();
+        }
+    }
+    
+    hideMonthJump({ focusGrid = false } = {}) {
+        if (!this.calendarJump || this.calendarJump.hidden) return;
+        
+        this.calendarJump.hidden = true;
+        this.calendarGrid.hidden = false;
+        this.calendarMonthYear.setAttribute('aria-expanded', 'false');
+        if (focusGrid) {
+            this.focusCalendarDay();
+        }
+    }
+    
+    /**
+     * Month buttons for the jump year; months after this one are disabled
+     */
+    renderMonthJump() {
+        const today = this.getISTToday();
+        this.calendarJumpYear.textContent = String(this.jumpYear);
+        this.nextYearBtn.disabled = this.jumpYear >= today.getFullYear();
+        
+        this.calendarMonths.innerHTML = '';
+        MONTH_NAMES.forEach((name, month) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'calendar-month';
+            button.setAttribute('data-month', String(month));
+            button.setAttribute('aria-label', `${name} ${this.jumpYear}`);
+            button.textContent = name.slice(0, 3);
+            button.disabled = this.jumpYear > today.getFullYear() ||
+                (this.jumpYear === today.getFullYear() && month > today.getMonth());
+            
+            if (this.jumpYear === this.displayedMonth.getFullYear() && month === this.displayedMonth.getMonth()) {
+                button.setAttribute('aria-current', 'true');
+            }
+            if (this.monthHasResults(this.jumpYear, month)) {
+                button.classList.add('has-result');
+            }
+            this.calendarMonths.appendChild(button);
         });
+    }
+    
+    changeJumpYear(direction) {
+        this.jumpYear += direction;
+        this.renderMonthJump();
+    }
+    
+    /**
+     * Show a month from the jump view, keeping the focused day where possible
+     */
+    jumpToMonth(month) {
+        const day = (this.focusedDate || this.currentDate).getDate();
+        const lastDay = new Date(this.jumpYear, month + 1, 0).getDate();
+        
+        this.hideMonthJump();
+        this.moveCalendarFocus(new Date(this.jumpYear, month, Math.min(day, lastDay)));
+    }
+    
+    /**
+     * Check the archive index has any result in a month
+     */
+    monthHasResults(year, month) {
+        if (!this.archiveIndex) return false;
+        const suffix = `-${String(month + 1).padStart(2, '0')}-${year}`;
+        for (const key of this.archiveIndex.keys()) {
+            if (key.endsWith(suffix)) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Index of which slots have a result on which day: 'DD-MM-YYYY' -> Set of slots
+     */
+    buildArchiveIndex(images) {
+        const index = new Map();
+        for (const image of images) {
+            if (!image || !image.date || !image.displayTime) continue;
+            const key = this.formatDateForFilename(image.date);
+            if (!index.has(key)) {
+                index.set(key, new Set());
+            }
+            index.get(key).add(image.displayTime);
+        }
+        return index;
+    }
+    
+    /**
+     * Record a newly found result in the calendar index
+     */
+    addToArchiveIndex(imageInfo) {
+        if (!this.archiveIndex) return;
+        const key = this.formatDateForFilename(imageInfo.date);
+        if (!this.archiveIndex.has(key)) {
+            this.archiveIndex.set(key, new Set());
+        }
+        this.archiveIndex.get(key).add(imageInfo.displayTime);
+    }
+    
+    /**
+     * Schedule slots (earliest first) that have a result on a date
+     * Falls back to the recent scan until the archive index has loaded.
+     */
+    getResultSlots(date) {
+        let slots;
+        if (this.archiveIndex) {
+            slots = this.archiveIndex.get(this.formatDateForFilename(date)) || new Set();
+        } else {
+            slots = new Set(this.availableImages
+                .filter(img => img.date.toDateString() === date.toDateString())
+                .map(img => img.displayTime));
+        }
+        if (slots.size === 0) return [];
         
-        this.calendarDays.appendChild(dayElement);
+        return this.schedule.allSlots().filter(slot => slots.has(slot.slot));
     }
     
     /**
@@ -2284,16 +5412,17 @@ class ImageWebController {
         this.hideCalendar();
         
         console.log(`🗓️ Date selected: ${this.currentDate.toDateString()}`);
+        this.updateURLForDraw(this.currentDate, null);
         
         // Trigger date change event for image loading
         this.handleDateChange();
     }
     
     /**
-     * Select image by time priority: 8pm > 6pm > 1pm
+     * Select image by time priority: latest draw of the day first
      */
     selectImageByTimePriority(images) {
-        const timePriority = ['8pm', '6pm', '1pm'];
+        const timePriority = this.getAllDrawSlots();
         
         // Find the highest priority time available
         for (const preferredTime of timePriority) {
@@ -2310,7 +5439,7 @@ class ImageWebController {
     }
     
     /**
-     * Find image for date with priority order (8pm > 6pm > 1pm)
+     * Find image for date with priority order (latest draw first)
      */
     async findImageForDateWithPriority(date) {
         const day = String(date.getDate()).padStart(2, '0');
@@ -2318,7 +5447,7 @@ class ImageWebController {
         const year = date.getFullYear();
         const dateStr = `${day}-${month}-${year}`;
         
-        const timePriority = ['8pm', '6pm', '1pm'];
+        const timePriority = this.getDrawSlots(date);
         const extensions = ['webp', 'jpeg', 'jpg', 'png', 'gif', 'bmp'];
         const prefixes = ['', 'File '];
         
@@ -2332,19 +5461,7 @@ class ImageWebController {
             const serverResult = await this.findImageOnServer(dateStr, time);
             if (serverResult) {
                 console.log(`🚀 Server found ${time} image: ${serverResult.filename}`);
-                const parsed = {
-                    originalFilename: serverResult.filename,
-                    filename: serverResult.filename,
-                    date: new Date(serverResult.year, serverResult.month - 1, serverResult.day, serverResult.hour24, 0, 0),
-                    day: serverResult.day,
-                    month: serverResult.month,
-                    year: serverResult.year,
-                    hour: serverResult.hour,
-                    period: serverResult.period,
-                    hour24: serverResult.hour24,
-                    displayTime: serverResult.displayTime,
-                    timestamp: serverResult.timestamp
-                };
+                const parsed = this.serverImageToImageInfo(serverResult);
                 
                 this.displayImage(parsed);
                 this.highlightTimeButton(parsed.displayTime);
@@ -2389,10 +5506,23 @@ class ImageWebController {
 // Initialize the application when DOM is loaded
 let imageWeb;
 
-document.addEventListener('DOMContentLoaded', function() {
-    imageWeb = new ImageWebController();
-    console.log('Image Web initialized successfully!');
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        // Other pages (archive.html) load this file for its helpers only
+        if (!document.getElementById('result-container')) {
+            return;
+        }
+        imageWeb = new ImageWebController();
+        console.log('Image Web initialized successfully!');
+    });
+}
 
 // Export for global access
-window.ImageWeb = ImageWebController;
+if (typeof window !== 'undefined') {
+    window.ImageWeb = ImageWebController;
+}
+
+// Export for Node build tools (tools/*.js reuse parseImageName)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageWebController;
+}
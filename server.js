@@ -0,0 +1,645 @@
+#!/usr/bin/env node
+/**
+ * Local Node server - serves the site and implements api/get-images.php
+ * Usage: node server.js   (PORT and IMAGE_DIR environment variables are optional;
+ *        result images, renditions, result data and results.json are served from IMAGE_DIR)
+ *
+ * api/get-images.php actions (same JSON the client in script.js expects):
+ *   ?action=list                      -> { success, images[], count }
+ *   ?action=find&date=DD-MM-YYYY&time=1pm -> { success, found, image }
+ *   ?action=clear-cache               -> { success, message }
+ * Every action takes an optional &brand=<id> from brands.js (default nagaland).
+ *
+ * Result notifications (local stand-in for Web Push, see tools/lib/push-hub.js):
+ *   GET  api/push/events              -> Server-Sent Events stream of new results
+ *   POST api/push/send {brand, date, slot} -> push a result to every listener (localhost only)
+ * New result images are also pushed automatically when they appear (set PUSH_WATCH=0 to turn off).
+ *
+ * Admin page for publishing results (needs ADMIN_PASSWORD; HTTP Basic auth, any user name):
+ *   GET  admin/                       -> upload, replace and unpublish page (tools/admin/)
+ *   GET  api/admin/results?brand=     -> { success, images[] } every published file of the brand
+ *   POST api/admin/upload?brand=&date=DD-MM-YYYY&slot=1pm[&replace=1]  (body: the image)
+ *   POST api/admin/unpublish {brand, date, slot}
+ * Publishing rebuilds the brand's results.json (see tools/lib/publish.js).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const LotteryBrands = require('./brands.js');
+const DrawSchedule = require('./draw-schedule.js');
+const { PushHub } = require('./tools/lib/push-hub');
+const { SITE_ROOT, MANIFEST_FILENAME, RENDITIONS, IMAGE_EXTENSIONS, brandImageDir, parseImageName, scanResultImages } = require('./tools/lib/results');
+const { publishImage, unpublishImage } = require('./tools/lib/publish');
+
+const PORT = parseInt(process.env.PORT, 10) || 8000;
+const IMAGE_DIR = process.env.IMAGE_DIR ? path.resolve(process.env.IMAGE_DIR) : SITE_ROOT;
+const LISTING_TTL = 60 * 1000; // Re-scan the image directory at most once a minute
+const PUSH_WATCH_INTERVAL = 30 * 1000; // How often new result images are looked for
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const ADMIN_DIR = path.join(__dirname, 'tools', 'admin');
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf'
+};
+
+// Files that are never served
+const BLOCKED_FILES = new Set(['.git', 'server.js', 'tools', 'send-email.php']);
+
+/**
+ * In-memory cache of the image listing per brand id: { images, loadedAt }
+ */
+const listingCache = new Map();
+
+function clearListingCache(brandId) {
+    if (brandId) {
+        listingCache.delete(brandId);
+    } else {
+        listingCache.clear();
+    }
+}
+
+/**
+ * Convert a scanned manifest entry to the get-images.php image shape
+ */
+function toApiImage(entry) {
+    const parsed = parseImageName(entry.filename);
+    const mtime = new Date(entry.mtime);
+
+    return {
+        filename: entry.filename,
+        day: parsed.day,
+        month: parsed.month,
+        year: parsed.year,
+        hour: parsed.hour,
+        period: parsed.period,
+        hour24: parsed.hour24,
+        displayTime: parsed.displayTime,
+        date: entry.date,
+        timestamp: Math.floor(parsed.date.getTime() / 1000),
+        fileSize: entry.size,
+        lastModified: Math.floor(mtime.getTime() / 1000)
+    };
+}
+
+/**
+ * List result images newest first, one per draw (preferred format wins)
+ */
+function listImages(brand = LotteryBrands.getDefault()) {
+    const now = Date.now();
+    const cached = listingCache.get(brand.id);
+    if (cached && now - cached.loadedAt < LISTING_TTL) {
+        return cached.images;
+    }
+
+    // A brand with no images yet has no folder
+    const dir = brandImageDir(brand, IMAGE_DIR);
+    const entries = fs.existsSync(dir) ? scanResultImages(dir) : [];
+
+    const byDraw = new Map();
+    for (const entry of entries) {
+        const key = `${entry.date} ${entry.slot}`;
+        const existing = byDraw.get(key);
+        if (!existing || IMAGE_EXTENSIONS.indexOf(entry.extension) < IMAGE_EXTENSIONS.indexOf(existing.extension)) {
+            byDraw.set(key, entry);
+        }
+    }
+
+    const images = Array.from(byDraw.values()).map(toApiImage);
+    listingCache.set(brand.id, { images, loadedAt: now });
+    console.log(`📂 Listed ${images.length} ${brand.name} result images from ${dir}`);
+    return images;
+}
+
+/**
+ * Normalise a DD-MM-YYYY date so 4-11-2025 and 04-11-2025 both match
+ */
+function normaliseDate(dateStr) {
+    const match = /^(\d{1,2})-(\d{1,2})-(\d{4})$/.exec(dateStr || '');
+    if (!match) return null;
+    return `${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}-${match[3]}`;
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * api/get-images.php handler
+ */
+function handleGetImages(req, res, url) {
+    const action = url.searchParams.get('action') || 'list';
+    const brand = LotteryBrands.get(url.searchParams.get('brand') || LotteryBrands.DEFAULT_ID);
+
+    if (!brand) {
+        sendJSON(res, 400, { success: false, error: `Unknown brand: ${url.searchParams.get('brand')}` });
+        return;
+    }
+
+    try {
+        switch (action) {
+            case 'list': {
+                const images = listImages(brand);
+                sendJSON(res, 200, { success: true, images, count: images.length });
+                return;
+            }
+
+            case 'find': {
+                const date = normaliseDate(url.searchParams.get('date'));
+                const time = (url.searchParams.get('time') || '').toLowerCase();
+
+                if (!date || !time) {
+                    sendJSON(res, 400, { success: false, error: 'date (DD-MM-YYYY) and time are required' });
+                    return;
+                }
+
+                const image = listImages(brand).find(img => img.date === date && img.displayTime === time) || null;
+                sendJSON(res, 200, { success: true, found: Boolean(image), image });
+                return;
+            }
+
+            case 'clear-cache':
+                clearListingCache(brand.id);
+                sendJSON(res, 200, { success: true, message: 'Cache cleared' });
+                return;
+
+            default:
+                sendJSON(res, 400, { success: false, error: `Unknown action: ${action}` });
+        }
+    } catch (error) {
+        console.error('❌ get-images failed:', error);
+        sendJSON(res, 500, { success: false, error: 'Could not read result images' });
+    }
+}
+
+const pushHub = new PushHub();
+
+/**
+ * Notification payload for one draw of a brand
+ */
+function resultPayload(brand, date, slot) {
+    const scheduleSlot = DrawSchedule.forBrand(brand.id).getSlot(slot);
+    return LotteryBrands.resultNotification(brand, date, slot, scheduleSlot ? scheduleSlot.label : null);
+}
+
+/**
+ * Read a small JSON request body
+ */
+function readJSONBody(req, limit = 16 * 1024) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > limit) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function isLocalRequest(req) {
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+/**
+ * api/push/events - keep a browser listening for new results
+ */
+function handlePushEvents(req, res) {
+    pushHub.connect(req, res);
+}
+
+/**
+ * api/push/send - push a result by hand, e.g. from tools/push-result.js
+ */
+async function handlePushSend(req, res) {
+    if (req.method !== 'POST') {
+        sendJSON(res, 405, { success: false, error: 'Use POST' });
+        return;
+    }
+    if (!isLocalRequest(req)) {
+        sendJSON(res, 403, { success: false, error: 'Only allowed from this computer' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJSONBody(req);
+    } catch (error) {
+        sendJSON(res, 400, { success: false, error: error.message });
+        return;
+    }
+
+    const brand = LotteryBrands.get(body.brand || LotteryBrands.DEFAULT_ID);
+    const date = normaliseDate(body.date);
+    const slot = String(body.slot || '').toLowerCase();
+    if (!brand || !date || !slot) {
+        sendJSON(res, 400, { success: false, error: 'brand, date (DD-MM-YYYY) and slot are required' });
+        return;
+    }
+
+    const payload = resultPayload(brand, date, slot);
+    const delivered = pushHub.send(payload);
+    console.log(`🔔 Pushed ${payload.tag} to ${delivered} listeners`);
+    sendJSON(res, 200, { success: true, delivered, payload });
+}
+
+/**
+ * Push every result image that appears after the server started
+ */
+function watchForNewResults() {
+    const seen = new Map();
+
+    const scan = () => {
+        for (const brand of LotteryBrands.all()) {
+            clearListingCache(brand.id);
+            let images;
+            try {
+                images = listImages(brand);
+            } catch (error) {
+                console.error(`❌ Could not scan ${brand.name} images:`, error.message);
+                continue;
+            }
+
+            const keys = new Set(images.map(img => `${img.date} ${img.displayTime}`));
+            const known = seen.get(brand.id);
+            seen.set(brand.id, keys);
+            if (!known) continue; // First scan only records what is already there
+
+            for (const img of images) {
+                if (!known.has(`${img.date} ${img.displayTime}`)) {
+                    const delivered = pushHub.send(resultPayload(brand, img.date, img.displayTime));
+                    console.log(`🔔 New result ${brand.name} ${img.filename} pushed to ${delivered} listeners`);
+                }
+            }
+        }
+    };
+
+    scan();
+    return setInterval(scan, PUSH_WATCH_INTERVAL);
+}
+
+/**
+ * HTTP Basic auth against ADMIN_PASSWORD; answers the request itself when it fails
+ */
+function checkAdminAuth(req, res) {
+    if (!ADMIN_PASSWORD) {
+        res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('The admin page is turned off. Start the server with ADMIN_PASSWORD set to use it.');
+        return false;
+    }
+
+    const match = /^Basic\s+(.+)$/i.exec(req.headers.authorization || '');
+    const credentials = match ? Buffer.from(match[1], 'base64').toString('utf8') : '';
+    const password = credentials.slice(credentials.indexOf(':') + 1);
+
+    // Compare digests so the check takes the same time whatever was typed
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (match && crypto.timingSafeEqual(digest(password), digest(ADMIN_PASSWORD))) {
+        return true;
+    }
+
+    res.writeHead(401, {
+        'WWW-Authenticate': 'Basic realm="Lottery Sambad admin", charset="UTF-8"',
+        'Content-Type': 'text/plain; charset=utf-8'
+    });
+    res.end('Admin password required');
+    return false;
+}
+
+/**
+ * Wrap an admin handler: password first, and changes only from the admin page
+ * (browsers resend Basic credentials on cross-site requests, but cannot add
+ * the X-Admin-Request header without this server's permission)
+ */
+function withAdminAuth(handler) {
+    return (req, res, url) => {
+        if (!checkAdminAuth(req, res)) return;
+
+        if (req.method !== 'GET' && req.method !== 'HEAD' && req.headers['x-admin-request'] !== '1') {
+            sendJSON(res, 403, { success: false, error: 'Missing X-Admin-Request header' });
+            return;
+        }
+        handler(req, res, url);
+    };
+}
+
+/**
+ * Read a request body as a Buffer
+ */
+function readRawBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        const onData = chunk => {
+            length += chunk.length;
+            if (length > limit) {
+                // Stop keeping the body but let it drain, so the 413 can still be answered
+                chunks.length = 0;
+                req.off('data', onData);
+                req.resume();
+                reject(Object.assign(new Error(`Image is larger than ${Math.round(limit / 1024 / 1024)} MB`), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Brand named in the query string or JSON body; answers 400 itself when unknown
+ */
+function adminBrand(res, brandId) {
+    const brand = LotteryBrands.get(brandId || LotteryBrands.DEFAULT_ID);
+    if (!brand) {
+        sendJSON(res, 400, { success: false, error: `Unknown brand: ${brandId}` });
+    }
+    return brand;
+}
+
+function sendAdminError(res, error, action) {
+    if (!error.status) {
+        console.error(`❌ Admin ${action} failed:`, error);
+    }
+    sendJSON(res, error.status || 500, { success: false, error: error.status ? error.message : `Could not ${action} the result` });
+}
+
+/**
+ * admin/ - the publishing page and its script and styles
+ */
+function handleAdminPage(req, res, url) {
+    if (url.pathname === '/admin') {
+        res.writeHead(301, { 'Location': '/admin/' });
+        res.end();
+        return;
+    }
+
+    const name = url.pathname.slice('/admin/'.length) || 'index.html';
+    const filePath = path.resolve(ADMIN_DIR, name);
+    if (!filePath.startsWith(ADMIN_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Cache-Control': 'no-store'
+    });
+    res.end(req.method === 'HEAD' ? undefined : fs.readFileSync(filePath));
+}
+
+/**
+ * api/admin/results - every published file of a brand, newest draw first
+ */
+function handleAdminResults(req, res, url) {
+    const brand = adminBrand(res, url.searchParams.get('brand'));
+    if (!brand) return;
+
+    const dir = brandImageDir(brand, IMAGE_DIR);
+    const images = fs.existsSync(dir) ? scanResultImages(dir) : [];
+    sendJSON(res, 200, {
+        success: true,
+        brand: brand.id,
+        images: images.map(entry => ({ ...entry, url: `/${brand.imagePath}${encodeURIComponent(entry.filename)}` }))
+    });
+}
+
+/**
+ * api/admin/upload - publish (or replace) the image for a draw
+ */
+async function handleAdminUpload(req, res, url) {
+    if (req.method !== 'POST') {
+        sendJSON(res, 405, { success: false, error: 'Use POST' });
+        return;
+    }
+    const brand = adminBrand(res, url.searchParams.get('brand'));
+    if (!brand) return;
+
+    try {
+        const data = await readRawBody(req, MAX_UPLOAD_BYTES);
+        const result = publishImage(brand, {
+            date: url.searchParams.get('date'),
+            slot: url.searchParams.get('slot'),
+            data,
+            replace: url.searchParams.get('replace') === '1',
+            root: IMAGE_DIR
+        });
+        clearListingCache(brand.id);
+
+        console.log(`📤 Admin published ${brand.name} ${result.filename}${result.replaced.length ? ` (replaced ${result.replaced.join(', ')})` : ''}`);
+        if (!result.renditions.length) {
+            console.log('⚠️ No renditions made (is ImageMagick installed?) - run node tools/build-renditions.js');
+        }
+        sendJSON(res, 200, { success: true, filename: result.filename, replaced: result.replaced, renditions: result.renditions, count: result.manifest.images.length });
+    } catch (error) {
+        if (error.status === 413) {
+            // Node closes the connection once the 413 has been sent
+            res.setHeader('Connection', 'close');
+        }
+        sendAdminError(res, error, 'publish');
+    }
+}
+
+/**
+ * api/admin/unpublish - take a draw's image off the site
+ */
+async function handleAdminUnpublish(req, res) {
+    if (req.method !== 'POST') {
+        sendJSON(res, 405, { success: false, error: 'Use POST' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJSONBody(req);
+    } catch (error) {
+        sendJSON(res, 400, { success: false, error: error.message });
+        return;
+    }
+    const brand = adminBrand(res, body.brand);
+    if (!brand) return;
+
+    try {
+        const result = unpublishImage(brand, { date: body.date, slot: body.slot, root: IMAGE_DIR });
+        clearListingCache(brand.id);
+
+        console.log(`🗑️ Admin unpublished ${brand.name} ${result.removed.join(', ')}`);
+        sendJSON(res, 200, { success: true, removed: result.removed, count: result.manifest.images.length });
+    } catch (error) {
+        sendAdminError(res, error, 'unpublish');
+    }
+}
+
+/**
+ * Where a brand's result file lives under IMAGE_DIR - a result image or its data,
+ * a thumbs/ or medium/ rendition, or results.json - or null for any other path
+ */
+function resultFilePath(pathname) {
+    const relative = pathname.replace(/^\/+/, '');
+
+    for (const brand of LotteryBrands.all()) {
+        if (!relative.startsWith(brand.imagePath)) continue;
+
+        const parts = relative.slice(brand.imagePath.length).split('/');
+        const name = parts.pop();
+        const subfolder = parts.join('/');
+        const extension = path.extname(name).slice(1).toLowerCase();
+
+        const isResult = parseImageName(name) && (IMAGE_EXTENSIONS.includes(extension) || (!subfolder && extension === 'json'));
+        const isManifest = !subfolder && name === MANIFEST_FILENAME;
+        if ((subfolder && !RENDITIONS.some(rendition => rendition.dir === subfolder)) || !(isResult || isManifest)) {
+            continue;
+        }
+        return path.join(brandImageDir(brand, IMAGE_DIR), subfolder, name);
+    }
+    return null;
+}
+
+/**
+ * Serve a static file from the site root (result files from IMAGE_DIR)
+ */
+function serveStatic(req, res, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    if (pathname.endsWith('/')) {
+        pathname += 'index.html';
+    }
+
+    const resultFile = resultFilePath(pathname);
+    const root = resultFile ? IMAGE_DIR : SITE_ROOT;
+    const filePath = resultFile || path.resolve(SITE_ROOT, '.' + pathname);
+    const topLevel = path.relative(root, filePath).split(path.sep)[0];
+
+    if (!filePath.startsWith(root + path.sep) || BLOCKED_FILES.has(topLevel)) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.stat(filePath, (error, stats) => {
+        if (error || !stats.isFile()) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Last-Modified': stats.mtime.toUTCString()
+        });
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    });
+}
+
+/**
+ * Exact-path API routes
+ */
+const routes = {
+    '/api/get-images.php': handleGetImages,
+    '/api/push/events': handlePushEvents,
+    '/api/push/send': handlePushSend,
+    '/api/admin/results': withAdminAuth(handleAdminResults),
+    '/api/admin/upload': withAdminAuth(handleAdminUpload),
+    '/api/admin/unpublish': withAdminAuth(handleAdminUnpublish)
+};
+
+const handleAdmin = withAdminAuth(handleAdminPage);
+
+function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = routes[url.pathname];
+
+    if (route) {
+        route(req, res, url);
+        return;
+    }
+
+    if (url.pathname === '/admin' || url.pathname.startsWith('/admin/')) {
+        handleAdmin(req, res, url);
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { 'Allow': 'GET, HEAD' });
+        res.end('Method not allowed');
+        return;
+    }
+
+    serveStatic(req, res, url);
+}
+
+function createServer() {
+    return http.createServer(handleRequest);
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log('========================================');
+        console.log('  Lottery Sambad Node Server');
+        console.log('========================================');
+        console.log(`🌐 Site:   http://localhost:${PORT}`);
+        console.log(`📂 Images: ${IMAGE_DIR}`);
+        console.log(ADMIN_PASSWORD ? `🔐 Admin:  http://localhost:${PORT}/admin/` : '🔐 Admin:  off (set ADMIN_PASSWORD to turn it on)');
+        console.log('Press Ctrl+C to stop the server');
+    });
+
+    if (process.env.PUSH_WATCH !== '0') {
+        watchForNewResults();
+    }
+}
+
+module.exports = {
+    createServer,
+    routes,
+    listImages,
+    clearListingCache,
+    pushHub,
+    watchForNewResults
+};
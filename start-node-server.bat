@@ -0,0 +1,18 @@
+@echo off
+echo ========================================
+echo   Node Development Server Starting...
+echo ========================================
+echo.
+echo Your website will be available at:
+echo   http://localhost:8000
+echo.
+echo The image API (api/get-images.php) is served by server.js
+echo.
+echo Press Ctrl+C to stop the server
+echo ========================================
+echo.
+
+cd /d "%~dp0"
+node server.js
+
+pause
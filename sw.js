@@ -0,0 +1,214 @@
+/**
+ * Service worker - offline support for Lottery Sambad
+ * Precaches the page shell and keeps every result image the user has viewed,
+ * so the last known results still open on patchy mobile data.
+ * Also shows "result is out" notifications and opens the draw when one is clicked.
+ */
+
+const SHELL_CACHE = 'lottery-shell-v12';
+const RESULTS_CACHE = 'lottery-results-v1'; // Also read by script.js (getCachedResultImages)
+const RENDITIONS_CACHE = 'lottery-renditions-v1';
+const DATA_CACHE = 'lottery-data-v2'; // v1 stored every ?v= manifest load as its own entry
+const MAX_CACHED_RESULTS = 60;
+const MAX_CACHED_RENDITIONS = 120; // Archive thumbnails come and go; kept apart so they never push out viewed results
+const MAX_CACHED_DATA = 60;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'archive.html',
+    'style.css',
+    'brands.js',
+    'draw-schedule.js',
+    'result-data.js',
+    'image-viewer.js',
+    'pdf-writer.js',
+    'zip-writer.js',
+    'qr-code.js',
+    'watermark.js',
+    'script.js',
+    'archive.js',
+    'logo.png',
+    'manifest.webmanifest'
+];
+
+// Same DD-MM-YYYY HHam/pm pattern as parseImageName in script.js
+const RESULT_IMAGE_PATTERN = /^(?:File\s+)?\d{1,2}-\d{1,2}-\d{4}\s+\d{1,2}(?:am|pm)\.(?:webp|jpe?g|png|gif|bmp)$/i;
+const RESULT_DATA_PATTERN = /^(?:File\s+)?\d{1,2}-\d{1,2}-\d{4}\s+\d{1,2}(?:am|pm)\.json$/i;
+
+// Subfolders of a brand folder holding downsized copies (RENDITIONS in tools/lib/results.js)
+const RENDITION_FOLDERS = ['thumbs', 'medium'];
+// The only API answer worth keeping offline; admin requests carry a password and are never stored
+const LISTING_API_PATH = '/api/get-images.php';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, RESULTS_CACHE, RENDITIONS_CACHE, DATA_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    // Live events and the password-protected admin page and API go straight to the network, never cached
+    if (url.pathname.includes('/api/') && !url.pathname.endsWith(LISTING_API_PATH)) return;
+    // Cache clears carry a fresh _t each time and have nothing worth keeping offline
+    if (url.pathname.endsWith(LISTING_API_PATH) && url.searchParams.get('action') === 'clear-cache') return;
+    if (url.pathname.includes('/admin/') || url.pathname.endsWith('/admin')) return;
+
+    const segments = url.pathname.split('/');
+    const filename = decodeURIComponent(segments.pop());
+
+    if (RESULT_IMAGE_PATTERN.test(filename)) {
+        const isRendition = RENDITION_FOLDERS.includes(segments.pop());
+        event.respondWith(resultImageResponse(event, url, isRendition ? RENDITIONS_CACHE : RESULTS_CACHE));
+    } else if (filename === 'results.json' || RESULT_DATA_PATTERN.test(filename) || url.pathname.endsWith(LISTING_API_PATH)) {
+        event.respondWith(dataResponse(event, url));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+    } else {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Push message with a LotteryBrands.resultNotification payload
+ */
+self.addEventListener('push', (event) => {
+    let payload = null;
+    try {
+        payload = event.data ? event.data.json() : null;
+    } catch (error) {
+        payload = null;
+    }
+    if (!payload || !payload.title) return;
+
+    event.waitUntil(showResultNotification(payload));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const target = new URL((event.notification.data && event.notification.data.url) || './', self.registration.scope).href;
+    event.waitUntil(openDraw(target));
+});
+
+function showResultNotification(payload) {
+    return self.registration.showNotification(payload.title, {
+        body: payload.body,
+        icon: 'logo.png',
+        badge: 'logo.png',
+        tag: payload.tag,
+        data: { url: payload.url }
+    });
+}
+
+/**
+ * Focus an open tab on the draw, or open a new one
+ */
+async function openDraw(targetURL) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(win => win.url.startsWith(self.registration.scope));
+
+    if (client) {
+        const navigated = 'navigate' in client ? await client.navigate(targetURL).catch(() => null) : null;
+        return (navigated || client).focus();
+    }
+    return self.clients.openWindow(targetURL);
+}
+
+/**
+ * Result images: network first, remember every successful load,
+ * fall back to the saved copy when offline. Cache keys drop the
+ * cache-busting query so ?check=... probes still match offline;
+ * the probes themselves (existence checks) are not stored.
+ */
+async function resultImageResponse(event, url, cacheName) {
+    const cacheKey = url.origin + url.pathname;
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(event.request);
+        if (response.ok && !url.searchParams.has('check')) {
+            await cache.put(cacheKey, response.clone());
+            const maxEntries = cacheName === RENDITIONS_CACHE ? MAX_CACHED_RENDITIONS : MAX_CACHED_RESULTS;
+            event.waitUntil(trimCache(cache, maxEntries).catch(error => console.log('⚠️ Could not trim cached results:', error.message)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        return cached || new Response('', { status: 504, statusText: 'Offline' });
+    }
+}
+
+/**
+ * Manifest, per-draw result data and listing API answers: network first,
+ * the saved copy of the same URL when offline. Only the ?v= cache-busting
+ * parameter is left out of the key, so an answer for one date, slot or
+ * brand never stands in for another.
+ */
+async function dataResponse(event, url) {
+    const cacheKey = dataCacheKey(url);
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) {
+            await cache.put(cacheKey, response.clone());
+            event.waitUntil(trimCache(cache, MAX_CACHED_DATA).catch(error => console.log('⚠️ Could not trim cached result data:', error.message)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        return cached || new Response('', { status: 504, statusText: 'Offline' });
+    }
+}
+
+function dataCacheKey(url) {
+    const key = new URL(url.href);
+    key.searchParams.delete('v');
+    return key.href;
+}
+
+/**
+ * Network first, cached copy (or fallback URL) when offline
+ */
+async function networkFirst(request, cacheName, fallbackURL) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (fallbackURL && await cache.match(fallbackURL));
+        return cached || new Response('', { status: 504, statusText: 'Offline' });
+    }
+}
+
+/**
+ * Keep only the most recently stored entries
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Results archive - listing from the results manifest and server, filters, deep links
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ImageWebController = require('../script.js');
+const ResultArchive = require('../archive.js');
+
+function createController() {
+    const controller = Object.create(ImageWebController.prototype);
+    controller.applyBrand(LotteryBrands.get('nagaland'));
+    return controller;
+}
+
+const image = (controller, filename, extra = {}) => ({ ...controller.parseImageName(filename), ...extra });
+
+test('the archive lists each draw once, newest first, preferring manifest entries', async () => {
+    const controller = createController();
+    const renditions = { thumbnail: { file: 'thumbs/04-11-2025 6pm.webp', width: 320 } };
+    controller.loadResultsManifest = async () => ({
+        stale: true,
+        images: [image(controller, '04-11-2025 6pm.webp', { renditions }), image(controller, '03-11-2025 8pm.jpg')]
+    });
+    controller.loadImagesFromServer = async () => [
+        image(controller, '05-11-2025 1pm.jpg'),
+        image(controller, '04-11-2025 6pm.jpg'),
+        image(controller, '04-11-2025 8pm.jpg')
+    ];
+
+    const images = await controller.loadArchiveImages();
+    assert.deepStrictEqual(images.map(entry => entry.originalFilename),
+        ['05-11-2025 1pm.jpg', '04-11-2025 8pm.jpg', '04-11-2025 6pm.webp', '03-11-2025 8pm.jpg']);
+    assert.deepStrictEqual(images[2].renditions, renditions);
+});
+
+test('an up-to-date manifest is enough on its own', async () => {
+    const controller = createController();
+    controller.loadResultsManifest = async () => ({ stale: false, images: [image(controller, '04-11-2025 6pm.webp')] });
+    controller.loadImagesFromServer = async () => assert.fail('server listing not needed');
+
+    assert.strictEqual((await controller.loadArchiveImages()).length, 1);
+});
+
+test('manifest images join the image list once per draw', async () => {
+    const controller = createController();
+    controller.loadResultsManifest = async () => ({
+        stale: false,
+        images: [image(controller, '04-11-2025 6pm.webp'), image(controller, '04-11-2025 1pm.jpg'), image(controller, '04-11-2025 1pm.png')]
+    });
+    const images = [image(controller, '04-11-2025 6pm.jpg')];
+
+    assert.strictEqual(await controller.loadKnownImages(images), true);
+    assert.deepStrictEqual(images.map(entry => entry.originalFilename), ['04-11-2025 6pm.jpg', '04-11-2025 1pm.jpg']);
+});
+
+test('filters match by draw and month, and thumbnails deep-link to the draw', () => {
+    const controller = createController();
+    const images = ['01-12-2025 1pm.jpg', '30-11-2025 8pm.jpg', '30-11-2025 1pm.jpg'].map(name => image(controller, name));
+
+    assert.strictEqual(ResultArchive.monthKey(images[1].date), '2025-11');
+    assert.strictEqual(ResultArchive.filterImages(images).length, 3);
+    assert.deepStrictEqual(ResultArchive.filterImages(images, { slot: '1pm' }).map(entry => entry.originalFilename),
+        ['01-12-2025 1pm.jpg', '30-11-2025 1pm.jpg']);
+    assert.deepStrictEqual(ResultArchive.filterImages(images, { slot: '1pm', month: '2025-11' }).map(entry => entry.originalFilename),
+        ['30-11-2025 1pm.jpg']);
+
+    const archive = Object.create(ResultArchive.prototype);
+    archive.discovery = controller;
+    assert.strictEqual(archive.drawPageURL(images[1]), 'index.html?brand=nagaland&date=30-11-2025&time=8pm');
+    assert.strictEqual(archive.thumbnailURL(images[1]), '30-11-2025 8pm.jpg');
+});
+
+test('changing the archive brand does not change the brand the results page opens with', () => {
+    const controller = createController();
+    controller.saveBrand = () => assert.fail('the archive brand is kept in the address only');
+
+    const handlers = {};
+    const select = name => ({ value: '', addEventListener: (type, handler) => { handlers[name] = handler; } });
+    const archive = Object.create(ResultArchive.prototype);
+    Object.assign(archive, {
+        discovery: controller,
+        brandSelect: select('brand'),
+        slotSelect: select('slot'),
+        monthSelect: select('month'),
+        moreBtn: select('more'),
+        load: () => { archive.loaded = true; }
+    });
+
+    global.window = {};
+    try {
+        archive.bindEvents();
+    } finally {
+        delete global.window;
+    }
+    archive.brandSelect.value = 'sikkim';
+    handlers.brand();
+
+    assert.strictEqual(controller.brand.id, 'sikkim');
+    assert.strictEqual(archive.loaded, true);
+});
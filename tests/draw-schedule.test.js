@@ -0,0 +1,172 @@
+/**
+ * Draw schedule config - slot order, weekdays and effective-date changes
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DrawSchedule = require('../draw-schedule.js');
+const ImageWebController = require('../script.js');
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Example: a 3pm weekday draw added from 1 March 2026
+const changedSchedule = new DrawSchedule({
+    periods: [
+        {
+            from: '01-01-2000',
+            slots: [
+                { slot: '8pm', time: '20:00', label: '8:00 PM Draw', weekdays: EVERY_DAY },
+                { slot: '1pm', time: '13:00', label: '1:00 PM Draw', weekdays: EVERY_DAY }
+            ]
+        },
+        {
+            from: '01-03-2026',
+            slots: [
+                { slot: '1pm', time: '13:00', label: '1:00 PM Draw', weekdays: EVERY_DAY },
+                { slot: '3pm', time: '15:00', label: '3:00 PM Draw', weekdays: WEEKDAYS },
+                { slot: '8pm', time: '20:00', label: '8:00 PM Draw', weekdays: EVERY_DAY }
+            ]
+        }
+    ]
+});
+
+const slotNames = slots => slots.map(slot => slot.slot);
+
+test('default schedule has the 1pm, 6pm and 8pm draws every day', () => {
+    const schedule = new DrawSchedule();
+    assert.deepStrictEqual(slotNames(schedule.slotsFor(new Date(2025, 10, 4))), ['1pm', '6pm', '8pm']);
+    assert.deepStrictEqual(slotNames(schedule.slotsFor(new Date(2025, 10, 9))), ['1pm', '6pm', '8pm']);
+});
+
+test('slots are ordered by draw time whatever order the config lists them', () => {
+    assert.deepStrictEqual(slotNames(changedSchedule.slotsFor(new Date(2026, 0, 15))), ['1pm', '8pm']);
+});
+
+test('a period applies from its effective date', () => {
+    assert.deepStrictEqual(slotNames(changedSchedule.slotsFor(new Date(2026, 1, 27))), ['1pm', '8pm']);
+    assert.deepStrictEqual(slotNames(changedSchedule.slotsFor(new Date(2026, 2, 2))), ['1pm', '3pm', '8pm']);
+});
+
+test('slots only run on their weekdays', () => {
+    // 1 March 2026 is a Sunday
+    const sunday = new Date(2026, 2, 1);
+    assert.deepStrictEqual(slotNames(changedSchedule.slotsFor(sunday)), ['1pm', '8pm']);
+    assert.deepStrictEqual(slotNames(changedSchedule.scheduledSlots(sunday)), ['1pm', '3pm', '8pm']);
+    assert.strictEqual(changedSchedule.runsOn('3pm', sunday), false);
+    assert.strictEqual(changedSchedule.runsOn('3pm', new Date(2026, 2, 2)), true);
+});
+
+test('priority ranks later draws higher and unknown slots 0', () => {
+    assert.ok(changedSchedule.priority('8pm') > changedSchedule.priority('3pm'));
+    assert.ok(changedSchedule.priority('3pm') > changedSchedule.priority('1pm'));
+    assert.strictEqual(changedSchedule.priority('12am'), 0);
+});
+
+test('search order and latest draw follow the schedule', () => {
+    const controller = Object.create(ImageWebController.prototype);
+    controller.schedule = changedSchedule;
+
+    assert.deepStrictEqual(controller.getDrawSlots(new Date(2026, 2, 2)), ['8pm', '3pm', '1pm']);
+    assert.deepStrictEqual(controller.getAllDrawSlots(), ['8pm', '3pm', '1pm']);
+
+    // 16:00 IST on Monday 2 March 2026: the new 3pm draw is the latest
+    const monday = new Date('2026-03-02T10:30:00Z');
+    assert.strictEqual(controller.getLatestPassedDrawTime(monday).toISOString(), '2026-03-02T09:30:00.000Z');
+
+    // 16:00 IST on Sunday 1 March 2026: no 3pm draw, so 1pm
+    const sunday = new Date('2026-03-01T10:30:00Z');
+    assert.strictEqual(controller.getLatestPassedDrawTime(sunday).toISOString(), '2026-03-01T07:30:00.000Z');
+});
+
+test('a schedule needs at least one period', () => {
+    assert.throws(() => new DrawSchedule({ periods: [] }), /at least one period/);
+});
+
+test('every brand has a schedule', () => {
+    const LotteryBrands = require('../brands.js');
+    for (const brand of LotteryBrands.all()) {
+        assert.ok(DrawSchedule.forBrand(brand.id).allSlots().length > 0, brand.id);
+    }
+    assert.throws(() => DrawSchedule.forBrand('goa'), /No draw schedule/);
+});
+
+test('next draw and countdown follow the IST schedule', () => {
+    const controller = Object.create(ImageWebController.prototype);
+    controller.schedule = new DrawSchedule();
+
+    // 17:55 IST: the 6pm draw is five minutes away
+    const beforeSix = new Date('2025-11-04T12:25:00Z');
+    const next = controller.getNextDraw(beforeSix);
+    assert.strictEqual(next.slot, '6pm');
+    assert.strictEqual(controller.formatCountdown(next.time - beforeSix), '5:00');
+    assert.strictEqual(controller.getLatestPassedDraw(beforeSix).slot, '1pm');
+
+    // 21:00 IST: next is tomorrow's 1pm
+    const evening = new Date('2025-11-04T15:30:00Z');
+    const tomorrow = controller.getNextDraw(evening);
+    assert.strictEqual(tomorrow.slot, '1pm');
+    assert.strictEqual(controller.formatDateForFilename(tomorrow.date), '05-11-2025');
+    assert.strictEqual(controller.formatCountdown(tomorrow.time - evening), '16:00:00');
+
+    assert.strictEqual(controller.getDrawTimeFor(new Date(2025, 10, 4), '6pm').toISOString(), '2025-11-04T12:30:00.000Z');
+    assert.strictEqual(controller.getDrawTimeFor(new Date(2025, 10, 4), '3pm'), null);
+});
+
+test('the latest draw at page load is only awaited when its result has not loaded', () => {
+    const controller = Object.create(ImageWebController.prototype);
+    controller.resultAwaitedWindow = 4 * 60 * 60 * 1000;
+    const latest = { date: new Date(2025, 10, 4), slot: '1pm', label: '1:00 PM Draw', time: new Date(Date.now() - 60 * 1000) };
+
+    controller.awaitedDraw = null;
+    controller.unconfirmedDraw = latest;
+    controller.availableImages = [{ date: new Date(2025, 10, 4), displayTime: '1pm' }];
+    controller.confirmAwaitedDraw();
+    assert.strictEqual(controller.awaitedDraw, null);
+    assert.strictEqual(controller.unconfirmedDraw, null);
+
+    controller.unconfirmedDraw = latest;
+    controller.availableImages = [{ date: new Date(2025, 10, 3), displayTime: '8pm' }, { date: new Date(2025, 10, 4), displayTime: '6pm' }];
+    controller.confirmAwaitedDraw();
+    assert.strictEqual(controller.awaitedDraw, latest);
+
+    // Too late to wait for it any more
+    controller.awaitedDraw = null;
+    controller.unconfirmedDraw = { ...latest, time: new Date(Date.now() - 5 * 60 * 60 * 1000) };
+    controller.confirmAwaitedDraw();
+    assert.strictEqual(controller.awaitedDraw, null);
+});
+
+test('calendar markers list the slots with results in draw order', () => {
+    const controller = Object.create(ImageWebController.prototype);
+    controller.schedule = new DrawSchedule();
+    controller.availableImages = [];
+    controller.archiveIndex = controller.buildArchiveIndex([
+        controller.parseImageName('04-11-2025 8pm.jpg'),
+        controller.parseImageName('04-11-2025 1pm.webp'),
+        controller.parseImageName('04-08-2024 6pm.jpg')
+    ]);
+
+    assert.deepStrictEqual(slotNames(controller.getResultSlots(new Date(2025, 10, 4))), ['1pm', '8pm']);
+    assert.deepStrictEqual(slotNames(controller.getResultSlots(new Date(2024, 7, 4))), ['6pm']);
+    assert.deepStrictEqual(controller.getResultSlots(new Date(2025, 10, 5)), []);
+});
+
+test('range downloads list held draws oldest first', () => {
+    const controller = Object.create(ImageWebController.prototype);
+    controller.schedule = changedSchedule;
+
+    // 18:00 IST on Monday 2 March 2026: the 8pm draw has not been held yet
+    const now = new Date('2026-03-02T12:30:00Z');
+    const draws = controller.listDrawsInRange(new Date(2026, 1, 28), new Date(2026, 2, 2), ['1pm', '3pm', '8pm'], now);
+    assert.deepStrictEqual(draws.map(draw => `${controller.formatDateForFilename(draw.date)} ${draw.slot}`), [
+        '28-02-2026 1pm',
+        '28-02-2026 8pm',
+        '01-03-2026 1pm',
+        '01-03-2026 8pm', // Sunday: no 3pm draw
+        '02-03-2026 1pm',
+        '02-03-2026 3pm'
+    ]);
+    assert.strictEqual(controller.listDrawsInRange(new Date(2026, 2, 2), new Date(2026, 2, 2), ['8pm'], now).length, 0);
+});
@@ -0,0 +1,108 @@
+/**
+ * Image viewer zoom limits - the image always covers the viewer once zoomed
+ * Result images start from a downsized rendition; full resolution loads on zoom
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ImageViewer = require('../image-viewer.js');
+const ImageWebController = require('../script.js');
+
+function createViewer() {
+    const viewer = Object.create(ImageViewer.prototype);
+    viewer.minScale = 1;
+    viewer.maxScale = 6;
+    return viewer;
+}
+
+test('scale stays within the zoom limits', () => {
+    const viewer = createViewer();
+    assert.strictEqual(viewer.clampView({ scale: 0.5, x: 0, y: 0 }).scale, 1);
+    assert.strictEqual(viewer.clampView({ scale: 10, x: 0, y: 0 }).scale, 6);
+});
+
+test('panning cannot move the image off the viewer', () => {
+    const viewer = createViewer();
+    assert.deepStrictEqual(viewer.clampView({ scale: 2, x: 0.3, y: -1.5 }), { scale: 2, x: 0, y: -1 });
+    assert.deepStrictEqual(viewer.clampView({ scale: 2, x: -0.5, y: -0.25 }), { scale: 2, x: -0.5, y: -0.25 });
+    assert.deepStrictEqual(viewer.clampView({ scale: 1, x: -0.5, y: 0.5 }), { scale: 1, x: 0, y: 0 });
+});
+
+function createImage() {
+    const attributes = {};
+    return {
+        dataset: {},
+        style: {},
+        set srcset(value) { attributes.srcset = value; },
+        get srcset() { return attributes.srcset; },
+        set sizes(value) { attributes.sizes = value; },
+        get sizes() { return attributes.sizes; },
+        removeAttribute(name) { delete attributes[name]; }
+    };
+}
+
+test('result images use the listed renditions and keep the full file for later', () => {
+    const controller = Object.create(ImageWebController.prototype);
+    controller.brand = { imagePath: 'sikkim/' };
+    controller.getISTToday = () => new Date(2025, 10, 5);
+    const imageInfo = {
+        originalFilename: '04-11-2025 3pm.jpg',
+        renditions: {
+            medium: { file: 'medium/04-11-2025 3pm.webp', width: 1280 },
+            thumbnail: { file: 'thumbs/04-11-2025 3pm.webp', width: 320 }
+        }
+    };
+
+    const img = createImage();
+    controller.setResultImageSource(img, imageInfo);
+    assert.strictEqual(img.srcset, 'sikkim/thumbs/04-11-2025%203pm.webp 320w, sikkim/medium/04-11-2025%203pm.webp 1280w');
+    assert.strictEqual(img.src, 'sikkim/medium/04-11-2025 3pm.webp');
+    assert.strictEqual(img.dataset.fullSrc, 'sikkim/04-11-2025 3pm.jpg');
+
+    assert.strictEqual(controller.useFullResultImage(img), true);
+    assert.strictEqual(img.src, 'sikkim/04-11-2025 3pm.jpg');
+    assert.strictEqual(img.srcset, undefined);
+    assert.strictEqual(controller.useFullResultImage(img), false);
+
+    const plain = createImage();
+    controller.setResultImageSource(plain, { originalFilename: '04-11-2025 3pm.jpg', renditions: null });
+    assert.strictEqual(plain.src, 'sikkim/04-11-2025 3pm.jpg');
+    assert.strictEqual(plain.srcset, undefined);
+});
+
+test('zooming in loads the full-resolution image once', () => {
+    const loaded = [];
+    global.Image = class {
+        set src(value) {
+            loaded.push(value);
+            this.url = value;
+            this.onload();
+        }
+        get src() { return this.url; }
+    };
+
+    const viewer = createViewer();
+    viewer.view = { scale: 1, x: 0, y: 0 };
+    viewer.element = { classList: { toggle() {} } };
+    viewer.zoomLabel = {};
+    viewer.zoomOutBtn = {};
+    viewer.zoomInBtn = {};
+    viewer.image = createImage();
+    viewer.image.srcset = 'thumbs/a.webp 320w';
+    viewer.image.dataset.fullSrc = 'a.jpg';
+
+    try {
+        viewer.applyView();
+        assert.deepStrictEqual(loaded, []);
+
+        viewer.view = { scale: 2, x: 0, y: 0 };
+        viewer.applyView();
+        viewer.applyView();
+        assert.deepStrictEqual(loaded, ['a.jpg']);
+        assert.strictEqual(viewer.image.src, 'a.jpg');
+        assert.strictEqual(viewer.image.srcset, undefined);
+    } finally {
+        delete global.Image;
+    }
+});
@@ -0,0 +1,93 @@
+/**
+ * IST date handling - must give the same answers in every viewer timezone
+ * Run: node --test tests/
+ * The checks run once per TZ value below, each in its own Node process
+ * (TZ is read when the process starts).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+
+const TIMEZONES = [
+    'Asia/Kolkata',
+    'UTC',
+    'Asia/Dubai',
+    'America/New_York',
+    'America/Los_Angeles',
+    'Pacific/Kiritimati',
+    'Pacific/Pago_Pago',
+    'Australia/Lord_Howe'
+];
+
+if (!process.env.IST_TEST_TZ) {
+    for (const tz of TIMEZONES) {
+        test(`IST date handling with TZ=${tz}`, () => {
+            const result = spawnSync(process.execPath, ['--test', __filename], {
+                env: { ...process.env, TZ: tz, IST_TEST_TZ: tz },
+                encoding: 'utf8'
+            });
+            assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        });
+    }
+} else {
+    const ImageWebController = require('../script.js');
+    const DrawSchedule = require('../draw-schedule.js');
+    const controller = Object.create(ImageWebController.prototype);
+    controller.schedule = new DrawSchedule();
+
+    // 23:30 IST on 4 Nov 2025 - already 5 Nov in Kiritimati, still 4 Nov in the US
+    const lateEvening = new Date('2025-11-04T18:00:00Z');
+    // 00:30 IST on 5 Nov 2025 - still 4 Nov in the Gulf and the US
+    const afterMidnight = new Date('2025-11-04T19:00:00Z');
+
+    test(`runs in ${process.env.IST_TEST_TZ}`, () => {
+        assert.strictEqual(Intl.DateTimeFormat().resolvedOptions().timeZone, process.env.IST_TEST_TZ);
+    });
+
+    test('today is the IST calendar date', () => {
+        assert.strictEqual(controller.formatDateForFilename(controller.getISTToday(lateEvening)), '04-11-2025');
+        assert.strictEqual(controller.formatDateForFilename(controller.getISTToday(afterMidnight)), '05-11-2025');
+    });
+
+    test('date input value keeps the calendar day', () => {
+        const drawDate = new Date(2025, 10, 4);
+        assert.strictEqual(controller.formatDateForInput(drawDate), '2025-11-04');
+        assert.strictEqual(controller.formatDateForInput(controller.getISTToday(afterMidnight)), '2025-11-05');
+    });
+
+    test('isISTToday compares draw dates with the IST day', () => {
+        assert.strictEqual(controller.isISTToday(new Date(2025, 10, 4), lateEvening), true);
+        assert.strictEqual(controller.isISTToday(new Date(2025, 10, 5), lateEvening), false);
+        assert.strictEqual(controller.isISTToday(new Date(2025, 10, 5), afterMidnight), true);
+    });
+
+    test('draw instants are IST wall-clock times', () => {
+        const onePm = controller.getDrawInstant(new Date(2025, 10, 4), 13);
+        assert.strictEqual(onePm.toISOString(), '2025-11-04T07:30:00.000Z');
+    });
+
+    test('latest passed draw follows IST', () => {
+        // 18:45 IST: the 6pm draw has happened, 8pm has not
+        const now = new Date('2025-11-04T13:15:00Z');
+        assert.strictEqual(controller.getLatestPassedDrawTime(now).toISOString(), '2025-11-04T12:30:00.000Z');
+
+        // 09:00 IST: last draw was 8pm IST the day before
+        const morning = new Date('2025-11-05T03:30:00Z');
+        assert.strictEqual(controller.getLatestPassedDrawTime(morning).toISOString(), '2025-11-04T14:30:00.000Z');
+    });
+
+    test('filenames step back by calendar day from IST today', () => {
+        const drawDate = controller.getISTToday(afterMidnight);
+        const previous = new Date(drawDate);
+        previous.setDate(drawDate.getDate() - 1);
+        assert.strictEqual(controller.formatDateForFilename(previous), '04-11-2025');
+    });
+
+    test('only IST today\'s images get cache-busted', () => {
+        const viewer = Object.create(controller);
+        viewer.getISTToday = () => controller.getISTToday(afterMidnight);
+        assert.match(viewer.buildImageURL('05-11-2025 1pm.jpg'), /^05-11-2025 1pm\.jpg\?v=\d+$/);
+        assert.strictEqual(viewer.buildImageURL('04-11-2025 8pm.jpg'), '04-11-2025 8pm.jpg');
+    });
+}
@@ -0,0 +1,94 @@
+/**
+ * Result notifications - the auto-refresh poll that finds new results, and one notification per draw
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ImageWebController = require('../script.js');
+
+function controllerWithCalls(methods) {
+    const controller = Object.create(ImageWebController.prototype);
+    controller.applyBrand(LotteryBrands.get('nagaland'));
+    controller.calls = [];
+    for (const name of methods) {
+        controller[name] = async () => { controller.calls.push(name); };
+    }
+    return controller;
+}
+
+async function withFetch(fn) {
+    const realFetch = global.fetch;
+    const requested = [];
+    global.fetch = async (url) => {
+        requested.push(url);
+        return { ok: true, status: 200 };
+    };
+    try {
+        await fn();
+    } finally {
+        global.fetch = realFetch;
+    }
+    return requested;
+}
+
+test('the auto-refresh poll clears the server cache and scans for a newer result', async () => {
+    const controller = controllerWithCalls(['scanForNewerImagesInBackground']);
+    controller.manifestPromise = Promise.resolve(null);
+
+    const requested = await withFetch(() => controller.refreshImages());
+
+    assert.deepStrictEqual(requested, ['api/get-images.php?action=clear-cache&brand=nagaland']);
+    assert.deepStrictEqual(controller.calls, ['scanForNewerImagesInBackground']);
+    assert.strictEqual(controller.manifestPromise, null);
+});
+
+test('a forced refresh reloads the newest result from scratch', async () => {
+    const controller = controllerWithCalls(['showFirstAvailableImageInstantly', 'showImagePlaceholderWithMessage']);
+    controller.currentImage = { originalFilename: '04-11-2025 1pm.jpg' };
+
+    await withFetch(() => controller.forceRefreshImages());
+
+    assert.deepStrictEqual(controller.calls, ['showImagePlaceholderWithMessage', 'showFirstAvailableImageInstantly']);
+    assert.strictEqual(controller.currentImage, null);
+    assert.deepStrictEqual(controller.availableImages, []);
+});
+
+test('a draw is only recorded as notified once its notification is shown', async () => {
+    const controller = controllerWithCalls([]);
+    controller.notifiedDraws = new Set();
+    controller.isNotifyEnabled = () => true;
+    const payload = { brand: 'nagaland', slot: '1pm', tag: 'nagaland-04-11-2025-1pm', title: 'Result is out', body: '', url: './' };
+
+    const shown = [];
+    const saved = { window: global.window, document: global.document, Notification: global.Notification, navigator: Object.getOwnPropertyDescriptor(global, 'navigator') };
+    global.window = global;
+    global.document = { hidden: false };
+    global.Notification = class {
+        constructor(title) { shown.push(title); }
+        close() {}
+    };
+    global.Notification.permission = 'granted';
+    Object.defineProperty(global, 'navigator', { value: {}, configurable: true, writable: true });
+
+    try {
+        controller.notifyResult(payload);
+        assert.strictEqual(controller.notifiedDraws.has(payload.tag), false);
+
+        document.hidden = true;
+        controller.notifyResult(payload);
+        controller.notifyResult(payload);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.strictEqual(controller.notifiedDraws.has(payload.tag), true);
+        assert.deepStrictEqual(shown, ['Result is out']);
+    } finally {
+        global.window = saved.window;
+        global.document = saved.document;
+        global.Notification = saved.Notification;
+        if (saved.navigator) {
+            Object.defineProperty(global, 'navigator', saved.navigator);
+        } else {
+            delete global.navigator;
+        }
+    }
+});
@@ -0,0 +1,132 @@
+/**
+ * OCR result-sheet parsing - Tesseract TSV, prize amounts, ticket numbers, tiers
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTesseractTSV, parseAmount, extractNumbers, parseResultSheet } = require('../tools/lib/ocr-parse');
+
+const TSV_HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+
+/**
+ * Tesseract TSV for a sheet: one entry per line, each word as "text" or [text, confidence]
+ * Like the real output, every line also gets its level 4 row with no text.
+ */
+function sheetTSV(lines) {
+    const rows = [TSV_HEADER, '1\t1\t0\t0\t0\t0\t0\t0\t1200\t1800\t-1\t'];
+    lines.forEach((words, index) => {
+        const line = index + 1;
+        const top = 40 * line;
+        rows.push(`4\t1\t1\t1\t${line}\t0\t20\t${top}\t1000\t30\t-1\t`);
+        words.forEach((word, i) => {
+            const [text, confidence] = Array.isArray(word) ? word : [word, 95];
+            rows.push(`5\t1\t1\t1\t${line}\t${i + 1}\t${20 + 110 * i}\t${top}\t100\t30\t${confidence}\t${text}`);
+        });
+    });
+    return rows.join('\n') + '\n';
+}
+
+const words = (...texts) => texts.map((text, i) => ({ text, confidence: 95, box: { left: 110 * i, top: 0, width: 100, height: 30 } }));
+
+test('Tesseract TSV becomes lines of words with confidence and position', () => {
+    const tsv = [
+        TSV_HEADER,
+        '1\t1\t0\t0\t0\t0\t0\t0\t1200\t1800\t-1\t',
+        '4\t1\t1\t1\t1\t0\t20\t40\t400\t30\t-1\t',
+        '5\t1\t1\t1\t1\t1\t20\t40\t60\t30\t96.5\t1st',
+        '5\t1\t1\t1\t1\t2\t90\t40\t90\t30\t91.2\tPrize',
+        '5\t1\t1\t1\t1\t3\t190\t40\t20\t30\t95\t ',
+        '5\t1\t2\t1\t1\t1\t20\t90\t70\t30\t88\t68A',
+        '5\t1\t2\t1\t1\t2\t100\t90\t90\t30\t61.04\t12345'
+    ].join('\r\n');
+
+    const lines = parseTesseractTSV(tsv);
+    assert.deepStrictEqual(lines.map(line => line.text), ['1st Prize', '68A 12345']);
+    assert.deepStrictEqual(lines[1].words[1], { text: '12345', confidence: 61.04, box: { left: 100, top: 90, width: 90, height: 30 } });
+    assert.deepStrictEqual(parseTesseractTSV(TSV_HEADER + '\n'), []);
+});
+
+test('prize amounts are read with ₹, Rs., commas, lakh and crore', () => {
+    assert.deepStrictEqual(parseAmount('1st Prize ₹1 Crore/-'), { amount: 10000000, text: '₹1 Crore' });
+    assert.deepStrictEqual(parseAmount('2nd Prize Rs. 9,000/-'), { amount: 9000, text: 'Rs. 9,000' });
+    assert.deepStrictEqual(parseAmount('Prize INR 2,50,000'), { amount: 250000, text: 'INR 2,50,000' });
+    assert.deepStrictEqual(parseAmount('₹ 1.5 Lakhs'), { amount: 150000, text: '₹ 1.5 Lakhs' });
+    assert.deepStrictEqual(parseAmount('4th Prize 250/-'), { amount: 250, text: '250/-' });
+    assert.strictEqual(parseAmount('5th Prize 1234 2345'), null);
+    assert.strictEqual(parseAmount('₹0/-'), null);
+});
+
+test('ticket numbers are found in one or two words, skipping the amount and noise', () => {
+    assert.deepStrictEqual(extractNumbers(words('68A12345', '70B', '54321', '12', 'AB123', '|')).map(item => [item.number, item.kind]), [
+        ['68A 12345', 'full'],
+        ['70B 54321', 'full']
+    ]);
+
+    // The amount's digits are skipped once; the same digits later are a number
+    assert.deepStrictEqual(extractNumbers(words('3rd', 'Prize', '5000/-', '1234.', '5000'), '5000/-').map(item => item.number), ['1234', '5000']);
+    assert.deepStrictEqual(extractNumbers(words('Cons.', '₹1000/-', '12345'), '₹1000').map(item => item.number), ['12345']);
+
+    const split = extractNumbers([
+        { text: '68A', confidence: 92, box: { left: 0, top: 0, width: 60, height: 30 } },
+        { text: '12345,', confidence: 70, box: { left: 70, top: 0, width: 90, height: 30 } }
+    ]);
+    assert.deepStrictEqual(split, [{ number: '68A 12345', kind: 'full', confidence: 70, box: { left: 0, top: 0, width: 60, height: 30 } }]);
+});
+
+test('a result sheet becomes prize tiers with everything doubtful flagged', () => {
+    const lines = parseTesseractTSV(sheetTSV([
+        ['NAGALAND', 'STATE', 'LOTTERIES'],
+        ['DEAR', 'MORNING', 'Draw', 'held', 'on', '04/11/2025', 'at', '1PM'],
+        ['1st', 'Prize', '₹1', 'Crore/-', '68A', '12345'],
+        ['Cons.', 'Prize', '₹1000/-', '12345', '(Remaining', 'all', 'serials)'],
+        ['2nd', 'Prize', '₹9,000/-'],
+        ['10293', '23849', '34910'],
+        ['45019', '56102', '2468'],
+        ['3rd', 'Prize', '₹500/-', '1234', '2345', '3456'],
+        ['4567', '|', ['6789', 42], '2345', 'O123'],
+        ['4th', 'Prize', '250/-', '1111', '2222'],
+        ['Please', 'claim', 'within', '30', 'days', 'of', 'the', 'draw'],
+        ['99999', '8888'],
+        ['5th', 'Prize', '3333', '4444']
+    ]));
+
+    const { data, review } = parseResultSheet(lines, { date: '04-11-2025', slot: '1pm' });
+    assert.deepStrictEqual(data, {
+        version: 1,
+        date: '04-11-2025',
+        slot: '1pm',
+        currency: 'INR',
+        tiers: [
+            { name: '1st Prize', amount: 10000000, match: 'full', numbers: ['68A 12345'] },
+            { name: 'Consolation Prize', amount: 1000, match: 'last5', numbers: ['12345'] },
+            { name: '2nd Prize', amount: 9000, match: 'last5', numbers: ['10293', '23849', '34910', '45019', '56102'] },
+            { name: '3rd Prize', amount: 500, match: 'last4', numbers: ['1234', '2345', '3456', '4567', '6789'] },
+            { name: '4th Prize', amount: 250, match: 'last4', numbers: ['1111', '2222'] }
+        ]
+    });
+
+    assert.deepStrictEqual(review.map(({ reason, tier, text }) => ({ reason, tier, text })), [
+        { reason: 'Prize amount could not be read', tier: '5th Prize', text: '5th Prize 3333 4444' },
+        { reason: 'Number does not fit this tier', tier: '2nd Prize', text: '2468' },
+        { reason: 'Low OCR confidence', tier: '3rd Prize', text: '6789' },
+        { reason: 'Number read twice', tier: '3rd Prize', text: '2345' }
+    ]);
+    assert.deepStrictEqual(review[2].box, { left: 240, top: 360, width: 100, height: 30 });
+});
+
+test('the consolation prize falls back to the 1st prize number, and empty sheets are flagged', () => {
+    const lines = parseTesseractTSV(sheetTSV([
+        ['1st', 'Prize', '₹25', 'Lakh/-', '72C', '04811'],
+        ['Consolation', 'Prize', 'Rs.', '1,000/-']
+    ]));
+    const { data } = parseResultSheet(lines, { date: '04-11-2025', slot: '6pm' });
+    assert.deepStrictEqual(data.tiers.map(tier => [tier.name, tier.amount, tier.numbers]), [
+        ['1st Prize', 2500000, ['72C 04811']],
+        ['Consolation Prize', 1000, ['04811']]
+    ]);
+
+    const empty = parseResultSheet(parseTesseractTSV(sheetTSV([['Lottery', 'results', 'will', 'be', 'published', 'soon']])), { date: '04-11-2025', slot: '6pm' });
+    assert.deepStrictEqual(empty.data.tiers, []);
+    assert.deepStrictEqual(empty.review, [{ reason: 'No prize tiers found on the sheet', tier: null }]);
+});
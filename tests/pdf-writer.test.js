@@ -0,0 +1,56 @@
+/**
+ * PDF writer - file structure and text encoding
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PdfWriter = require('../pdf-writer.js');
+
+const latin1 = bytes => Buffer.from(bytes).toString('latin1');
+
+test('every cross-reference entry points at its object', () => {
+    const pdf = new PdfWriter({ title: 'Nagaland Dear 04-11-2025 1pm' });
+    const image = pdf.addJpeg(new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]), 10, 20);
+    const first = pdf.addPage();
+    first.text('Nagaland Dear', 40, 40, { size: 18, font: 'bold' });
+    first.image(image, 40, 100, 100, 200);
+    pdf.addPage().text('Page two', 40, 40);
+
+    const output = latin1(pdf.toBytes());
+    assert.ok(output.startsWith('%PDF-1.4'));
+    assert.ok(output.endsWith('%%EOF\n'));
+
+    const xrefOffset = Number(/startxref\n(\d+)/.exec(output)[1]);
+    assert.ok(output.slice(xrefOffset).startsWith('xref'));
+
+    const entries = output.slice(xrefOffset).split('\n').slice(3).filter(line => / n $/.test(line));
+    entries.forEach((entry, i) => {
+        const offset = Number(entry.slice(0, 10));
+        assert.ok(output.slice(offset).startsWith(`${i + 1} 0 obj`), `object ${i + 1}`);
+    });
+    assert.match(output, /\/Count 2/);
+});
+
+test('pages can be inserted before existing ones', () => {
+    const pdf = new PdfWriter();
+    const draw = pdf.addPage();
+    const summary = pdf.addPage(0);
+    assert.deepStrictEqual(pdf.pages, [summary, draw]);
+});
+
+test('text is escaped and the rupee sign becomes Rs.', () => {
+    assert.strictEqual(PdfWriter.stringLiteral('1st (A) \\ ₹500'), '(1st \\(A\\) \\\\ Rs. 500)');
+    assert.strictEqual(PdfWriter.stringLiteral('04-11-2025 · 1pm'), '(04-11-2025 \\267 1pm)');
+});
+
+test('text widths follow the standard font metrics', () => {
+    const pdf = new PdfWriter();
+    assert.strictEqual(pdf.textWidth('12345', 10, 'mono'), 30);
+    assert.strictEqual(pdf.textWidth('Ai', 10), 8.89);
+    assert.deepStrictEqual(pdf.wrapText('68A 12345 70B 54321 11C 00001', 10, 60, 'mono'), ['68A 12345', '70B 54321', '11C 00001']);
+});
+
+test('a PDF needs at least one page', () => {
+    assert.throws(() => new PdfWriter().toBytes(), /at least one page/);
+});
@@ -0,0 +1,134 @@
+/**
+ * Publishing result images - canonical names, duplicate checks, manifest updates
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LotteryBrands = require('../brands.js');
+const { checkDraw, detectImageType, planPublish, previewPublish, applyPublish, publishImage, unpublishImage } = require('../tools/lib/publish');
+
+const nagaland = LotteryBrands.get('nagaland');
+const jpeg = (marker) => Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0, 0, 0, 0, 0, 0, marker, 0xFF, 0xD9]);
+
+const withSiteRoot = (run) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'publish-test-'));
+    try {
+        run(root);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+};
+
+const manifestFiles = root => JSON.parse(fs.readFileSync(path.join(root, 'results.json'), 'utf8')).images.map(image => image.filename);
+
+test('draws are checked against the calendar and the brand schedule', () => {
+    assert.deepStrictEqual(checkDraw(nagaland, '4-11-2025', '1PM'), { date: '04-11-2025', slot: '1pm', label: '1:00 PM Draw' });
+    assert.throws(() => checkDraw(nagaland, '31-02-2025', '1pm'), /not a valid date/);
+    assert.throws(() => checkDraw(nagaland, '2025-11-04', '1pm'), /not a valid date/);
+    assert.throws(() => checkDraw(LotteryBrands.get('sikkim'), '04-11-2025', '1pm'), /not a Sikkim draw - use one of: 3pm/);
+});
+
+test('image type comes from the file contents', () => {
+    assert.strictEqual(detectImageType(jpeg(1)), 'jpg');
+    assert.strictEqual(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'webp');
+    assert.strictEqual(detectImageType(Buffer.from('not an image at all')), null);
+});
+
+test('publishing uses the canonical name and refuses duplicates unless replacing', () => {
+    withSiteRoot((root) => {
+        const first = publishImage(nagaland, { date: '4-11-2025', slot: '1pm', data: jpeg(1), root });
+        assert.strictEqual(first.filename, '04-11-2025 1pm.jpg');
+        assert.deepStrictEqual(manifestFiles(root), ['04-11-2025 1pm.jpg']);
+
+        assert.throws(() => publishImage(nagaland, { date: '04-11-2025', slot: '1pm', data: jpeg(2), root }),
+            error => error.status === 409 && /already published/.test(error.message));
+        assert.throws(() => publishImage(nagaland, { date: '04-11-2025', slot: '6pm', data: jpeg(1), root }),
+            /This image is already published as "04-11-2025 1pm.jpg"/);
+
+        const replaced = publishImage(nagaland, { date: '04-11-2025', slot: '1pm', data: jpeg(2), replace: true, root });
+        assert.deepStrictEqual(replaced.replaced, ['04-11-2025 1pm.jpg']);
+        assert.deepStrictEqual(fs.readFileSync(path.join(root, '04-11-2025 1pm.jpg')), jpeg(2));
+    });
+});
+
+test('unpublishing removes the draw and updates the manifest', () => {
+    withSiteRoot((root) => {
+        publishImage(nagaland, { date: '04-11-2025', slot: '1pm', data: jpeg(1), root });
+        publishImage(nagaland, { date: '04-11-2025', slot: '8pm', data: jpeg(2), root });
+
+        assert.deepStrictEqual(unpublishImage(nagaland, { date: '04-11-2025', slot: '1pm', root }).removed, ['04-11-2025 1pm.jpg']);
+        assert.deepStrictEqual(manifestFiles(root), ['04-11-2025 8pm.jpg']);
+        assert.throws(() => unpublishImage(nagaland, { date: '04-11-2025', slot: '1pm', root }), error => error.status === 404);
+    });
+});
+
+test('a publish plan lists every format and rendition, and only new renditions replace old ones', () => {
+    withSiteRoot((root) => {
+        const webp = marker => Buffer.from(`RIFF\0\0\0\0WEBPVP8 ${marker}`);
+        publishImage(nagaland, { date: '04-11-2025', slot: '1pm', data: jpeg(1), root });
+
+        const plan = planPublish(nagaland, { date: '04-11-2025', slot: '1pm', images: [webp(1), jpeg(2)], renditions: { thumbnail: webp(2), medium: webp(5) }, replace: true, root });
+        assert.deepStrictEqual(plan.writes.map(write => write.file), ['04-11-2025 1pm.webp', '04-11-2025 1pm.jpg', 'thumbs/04-11-2025 1pm.webp', 'medium/04-11-2025 1pm.webp']);
+        assert.deepStrictEqual(plan.removes, []);
+        assert.deepStrictEqual(manifestFiles(root), ['04-11-2025 1pm.jpg'], 'planning writes nothing');
+
+        applyPublish(plan);
+        const manifest = JSON.parse(fs.readFileSync(path.join(root, 'results.json'), 'utf8'));
+        assert.deepStrictEqual(manifest.images.map(image => image.filename), ['04-11-2025 1pm.jpg', '04-11-2025 1pm.webp']);
+        assert.deepStrictEqual(manifest.images[1].renditions, {
+            thumbnail: { file: 'thumbs/04-11-2025 1pm.webp', width: 320 },
+            medium: { file: 'medium/04-11-2025 1pm.webp', width: 1280 }
+        });
+
+        // Without ImageMagick a replacement keeps the old renditions for build-renditions to redo
+        const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 1]);
+        const replaced = publishImage(nagaland, { date: '04-11-2025', slot: '1pm', data: png, replace: true, root, imageMagick: null });
+        assert.deepStrictEqual(replaced.replaced.sort(), ['04-11-2025 1pm.jpg', '04-11-2025 1pm.webp']);
+        assert.deepStrictEqual(replaced.renditions, []);
+        assert.strictEqual(fs.existsSync(path.join(root, 'thumbs', '04-11-2025 1pm.webp')), true);
+        assert.strictEqual(fs.existsSync(path.join(root, 'medium', '04-11-2025 1pm.webp')), true);
+
+        applyPublish(planPublish(nagaland, { date: '04-11-2025', slot: '8pm', images: [webp(3)], renditions: { thumbnail: webp(4) }, root }));
+        unpublishImage(nagaland, { date: '04-11-2025', slot: '8pm', root });
+        assert.deepStrictEqual(fs.readdirSync(path.join(root, 'thumbs')), ['04-11-2025 1pm.webp']);
+    });
+});
+
+test('publishing an upload makes its renditions with ImageMagick', () => {
+    withSiteRoot((root) => {
+        // Stands in for ImageMagick: writes a tiny WebP to the output path it is given
+        const command = path.join(root, 'fake-magick');
+        fs.writeFileSync(command, `#!${process.execPath}\nrequire('fs').writeFileSync(process.argv[process.argv.length - 1], 'RIFF\\0\\0\\0\\0WEBPVP8 ');\n`, { mode: 0o755 });
+
+        const result = publishImage(nagaland, { date: '04-11-2025', slot: '1pm', data: jpeg(1), root, imageMagick: { command } });
+        assert.deepStrictEqual(result.renditions, ['thumbnail', 'medium']);
+        assert.deepStrictEqual(manifestFiles(root), ['04-11-2025 1pm.jpg']);
+        const manifest = JSON.parse(fs.readFileSync(path.join(root, 'results.json'), 'utf8'));
+        assert.deepStrictEqual(Object.keys(manifest.images[0].renditions), ['thumbnail', 'medium']);
+
+        const replaced = publishImage(nagaland, { date: '04-11-2025', slot: '1pm', data: jpeg(2), replace: true, root, imageMagick: { command } });
+        assert.deepStrictEqual(replaced.renditions, ['thumbnail', 'medium']);
+        assert.deepStrictEqual(fs.readdirSync(path.join(root, 'thumbs')), ['04-11-2025 1pm.webp']);
+    });
+});
+
+test('a dry-run preview lists the files without converting the upload', () => {
+    withSiteRoot((root) => {
+        const webp = marker => Buffer.from(`RIFF\0\0\0\0WEBPVP8 ${marker}`);
+        applyPublish(planPublish(nagaland, { date: '04-11-2025', slot: '1pm', images: [jpeg(1)], renditions: { thumbnail: webp(1) }, root }));
+
+        const preview = { date: '04-11-2025', slot: '1pm', upload: jpeg(2), formats: ['webp', 'jpg'], renditions: ['thumbnail', 'medium'], root };
+        assert.throws(() => previewPublish(nagaland, preview), error => error.status === 409);
+
+        const plan = previewPublish(nagaland, { ...preview, replace: true });
+        assert.deepStrictEqual(plan.writes.map(write => write.file), ['04-11-2025 1pm.webp', '04-11-2025 1pm.jpg', 'thumbs/04-11-2025 1pm.webp', 'medium/04-11-2025 1pm.webp']);
+        assert.deepStrictEqual(plan.removes, []);
+        assert.deepStrictEqual(plan.replaced, ['04-11-2025 1pm.jpg']);
+        assert.throws(() => previewPublish(nagaland, { ...preview, slot: '8pm', upload: jpeg(1) }), /already published as "04-11-2025 1pm.jpg"/);
+        assert.deepStrictEqual(manifestFiles(root), ['04-11-2025 1pm.jpg'], 'previewing writes nothing');
+    });
+});
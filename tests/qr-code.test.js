@@ -0,0 +1,94 @@
+/**
+ * QR code encoder - checked against the worked examples and tables of the standard,
+ * and the watermark falling back to no QR code
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const QrCode = require('../qr-code.js');
+const { ResultWatermark } = require('../watermark.js');
+
+const DRAW_URL = 'https://example.com/?brand=nagaland&date=04-11-2025&time=1pm';
+
+// Bits read back from the matrix, most significant first
+const formatBits = (qr) => {
+    const bits = [];
+    for (let i = 0; i < 15; i++) {
+        bits.unshift(i < 8 ? qr.isDark(qr.size - 1 - i, 8) : qr.isDark(8, qr.size - 15 + i));
+    }
+    return bits.map(Number).join('');
+};
+
+const versionBits = (qr) => {
+    const bits = [];
+    for (let i = 0; i < 18; i++) {
+        bits.unshift(qr.isDark(qr.size - 11 + i % 3, Math.floor(i / 3)));
+    }
+    return bits.map(Number).join('');
+};
+
+test('Reed-Solomon codewords match the 1-M "HELLO WORLD" example', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    assert.deepStrictEqual(
+        QrCode.reedSolomonRemainder(data, QrCode.reedSolomonDivisor(10)),
+        [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]
+    );
+});
+
+test('byte capacity per version and level follows the standard table', () => {
+    const expected = { 1: [17, 14, 11, 7], 2: [32, 26, 20, 14], 5: [106, 84, 60, 44], 7: [154, 122, 86, 64], 10: [271, 213, 151, 119] };
+    for (const [version, capacities] of Object.entries(expected)) {
+        assert.deepStrictEqual(['L', 'M', 'Q', 'H'].map(ecc => QrCode.capacityBytes(Number(version), ecc)), capacities, `version ${version}`);
+    }
+});
+
+test('format information encodes the level and mask', () => {
+    const bytes = new TextEncoder().encode('04-11-2025 1pm');
+    const expected = {
+        M: ['101010000010010', '101000100100101', '101111001111100', '101101101001011', '100010111111001', '100000011001110', '100111110010111', '100101010100000'],
+        L: ['111011111000100'],
+        Q: ['011010101011111'],
+        H: ['001011010001001']
+    };
+    for (const [ecc, masks] of Object.entries(expected)) {
+        masks.forEach((bits, mask) => {
+            const qr = new QrCode(1, ecc, QrCode.encodeData(bytes, 1, ecc), mask);
+            assert.strictEqual(formatBits(qr), bits, `${ecc} mask ${mask}`);
+        });
+    }
+});
+
+test('draw links pick the smallest version and carry version information from 7 up', () => {
+    const qr = QrCode.encode(DRAW_URL);
+    assert.strictEqual(qr.version, 4);
+    assert.strictEqual(qr.size, 33);
+    assert.ok(qr.mask >= 0 && qr.mask < 8);
+
+    const long = QrCode.encode(`${DRAW_URL}&ref=${'x'.repeat(55)}`);
+    assert.strictEqual(long.version, 7);
+    assert.strictEqual(versionBits(long), '000111110010010100');
+});
+
+test('finder patterns sit in three corners', () => {
+    const qr = QrCode.encode(DRAW_URL);
+    for (const [x, y] of [[0, 0], [qr.size - 7, 0], [0, qr.size - 7]]) {
+        assert.ok(qr.isDark(x, y) && qr.isDark(x + 6, y + 6) && qr.isDark(x + 3, y + 3));
+        assert.ok(!qr.isDark(x + 1, y + 1));
+    }
+});
+
+test('text longer than version 10 holds is refused', () => {
+    assert.throws(() => QrCode.encode('x'.repeat(300), { ecc: 'L' }), /too long/);
+});
+
+test('a watermark leaves out the QR code when the draw link is too long for one', () => {
+    global.QrCode = QrCode;
+    try {
+        const watermark = new ResultWatermark();
+        assert.ok(watermark.encodeQrCode(DRAW_URL));
+        assert.strictEqual(watermark.encodeQrCode(`${DRAW_URL}&ref=${'x'.repeat(300)}`), null);
+    } finally {
+        delete global.QrCode;
+    }
+});
@@ -0,0 +1,197 @@
+/**
+ * Result data helpers - validation, ticket checks, bulk ticket lists, compare mode, and loading a draw's data on the page
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const ResultData = require('../result-data.js');
+const ImageWebController = require('../script.js');
+
+const sheet = {
+    version: 1,
+    date: '04-11-2025',
+    slot: '1pm',
+    tiers: [
+        { name: '1st Prize', amount: 10000000, match: 'full', numbers: ['68A 12345'] },
+        { name: 'Consolation Prize', amount: 1000, match: 'last5', numbers: ['12345'] },
+        { name: '2nd Prize', amount: 9000, match: 'last5', numbers: ['54321', '10293'] },
+        { name: '3rd Prize', amount: 500, match: 'last4', numbers: ['4321', '0293', '7777'] }
+    ]
+};
+
+// The example in RESULT_DATA_FORMAT.md
+const documentedExample = fs.readFileSync(path.join(__dirname, '..', 'RESULT_DATA_FORMAT.md'), 'utf8').match(/```json\r?\n([\s\S]*?)```/)[1];
+
+const errorsFor = (changes, expected = { date: '04-11-2025', slot: '1pm' }) => ResultData.validate({ ...sheet, ...changes }, expected).errors;
+
+test('the documented example is valid result data', () => {
+    const data = ResultData.parse(documentedExample, { date: '04-11-2025', slot: '1pm' });
+    assert.strictEqual(data.drawName, 'Dear Example Morning');
+    assert.strictEqual(data.tiers.length, 4);
+    assert.deepStrictEqual(ResultData.validate(sheet, { date: '04-11-2025', slot: '1pm' }), { valid: true, errors: [] });
+});
+
+test('result data with the wrong version, date or slot is rejected', () => {
+    assert.deepStrictEqual(errorsFor({ version: 2 }), ['version must be 1']);
+    assert.deepStrictEqual(errorsFor({ date: '31-02-2025' }), ['date must be a real date in DD-MM-YYYY format']);
+    assert.deepStrictEqual(errorsFor({ date: '2025-11-04' }), ['date must be a real date in DD-MM-YYYY format']);
+    assert.deepStrictEqual(errorsFor({ date: '05-11-2025' }), ['date 05-11-2025 does not match the draw 04-11-2025']);
+    assert.deepStrictEqual(errorsFor({ slot: '6pm' }), ['slot 6pm does not match the draw 1pm']);
+    assert.deepStrictEqual(errorsFor({ slot: 'noon' }), ['slot must look like "1pm", "6pm" or "8pm"']);
+});
+
+test('tiers with bad, empty or repeated numbers and repeated tiers are rejected', () => {
+    const tier = numbers => ({ name: '3rd Prize', amount: 500, match: 'last4', numbers });
+
+    assert.deepStrictEqual(errorsFor({ tiers: [] }), ['tiers must be a non-empty array']);
+    assert.deepStrictEqual(errorsFor({ tiers: [tier([])] }), ['tiers[0].numbers must be a non-empty array']);
+    assert.deepStrictEqual(errorsFor({ tiers: [tier(['12345'])] }), ['tiers[0].numbers[0] "12345" is not a valid last4 number']);
+    assert.deepStrictEqual(errorsFor({ tiers: [tier(['1234', '1234'])] }), ['tiers[0].numbers[1] "1234" is listed twice']);
+    assert.deepStrictEqual(errorsFor({ tiers: [tier(['1234']), tier(['5678'])] }), ['tiers[1].name "3rd Prize" is listed twice']);
+});
+
+test('parsing reports text that is not JSON or not valid result data', () => {
+    assert.throws(() => ResultData.parse('{"version": 1,'), /^Error: Result data is not valid JSON: /);
+    assert.throws(() => ResultData.parse('<html>Not found</html>'), /^Error: Result data is not valid JSON: /);
+    assert.throws(() => ResultData.parse(JSON.stringify(sheet), { slot: '8pm' }),
+        { message: 'Invalid result data: slot 1pm does not match the draw 8pm' });
+});
+
+test('a ticket wins the full-number prize only with the series and number', () => {
+    for (const input of ['68A 12345', '68a12345', ' 68 A-12345 ']) {
+        assert.deepStrictEqual(ResultData.checkTicket(sheet, input), {
+            valid: true,
+            ticket: '68A 12345',
+            prize: { name: '1st Prize', amount: 10000000, match: 'full', number: '68A 12345' }
+        });
+    }
+
+    // Same number in another series only takes the consolation prize
+    assert.deepStrictEqual(ResultData.checkTicket(sheet, '70B 12345').prize,
+        { name: 'Consolation Prize', amount: 1000, match: 'last5', number: '12345' });
+});
+
+test('lower tiers match the last 5 or 4 digits, highest prize first', () => {
+    assert.deepStrictEqual(ResultData.checkTicket(sheet, '11C 54321').prize,
+        { name: '2nd Prize', amount: 9000, match: 'last5', number: '54321' });
+    assert.deepStrictEqual(ResultData.checkTicket(sheet, '11C 64321').prize,
+        { name: '3rd Prize', amount: 500, match: 'last4', number: '4321' });
+    assert.strictEqual(ResultData.checkTicket(sheet, '11C 10293').prize.name, '2nd Prize');
+    assert.strictEqual(ResultData.checkTicket(sheet, '11C 00293').prize.name, '3rd Prize');
+    assert.strictEqual(ResultData.checkTicket(sheet, '11C 77770').prize, null);
+    assert.deepStrictEqual(ResultData.checkTicket(sheet, '11CD 07777'), {
+        valid: true,
+        ticket: '11CD 07777',
+        prize: { name: '3rd Prize', amount: 500, match: 'last4', number: '7777' }
+    });
+});
+
+test('numbers that are not a series plus 5 digits are not checked', () => {
+    for (const input of ['', '12345', '68A 1234', '68A 123456', '6A 12345', '68ABC 12345', 'ticket']) {
+        assert.deepStrictEqual(ResultData.checkTicket(sheet, input), { valid: false, ticket: null, prize: null }, input);
+    }
+});
+
+test('a pasted ticket list reads the ticket, date and draw in any order and separator', () => {
+    const text = [
+        'Ticket,Date,Draw',
+        '"68A 12345",04-11-2025,1 PM',
+        '70b12345;04/11/2025;6pm',
+        '',
+        '11C 54321\t2025-11-05\t08 PM',
+        '1pm, 68A-00001 ,4.11.2025',
+        '  72C 04811  '
+    ].join('\r\n');
+
+    assert.deepStrictEqual(ResultData.parseTicketList(text), {
+        entries: [
+            { line: 2, ticket: '68A 12345', date: '04-11-2025', slot: '1pm' },
+            { line: 3, ticket: '70B 12345', date: '04-11-2025', slot: '6pm' },
+            { line: 5, ticket: '11C 54321', date: '05-11-2025', slot: '8pm' },
+            { line: 6, ticket: '68A 00001', date: '04-11-2025', slot: '1pm' },
+            { line: 7, ticket: '72C 04811', date: null, slot: null }
+        ],
+        invalid: []
+    });
+});
+
+test('ranges, bare digits and other bad tokens are reported by line', () => {
+    const text = ['68A 12345-12350', '12345', '68A 1234', 'hello', '11C 99999,31-02-2025,13pm'].join('\n');
+    const { entries, invalid } = ResultData.parseTicketList(text);
+
+    // A bad date or draw leaves it to the draw chosen on the page
+    assert.deepStrictEqual(entries, [{ line: 5, ticket: '11C 99999', date: null, slot: null }]);
+    assert.deepStrictEqual(invalid.map(item => [item.line, item.text]), [
+        [1, '68A 12345-12350'],
+        [2, '12345'],
+        [3, '68A 1234'],
+        [4, 'hello']
+    ]);
+    assert.ok(invalid.every(item => item.reason === 'No ticket number (series + 5 digits) found'));
+});
+
+test('only a first line without a 5-digit number is taken as a CSV header', () => {
+    assert.deepStrictEqual(ResultData.parseTicketList('Ticket 12345\n68A 12345').invalid.map(item => item.line), [1]);
+    assert.deepStrictEqual(ResultData.parseTicketList('68A 12345\nTicket,Date').invalid.map(item => item.line), [2]);
+    assert.deepStrictEqual(ResultData.parseTicketList('\n \n'), { entries: [], invalid: [] });
+});
+
+const draw = (slot, numbers) => ({
+    version: 1,
+    date: '04-11-2025',
+    slot,
+    tiers: [
+        { name: '1st Prize', amount: 10000000, match: 'full', numbers: numbers.full },
+        { name: '3rd Prize', amount: 500, match: 'last4', numbers: numbers.last4 }
+    ]
+});
+
+test('shared numbers are the exact numbers listed in both draws', () => {
+    const first = draw('1pm', { full: ['68A 12345'], last4: ['1234', '5678', '9012'] });
+    const second = draw('6pm', { full: ['70B 12345'], last4: ['5678', '0000', '9012'] });
+
+    assert.deepStrictEqual([...ResultData.sharedNumbers(first, second)], ['5678', '9012']);
+});
+
+test('draws with nothing in common share no numbers', () => {
+    const first = draw('1pm', { full: ['68A 12345'], last4: ['1234'] });
+    const second = draw('8pm', { full: ['11C 54321'], last4: ['4321'] });
+
+    assert.strictEqual(ResultData.sharedNumbers(first, second).size, 0);
+});
+
+test('result data is fetched again after a failure, but a 404 is remembered', async () => {
+    global.ResultData = ResultData;
+    const controller = Object.create(ImageWebController.prototype);
+    controller.resultDataCache = new Map();
+    controller.buildImageURL = filename => filename;
+
+    const image = slot => ({ originalFilename: `04-11-2025 ${slot}.jpg`, date: new Date(2025, 10, 4), displayTime: slot });
+    const data = { ...draw('1pm', { full: ['68A 12345'], last4: ['1234'] }), currency: 'INR' };
+    const responses = {
+        '04-11-2025 1pm.json': [() => { throw new TypeError('Failed to fetch'); }, () => ({ ok: false, status: 503 }), () => ({ ok: true, status: 200, text: async () => JSON.stringify(data) })],
+        '04-11-2025 6pm.json': [() => ({ ok: false, status: 404 })]
+    };
+    const requested = [];
+    const realFetch = global.fetch;
+    global.fetch = async (url) => {
+        requested.push(url);
+        return responses[url].shift()();
+    };
+
+    try {
+        assert.strictEqual(await controller.loadResultData(image('1pm')), null);
+        assert.strictEqual(await controller.loadResultData(image('1pm')), null);
+        assert.deepStrictEqual((await controller.loadResultData(image('1pm'))).tiers[0].numbers, ['68A 12345']);
+        await controller.loadResultData(image('1pm'));
+
+        assert.strictEqual(await controller.loadResultData(image('6pm')), null);
+        assert.strictEqual(await controller.loadResultData(image('6pm')), null);
+        assert.deepStrictEqual(requested, ['04-11-2025 1pm.json', '04-11-2025 1pm.json', '04-11-2025 1pm.json', '04-11-2025 6pm.json']);
+    } finally {
+        global.fetch = realFetch;
+    }
+});
@@ -0,0 +1,91 @@
+/**
+ * Local server - result files served from IMAGE_DIR, admin publishing
+ * Run: node --test tests/
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+process.env.IMAGE_DIR = imageDir;
+process.env.ADMIN_PASSWORD = 'test-password';
+const { createServer } = require('../server.js');
+
+const jpeg = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0, 0, 0, 0, 0, 0, 1, 0xFF, 0xD9]);
+const adminHeaders = {
+    'Authorization': `Basic ${Buffer.from('admin:test-password').toString('base64')}`,
+    'X-Admin-Request': '1'
+};
+let server;
+let baseURL;
+
+before(async () => {
+    fs.writeFileSync(path.join(imageDir, '04-11-2025 1pm.jpg'), jpeg);
+    fs.mkdirSync(path.join(imageDir, 'thumbs'));
+    fs.writeFileSync(path.join(imageDir, 'thumbs', '04-11-2025 1pm.webp'), 'thumb');
+    fs.mkdirSync(path.join(imageDir, 'sikkim'));
+    fs.writeFileSync(path.join(imageDir, 'sikkim', '05-11-2025 3pm.json'), '{}');
+
+    server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(imageDir, { recursive: true, force: true });
+});
+
+test('listed result images, renditions and data are served from IMAGE_DIR', async () => {
+    const listing = await (await fetch(`${baseURL}/api/get-images.php?action=list`)).json();
+    assert.deepStrictEqual(listing.images.map(image => image.filename), ['04-11-2025 1pm.jpg']);
+
+    const image = await fetch(`${baseURL}/${encodeURIComponent(listing.images[0].filename)}`);
+    assert.strictEqual(image.status, 200);
+    assert.deepStrictEqual(Buffer.from(await image.arrayBuffer()), jpeg);
+
+    assert.strictEqual((await fetch(`${baseURL}/thumbs/04-11-2025%201pm.webp`)).status, 200);
+    assert.strictEqual((await fetch(`${baseURL}/sikkim/05-11-2025%203pm.json`)).status, 200);
+});
+
+test('the rest of the site still comes from the repository', async () => {
+    assert.strictEqual((await fetch(`${baseURL}/index.html`)).status, 200);
+    assert.strictEqual((await fetch(`${baseURL}/thumbs/index.html`)).status, 404);
+    assert.strictEqual((await fetch(`${baseURL}/server.js`)).status, 404);
+});
+
+test('images published on the admin page are served at the URL it lists', async () => {
+    const upload = await fetch(`${baseURL}/api/admin/upload?brand=sikkim&date=04-11-2025&slot=3pm`, {
+        method: 'POST',
+        headers: adminHeaders,
+        body: jpeg
+    });
+    assert.strictEqual(upload.status, 200);
+    assert.ok(fs.existsSync(path.join(imageDir, 'sikkim', '04-11-2025 3pm.jpg')));
+
+    const results = await (await fetch(`${baseURL}/api/admin/results?brand=sikkim`, { headers: adminHeaders })).json();
+    const published = results.images.find(image => image.filename === '04-11-2025 3pm.jpg');
+    assert.strictEqual(published.url, '/sikkim/04-11-2025%203pm.jpg');
+    assert.strictEqual((await fetch(`${baseURL}${published.url}`)).status, 200);
+});
+
+test('an oversize upload is answered with 413', async () => {
+    const response = await new Promise((resolve, reject) => {
+        const req = http.request(`${baseURL}/api/admin/upload?brand=sikkim&date=11-11-2025&slot=3pm`, {
+            method: 'POST',
+            headers: adminHeaders
+        }, (res) => {
+            res.resume();
+            resolve(res);
+        });
+        req.on('error', reject);
+        req.end(Buffer.alloc(21 * 1024 * 1024));
+    });
+    assert.strictEqual(response.statusCode, 413);
+    assert.strictEqual(response.headers.connection, 'close');
+    assert.ok(!fs.existsSync(path.join(imageDir, 'sikkim', '11-11-2025 3pm.jpg')));
+});
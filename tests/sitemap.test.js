@@ -0,0 +1,40 @@
+/**
+ * sitemap.xml helpers - draw deep links added or refreshed without touching other entries
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LotteryBrands = require('../brands.js');
+const { siteURLFromSitemap, drawPageURL, upsertSitemapURL } = require('../tools/lib/sitemap');
+
+const SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://www.example.com/index.html</loc>
+    <lastmod>2025-11-07</lastmod>
+  </url>
+</urlset>
+`;
+
+test('draw links use the page deep-link query on the sitemap site', () => {
+    const siteURL = siteURLFromSitemap(SITEMAP);
+    assert.strictEqual(siteURL, 'https://www.example.com/');
+    assert.strictEqual(drawPageURL(siteURL, LotteryBrands.get('sikkim'), '04-11-2025', '3pm'),
+        'https://www.example.com/?brand=sikkim&date=04-11-2025&time=3pm');
+    assert.strictEqual(siteURLFromSitemap('<urlset></urlset>'), null);
+});
+
+test('new draws are appended and known ones only get a new lastmod', () => {
+    const loc = 'https://www.example.com/?brand=nagaland&date=04-11-2025&time=1pm';
+    const first = upsertSitemapURL(SITEMAP, { loc, lastmod: '2025-11-04' });
+    assert.strictEqual(first.added, true);
+    assert.match(first.xml, /<loc>https:\/\/www\.example\.com\/\?brand=nagaland&amp;date=04-11-2025&amp;time=1pm<\/loc>\n {4}<lastmod>2025-11-04<\/lastmod>/);
+    assert.ok(first.xml.trimEnd().endsWith('</url>\n</urlset>'));
+    assert.ok(first.xml.includes('<loc>https://www.example.com/index.html</loc>\n    <lastmod>2025-11-07</lastmod>'));
+
+    const again = upsertSitemapURL(first.xml, { loc, lastmod: '2025-11-05' });
+    assert.strictEqual(again.added, false);
+    assert.strictEqual(again.xml.split('<url>').length, 3);
+    assert.ok(again.xml.includes('<lastmod>2025-11-05</lastmod>'));
+});
@@ -0,0 +1,54 @@
+/**
+ * ZIP writer - archives open with standard tools
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ZipWriter = require('../zip-writer.js');
+
+test('crc32 matches the standard check value', () => {
+    assert.strictEqual(ZipWriter.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('archive lists every file with its size and checksum', () => {
+    const zip = new ZipWriter();
+    zip.addFile('Nagaland-Dear-Result-04-11-2025-1pm.jpg', new Uint8Array([1, 2, 3, 4]));
+    zip.addFile('Summary.txt', 'Missing: 04-11-2025 · 6:00 PM Draw\n');
+    const bytes = zip.toBytes();
+    const view = new DataView(bytes.buffer);
+
+    // End of central directory record is the last 22 bytes
+    const end = bytes.length - 22;
+    assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+    assert.strictEqual(view.getUint16(end + 10, true), 2);
+
+    const centralOffset = view.getUint32(end + 16, true);
+    assert.strictEqual(view.getUint32(centralOffset, true), 0x02014b50);
+    assert.strictEqual(view.getUint32(centralOffset + 16, true), ZipWriter.crc32(new Uint8Array([1, 2, 3, 4])));
+    assert.strictEqual(view.getUint32(0, true), 0x04034b50);
+});
+
+test('unzip can read the archive when it is installed', (t) => {
+    if (spawnSync('unzip', ['-v']).error) {
+        t.skip('unzip not installed');
+        return;
+    }
+
+    const zip = new ZipWriter();
+    zip.addFile('a.txt', 'first\n');
+    zip.addFile('b.txt', 'second\n');
+    const file = path.join(os.tmpdir(), `zip-writer-${process.pid}.zip`);
+    fs.writeFileSync(file, zip.toBytes());
+
+    try {
+        const result = spawnSync('unzip', ['-t', file], { encoding: 'utf8' });
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    } finally {
+        fs.unlinkSync(file);
+    }
+});
@@ -0,0 +1,339 @@
+/**
+ * Admin page - publish, replace and unpublish result images (served by server.js)
+ * The filename is always built from the date and draw picked here, in the
+ * "DD-MM-YYYY 1pm.jpg" form parseImageName reads, so a typo cannot hide a result.
+ */
+
+const ADMIN_IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+class ResultAdmin {
+    constructor() {
+        this.form = document.getElementById('publish-form');
+        this.brandSelect = document.getElementById('admin-brand');
+        this.dateInput = document.getElementById('admin-date');
+        this.slotSelect = document.getElementById('admin-slot');
+        this.dropZone = document.getElementById('admin-drop');
+        this.fileInput = document.getElementById('admin-file');
+        this.preview = document.getElementById('admin-preview');
+        this.previewImage = document.getElementById('admin-preview-image');
+        this.filenameText = document.getElementById('admin-filename');
+        this.replaceRow = document.getElementById('admin-replace-row');
+        this.replaceCheckbox = document.getElementById('admin-replace');
+        this.replaceText = document.getElementById('admin-replace-text');
+        this.publishBtn = document.getElementById('admin-publish');
+        this.status = document.getElementById('admin-status');
+        this.resultsBody = document.getElementById('admin-results');
+
+        this.file = null;
+        this.previewURL = null;
+        this.published = [];
+
+        this.renderBrands();
+        this.dateInput.value = this.formatInputDate(new Date());
+        this.renderSlots();
+        this.bindEvents();
+        this.loadPublished();
+    }
+
+    get brand() {
+        return LotteryBrands.get(this.brandSelect.value) || LotteryBrands.getDefault();
+    }
+
+    get schedule() {
+        return DrawSchedule.forBrand(this.brand.id);
+    }
+
+    bindEvents() {
+        this.brandSelect.addEventListener('change', () => {
+            this.renderSlots();
+            this.loadPublished();
+        });
+        this.dateInput.addEventListener('change', () => this.renderSlots());
+        this.slotSelect.addEventListener('change', () => this.update());
+        this.replaceCheckbox.addEventListener('change', () => this.update());
+        this.form.addEventListener('submit', (e) => this.publish(e));
+
+        // Drop zone: drag and drop, or click / Enter / Space to pick a file
+        this.dropZone.addEventListener('click', () => this.fileInput.click());
+        this.dropZone.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.fileInput.click();
+            }
+        });
+        this.fileInput.addEventListener('change', () => this.chooseFile(this.fileInput.files[0]));
+
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.add('dragging');
+        });
+        this.dropZone.addEventListener('dragleave', () => this.dropZone.classList.remove('dragging'));
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.remove('dragging');
+            this.chooseFile(e.dataTransfer.files[0]);
+        });
+    }
+
+    renderBrands() {
+        for (const brand of LotteryBrands.all()) {
+            const option = document.createElement('option');
+            option.value = brand.id;
+            option.textContent = brand.name;
+            this.brandSelect.appendChild(option);
+        }
+    }
+
+    /**
+     * Slot picker for the brand, with draws that do not run on the chosen date disabled
+     */
+    renderSlots() {
+        const previous = this.slotSelect.value;
+        const date = this.parseInputDate(this.dateInput.value);
+        this.slotSelect.innerHTML = '';
+
+        for (const slot of this.schedule.allSlots()) {
+            const option = document.createElement('option');
+            option.value = slot.slot;
+            option.textContent = slot.label;
+            option.disabled = Boolean(date) && !this.schedule.runsOn(slot.slot, date);
+            this.slotSelect.appendChild(option);
+        }
+
+        const options = Array.from(this.slotSelect.options);
+        const keep = options.find(option => option.value === previous && !option.disabled) || options.find(option => !option.disabled);
+        if (keep) {
+            this.slotSelect.value = keep.value;
+        }
+        this.update();
+    }
+
+    chooseFile(file) {
+        if (!file) return;
+
+        if (!ADMIN_IMAGE_TYPES[file.type]) {
+            this.showStatus(`"${file.name}" is not a JPEG, PNG, WebP or GIF image.`, 'error');
+            return;
+        }
+
+        if (this.previewURL) {
+            URL.revokeObjectURL(this.previewURL);
+        }
+        this.file = file;
+        this.previewURL = URL.createObjectURL(file);
+        this.previewImage.src = this.previewURL;
+        this.preview.hidden = false;
+        this.showStatus('');
+        this.update();
+    }
+
+    clearFile() {
+        if (this.previewURL) {
+            URL.revokeObjectURL(this.previewURL);
+        }
+        this.file = null;
+        this.previewURL = null;
+        this.fileInput.value = '';
+        this.previewImage.removeAttribute('src');
+        this.preview.hidden = true;
+    }
+
+    /**
+     * Draw picked in the form: { date: 'DD-MM-YYYY', slot } or null
+     */
+    selectedDraw() {
+        const date = this.parseInputDate(this.dateInput.value);
+        const option = this.slotSelect.selectedOptions[0];
+        if (!date || !option || option.disabled) return null;
+        return { date: this.formatDrawDate(date), slot: option.value };
+    }
+
+    publishedFor(draw) {
+        return draw ? this.published.filter(entry => entry.date === draw.date && entry.slot === draw.slot) : [];
+    }
+
+    /**
+     * Canonical filename, replace option and button state
+     */
+    update() {
+        const draw = this.selectedDraw();
+        const existing = this.publishedFor(draw);
+
+        if (this.file && draw) {
+            this.filenameText.textContent = `${draw.date} ${draw.slot}.${ADMIN_IMAGE_TYPES[this.file.type]}`;
+        }
+
+        this.replaceRow.hidden = existing.length === 0;
+        if (existing.length) {
+            this.replaceText.textContent = `Replace the published "${existing[0].filename}"`;
+        } else {
+            this.replaceCheckbox.checked = false;
+        }
+
+        const replacing = existing.length > 0 && this.replaceCheckbox.checked;
+        this.publishBtn.textContent = replacing ? 'Replace' : 'Publish';
+        this.publishBtn.disabled = !this.file || !draw || (existing.length > 0 && !replacing);
+    }
+
+    async publish(event) {
+        event.preventDefault();
+        const draw = this.selectedDraw();
+        if (!this.file || !draw) return;
+
+        const replace = this.publishedFor(draw).length > 0 && this.replaceCheckbox.checked;
+        const query = new URLSearchParams({ brand: this.brand.id, date: draw.date, slot: draw.slot });
+        if (replace) {
+            query.set('replace', '1');
+        }
+
+        this.publishBtn.disabled = true;
+        this.showStatus(replace ? 'Replacing…' : 'Publishing…');
+
+        try {
+            const data = await this.request(`/api/admin/upload?${query}`, {
+                method: 'POST',
+                headers: { 'Content-Type': this.file.type },
+                body: this.file
+            });
+            this.showStatus(`${replace ? 'Replaced' : 'Published'} "${data.filename}". The results manifest now lists ${data.count} images.`, 'success');
+            console.log(`📤 Published ${data.filename}`);
+            this.clearFile();
+            this.replaceCheckbox.checked = false;
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+
+        await this.loadPublished();
+    }
+
+    async unpublish(entry) {
+        if (!window.confirm(`Take "${entry.filename}" off the site?`)) return;
+
+        try {
+            const data = await this.request('/api/admin/unpublish', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ brand: this.brand.id, date: entry.date, slot: entry.slot })
+            });
+            this.showStatus(`Unpublished ${data.removed.map(name => `"${name}"`).join(', ')}.`, 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+
+        await this.loadPublished();
+    }
+
+    /**
+     * Fill the form to replace a published draw; the new file is picked next
+     */
+    startReplace(entry) {
+        const [day, month, year] = entry.date.split('-');
+        this.dateInput.value = `${year}-${month}-${day}`;
+        this.renderSlots();
+        this.slotSelect.value = entry.slot;
+        this.replaceCheckbox.checked = true;
+        this.update();
+        this.showStatus(`Drop the new image for ${entry.date} ${entry.slot}.`);
+        this.dropZone.focus();
+    }
+
+    async loadPublished() {
+        const brandId = this.brand.id;
+        try {
+            const data = await this.request(`/api/admin/results?brand=${encodeURIComponent(brandId)}`);
+            if (brandId !== this.brand.id) return; // Brand changed while loading
+            this.published = data.images;
+        } catch (error) {
+            this.published = [];
+            this.showStatus(`Could not load published results: ${error.message}`, 'error');
+        }
+        this.renderPublished();
+        this.update();
+    }
+
+    renderPublished() {
+        this.resultsBody.innerHTML = '';
+        if (this.published.length === 0) {
+            const row = this.resultsBody.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 5;
+            cell.textContent = `No ${this.brand.name} results published yet.`;
+            return;
+        }
+
+        for (const entry of this.published) {
+            const slot = this.schedule.getSlot(entry.slot);
+            const row = this.resultsBody.insertRow();
+            row.insertCell().textContent = entry.date;
+            row.insertCell().textContent = slot ? slot.label : entry.slot;
+
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = entry.filename;
+            row.insertCell().appendChild(link);
+
+            row.insertCell().textContent = `${Math.round(entry.size / 1024)} KB`;
+
+            const actions = row.insertCell();
+            actions.className = 'admin-actions';
+            const replaceBtn = document.createElement('button');
+            replaceBtn.type = 'button';
+            replaceBtn.textContent = 'Replace';
+            replaceBtn.setAttribute('aria-label', `Replace ${entry.filename}`);
+            replaceBtn.addEventListener('click', () => this.startReplace(entry));
+
+            const unpublishBtn = document.createElement('button');
+            unpublishBtn.type = 'button';
+            unpublishBtn.className = 'admin-danger';
+            unpublishBtn.textContent = 'Unpublish';
+            unpublishBtn.setAttribute('aria-label', `Unpublish ${entry.filename}`);
+            unpublishBtn.addEventListener('click', () => this.unpublish(entry));
+
+            actions.append(replaceBtn, unpublishBtn);
+        }
+    }
+
+    /**
+     * Call the admin API; throws with the server's error message
+     */
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'X-Admin-Request': '1', ...(options.headers || {}) }
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data || !data.success) {
+            throw new Error((data && data.error) || `Request failed (HTTP ${response.status})`);
+        }
+        return data;
+    }
+
+    showStatus(message, type = '') {
+        this.status.textContent = message;
+        this.status.className = `admin-status${type ? ` admin-status-${type}` : ''}`;
+    }
+
+    parseInputDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+
+    formatInputDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    formatDrawDate(date) {
+        return `${String(date.getDate()).padStart(2, '0')}-${String(date.getMonth() + 1).padStart(2, '0')}-${date.getFullYear()}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.resultAdmin = new ResultAdmin();
+});
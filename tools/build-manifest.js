@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Build results.json - the results manifest read by script.js
+ * Usage: node tools/build-manifest.js [--brand <id>] [image-directory]
+ * Without arguments it builds one manifest per brand folder (brands.js).
+ * Run after adding, renaming or removing result images.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LotteryBrands = require('../brands.js');
+const { SITE_ROOT, brandImageDir, writeManifest } = require('./lib/results');
+
+function buildFor(dir, label) {
+    const { manifest, manifestPath } = writeManifest(dir);
+    const newest = manifest.images[0];
+    console.log(`✅ ${label}: wrote ${manifestPath} with ${manifest.images.length} result images`);
+    if (newest) {
+        console.log(`🏆 Newest result: ${newest.filename}`);
+    }
+}
+
+try {
+    const args = process.argv.slice(2);
+    const brandIndex = args.indexOf('--brand');
+
+    if (brandIndex !== -1) {
+        const brand = LotteryBrands.get(args[brandIndex + 1]);
+        if (!brand) {
+            throw new Error(`Unknown brand "${args[brandIndex + 1] || ''}" - use one of: ${LotteryBrands.all().map(b => b.id).join(', ')}`);
+        }
+        buildFor(brandImageDir(brand), brand.name);
+    } else if (args[0]) {
+        buildFor(path.resolve(args[0]), args[0]);
+    } else {
+        for (const brand of LotteryBrands.all()) {
+            const dir = brandImageDir(brand, SITE_ROOT);
+            if (!fs.existsSync(dir)) {
+                console.log(`⏭️ ${brand.name}: no ${brand.imagePath} folder yet`);
+                continue;
+            }
+            buildFor(dir, brand.name);
+        }
+    }
+} catch (error) {
+    console.error(`❌ Could not build results manifest: ${error.message}`);
+    process.exit(1);
+}
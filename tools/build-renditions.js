@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Make the downsized renditions (thumbnail, medium) of published result images
+ * Usage: node tools/build-renditions.js [--brand <id>] [--force]
+ *
+ * For every result image that has no renditions yet (or an older one), writes the
+ * WebP renditions listed in tools/lib/results.js RENDITIONS into the brand's
+ * subfolders, then rebuilds the brand's results.json so the page can use them.
+ * tools/lottery-ingest.js already does this for images it publishes.
+ * Needs ImageMagick (https://imagemagick.org) on the PATH.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LotteryBrands = require('../brands.js');
+const { SITE_ROOT, RENDITIONS, brandImageDir, scanResultImages, writeManifest } = require('./lib/results');
+const { findImageMagick, convertImage } = require('./lib/imagemagick');
+
+// Formats with the most detail come first when a draw has several files
+const SOURCE_FORMATS = ['png', 'bmp', 'jpg', 'jpeg', 'webp', 'gif'];
+
+function parseArgs(argv) {
+    const options = { brands: LotteryBrands.all(), force: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--brand': {
+                const brand = LotteryBrands.get(argv[++i]);
+                if (!brand) {
+                    throw new Error(`Unknown brand "${argv[i] || ''}" - use one of: ${LotteryBrands.all().map(b => b.id).join(', ')}`);
+                }
+                options.brands = [brand];
+                break;
+            }
+            case '--force':
+                options.force = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * One source image per draw
+ */
+function drawSources(dir) {
+    const byDraw = new Map();
+    for (const entry of scanResultImages(dir)) {
+        const key = `${entry.date} ${entry.slot}`;
+        const existing = byDraw.get(key);
+        if (!existing || SOURCE_FORMATS.indexOf(entry.extension) < SOURCE_FORMATS.indexOf(existing.extension)) {
+            byDraw.set(key, entry);
+        }
+    }
+    return Array.from(byDraw.values());
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log('Usage: node tools/build-renditions.js [--brand nagaland] [--force]');
+        return;
+    }
+
+    const imageMagick = findImageMagick();
+    if (!imageMagick) {
+        console.error('❌ ImageMagick was not found. Install it (https://imagemagick.org) and make sure "magick" (or "convert") is on your PATH.');
+        process.exit(1);
+    }
+
+    const counts = { written: 0, skipped: 0, failed: 0 };
+
+    for (const brand of options.brands) {
+        const dir = brandImageDir(brand, SITE_ROOT);
+        if (!fs.existsSync(dir)) {
+            console.log(`⏭️ ${brand.name}: no ${brand.imagePath} folder yet`);
+            continue;
+        }
+
+        for (const entry of drawSources(dir)) {
+            const source = path.join(dir, entry.filename);
+            const sourceTime = fs.statSync(source).mtimeMs;
+
+            for (const rendition of RENDITIONS) {
+                const target = path.join(dir, rendition.dir, `${entry.date} ${entry.slot}.webp`);
+                if (!options.force && fs.existsSync(target) && fs.statSync(target).mtimeMs >= sourceTime) {
+                    counts.skipped++;
+                    continue;
+                }
+
+                try {
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    convertImage(imageMagick.command, source, target, { width: rendition.width, quality: rendition.quality });
+                    counts.written++;
+                } catch (error) {
+                    console.error(`❌ ${brand.name} ${entry.filename}: ${rendition.name} failed - ${error.message}`);
+                    counts.failed++;
+                }
+            }
+        }
+
+        const { manifest } = writeManifest(dir);
+        console.log(`✅ ${brand.name}: ${manifest.images.length} result images, manifest rebuilt`);
+    }
+
+    console.log(`🏁 Done: ${counts.written} renditions written, ${counts.skipped} up to date, ${counts.failed} failed`);
+    if (counts.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,76 @@
+/**
+ * Image conversion for the Node tools through ImageMagick (run locally, no network)
+ * ImageMagick 7 installs "magick"; version 6 only has "convert".
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RENDITIONS } = require('./results');
+
+/**
+ * The ImageMagick command and its version line, or null when it is not installed
+ * @returns {{ command: string, version: string }|null}
+ */
+function findImageMagick() {
+    for (const command of ['magick', 'convert']) {
+        const result = spawnSync(command, ['-version'], { encoding: 'utf8' });
+        // Windows ships an unrelated convert.exe, so check it really is ImageMagick
+        if (!result.error && /ImageMagick/.test(result.stdout || '')) {
+            return { command, version: result.stdout.split('\n')[0].replace(/^Version:\s*/, '').trim() };
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert an image; the output format comes from the output file extension
+ * @param {string} command - from findImageMagick
+ * @param {Object} options - width (shrink to at most this many pixels wide), quality (1-100),
+ *                           flatten (paint transparency white, for JPEG)
+ */
+function convertImage(command, input, output, { width = null, quality = 82, flatten = false } = {}) {
+    // [0] reads only the first frame of animated GIFs
+    const args = [`${input}[0]`, '-auto-orient', '-strip'];
+    if (width) {
+        args.push('-resize', `${width}x>`);
+    }
+    if (flatten) {
+        args.push('-background', 'white', '-alpha', 'remove', '-alpha', 'off');
+    }
+    args.push('-quality', String(quality), output);
+
+    const result = spawnSync(command, args, { encoding: 'utf8' });
+    if (result.error) {
+        throw result.error;
+    }
+    if (result.status !== 0) {
+        throw new Error((result.stderr || '').trim() || `${command} exited with code ${result.status}`);
+    }
+}
+
+/**
+ * Make the downsized WebP renditions (RENDITIONS in results.js) of an image
+ * @returns {Object} rendition name -> WebP Buffer
+ */
+function convertRenditions(command, input) {
+    const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'lottery-renditions-'));
+    try {
+        const renditions = {};
+        for (const { name, width, quality } of RENDITIONS) {
+            const output = path.join(scratch, `${name}.webp`);
+            convertImage(command, input, output, { width, quality });
+            renditions[name] = fs.readFileSync(output);
+        }
+        return renditions;
+    } finally {
+        fs.rmSync(scratch, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    findImageMagick,
+    convertImage,
+    convertRenditions
+};
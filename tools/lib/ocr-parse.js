@@ -0,0 +1,231 @@
+/**
+ * Turn OCR output of a result sheet into structured result data
+ * Input is Tesseract TSV; output follows results.schema.json plus a list
+ * of regions that need manual review.
+ */
+
+const TIER_HEADINGS = [
+    { pattern: /\bcons(?:olation)?\b/i, name: 'Consolation Prize', match: 'last5' },
+    { pattern: /\b1\s*st\b|\bfirst\b/i, name: '1st Prize', match: 'full' },
+    { pattern: /\b2\s*nd\b|\bsecond\b/i, name: '2nd Prize' },
+    { pattern: /\b3\s*rd\b|\bthird\b/i, name: '3rd Prize' },
+    { pattern: /\b4\s*th\b|\bfourth\b/i, name: '4th Prize' },
+    { pattern: /\b5\s*th\b|\bfifth\b/i, name: '5th Prize' }
+];
+
+// Lines with these words are sheet furniture (title, footer) and end the current tier
+const NON_TIER_LINE = /\b(?:draw|date|sold|agent|claim|phone|www|http|note|govt|government|director|lottery)\b/i;
+
+const AMOUNT_PATTERN = /(?:₹|\brs\.?|\binr)\s*([\d,]+(?:\.\d+)?)\s*(crores?|cr|lakhs?|lacs?)?/i;
+const MULTIPLIERS = { crore: 10000000, crores: 10000000, cr: 10000000, lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000 };
+
+/**
+ * Parse Tesseract TSV output into lines of words with confidence and position
+ */
+function parseTesseractTSV(tsv) {
+    const lines = new Map();
+    const rows = tsv.split(/\r?\n/).slice(1);
+
+    for (const row of rows) {
+        const cols = row.split('\t');
+        if (cols.length < 12 || cols[0] !== '5') continue;
+
+        const text = cols.slice(11).join('\t').trim();
+        if (!text) continue;
+
+        const key = `${cols[2]}-${cols[3]}-${cols[4]}`;
+        if (!lines.has(key)) {
+            lines.set(key, []);
+        }
+        lines.get(key).push({
+            text,
+            confidence: parseFloat(cols[10]),
+            box: {
+                left: parseInt(cols[6], 10),
+                top: parseInt(cols[7], 10),
+                width: parseInt(cols[8], 10),
+                height: parseInt(cols[9], 10)
+            }
+        });
+    }
+
+    return Array.from(lines.values()).map(words => ({
+        text: words.map(word => word.text).join(' '),
+        words
+    }));
+}
+
+/**
+ * Parse a prize amount such as "₹1 Crore/-", "Rs. 9,000/-" or "500/-"
+ * Returns { amount, text } or null
+ */
+function parseAmount(text) {
+    let match = text.match(AMOUNT_PATTERN);
+    if (!match) {
+        match = text.match(/([\d,]+)\s*\/-/);
+    }
+    if (!match) return null;
+
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    const multiplier = match[2] ? MULTIPLIERS[match[2].toLowerCase()] : 1;
+    if (!Number.isFinite(value) || value <= 0) return null;
+
+    return { amount: Math.round(value * multiplier), text: match[0] };
+}
+
+/**
+ * Pull ticket numbers out of a line's words, skipping the prize amount
+ * Returns [{ number, kind: 'full'|'digits', confidence, box }]
+ */
+function extractNumbers(words, amountText) {
+    const numbers = [];
+    let skipAmount = Boolean(amountText);
+    const amountDigits = amountText ? amountText.replace(/[^\d]/g, '') : '';
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const clean = word.text.toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+        // The amount's digits are not ticket numbers
+        const isAmountWord = word.text.includes('₹') || (/^\d+$/.test(clean) && clean === amountDigits);
+        if (skipAmount && isAmountWord) {
+            skipAmount = false;
+            continue;
+        }
+
+        // Series and number as one word (68A12345) or two words (68A 12345)
+        let match = clean.match(/^(\d{2}[A-Z]{1,2})(\d{5})$/);
+        if (match) {
+            numbers.push({ number: `${match[1]} ${match[2]}`, kind: 'full', confidence: word.confidence, box: word.box });
+            continue;
+        }
+
+        const next = words[i + 1];
+        const nextClean = next ? next.text.replace(/[^0-9]/g, '') : '';
+        if (/^\d{2}[A-Z]{1,2}$/.test(clean) && /^\d{5}$/.test(nextClean)) {
+            numbers.push({
+                number: `${clean} ${nextClean}`,
+                kind: 'full',
+                confidence: Math.min(word.confidence, next.confidence),
+                box: word.box
+            });
+            i++;
+            continue;
+        }
+
+        if (/^\d{4,5}$/.test(clean)) {
+            numbers.push({ number: clean, kind: 'digits', confidence: word.confidence, box: word.box });
+        }
+    }
+
+    return numbers;
+}
+
+/**
+ * Build result data for one draw from OCR lines
+ * Returns { data, review[] } - review lists everything a person should check
+ */
+function parseResultSheet(lines, { date, slot, minConfidence = 80 }) {
+    const tiers = [];
+    const review = [];
+    let current = null;
+
+    const flag = (reason, extra = {}) => review.push({ reason, tier: current ? current.name : null, ...extra });
+
+    for (const line of lines) {
+        const heading = TIER_HEADINGS.find(candidate => candidate.pattern.test(line.text));
+
+        if (heading) {
+            const amount = parseAmount(line.text);
+            current = { name: heading.name, match: heading.match || null, amount: amount ? amount.amount : null, found: [] };
+            tiers.push(current);
+
+            if (!amount) {
+                flag('Prize amount could not be read', { text: line.text });
+            }
+            current.found.push(...extractNumbers(line.words, amount ? amount.text : null));
+            continue;
+        }
+
+        if (NON_TIER_LINE.test(line.text)) {
+            current = null;
+            continue;
+        }
+
+        if (current) {
+            current.found.push(...extractNumbers(line.words, null));
+        }
+    }
+
+    const firstPrize = tiers.find(tier => tier.name === '1st Prize');
+    const data = {
+        version: 1,
+        date,
+        slot,
+        currency: 'INR',
+        tiers: []
+    };
+
+    for (const tier of tiers) {
+        current = tier;
+
+        // Lower tiers use whichever digit count most of their numbers have
+        if (!tier.match) {
+            const fives = tier.found.filter(item => item.kind === 'digits' && item.number.length === 5).length;
+            const fours = tier.found.filter(item => item.kind === 'digits' && item.number.length === 4).length;
+            tier.match = fives > fours ? 'last5' : 'last4';
+        }
+
+        const numbers = [];
+        for (const item of tier.found) {
+            const number = item.number;
+            const expectedLength = tier.match === 'last5' ? 5 : 4;
+            const fits = tier.match === 'full' ? item.kind === 'full' : item.kind === 'digits' && number.length === expectedLength;
+
+            if (!fits) {
+                flag('Number does not fit this tier', { text: item.number, confidence: item.confidence, box: item.box });
+                continue;
+            }
+            if (numbers.includes(number)) {
+                flag('Number read twice', { text: number, confidence: item.confidence, box: item.box });
+                continue;
+            }
+            if (item.confidence < minConfidence) {
+                flag('Low OCR confidence', { text: number, confidence: item.confidence, box: item.box });
+            }
+            numbers.push(number);
+        }
+
+        // Consolation prize is the 1st prize number in every other series
+        if (tier.name === 'Consolation Prize' && numbers.length === 0 && firstPrize) {
+            const full = firstPrize.found.find(item => item.kind === 'full');
+            if (full) {
+                numbers.push(full.number.slice(-5));
+            }
+        }
+
+        if (numbers.length === 0) {
+            flag('No winning numbers read for this tier');
+            continue;
+        }
+        if (tier.amount === null) {
+            continue;
+        }
+
+        data.tiers.push({ name: tier.name, amount: tier.amount, match: tier.match, numbers });
+    }
+
+    if (tiers.length === 0) {
+        current = null;
+        flag('No prize tiers found on the sheet');
+    }
+
+    return { data, review };
+}
+
+module.exports = {
+    parseTesseractTSV,
+    parseAmount,
+    extractNumbers,
+    parseResultSheet
+};
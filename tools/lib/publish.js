@@ -0,0 +1,288 @@
+/**
+ * Publishing result images - shared by the admin page (server.js) and the Node tools
+ * Checks the draw against the brand's schedule, stores the image under the
+ * canonical "DD-MM-YYYY 1pm.jpg" name parseImageName reads, refuses duplicates,
+ * and rebuilds the brand's results.json. Downsized renditions (RENDITIONS in
+ * results.js) live in subfolders of the brand folder under the same name.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DrawSchedule = require('../../draw-schedule.js');
+const { SITE_ROOT, RENDITIONS, brandImageDir, parseImageName, scanResultImages, writeManifest } = require('./results');
+const { findImageMagick, convertRenditions } = require('./imagemagick');
+
+// Leading bytes of each image format the site shows
+const IMAGE_SIGNATURES = [
+    { extension: 'jpg', bytes: [0xFF, 0xD8, 0xFF] },
+    { extension: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { extension: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] } // RIFF....WEBP
+];
+
+/**
+ * Error with the HTTP status the admin API answers with
+ */
+function publishError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Image format from the file contents ("jpg", "png", "gif", "webp"), or null
+ */
+function detectImageType(buffer) {
+    const startsWith = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+    const match = IMAGE_SIGNATURES.find(signature =>
+        buffer.length >= 12 && startsWith(signature.bytes) && (!signature.at8 || startsWith(signature.at8, 8)));
+    return match ? match.extension : null;
+}
+
+/**
+ * DD-MM-YYYY (single-digit day/month allowed) checked against the calendar, or null
+ */
+function normaliseDrawDate(dateStr) {
+    const match = /^(\d{1,2})-(\d{1,2})-(\d{4})$/.exec(String(dateStr || '').trim());
+    if (!match) return null;
+
+    const [day, month, year] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return `${String(day).padStart(2, '0')}-${String(month).padStart(2, '0')}-${year}`;
+}
+
+/**
+ * Check a date and slot make a real draw of the brand; returns { date, slot, label }
+ */
+function checkDraw(brand, dateStr, slotName) {
+    const date = normaliseDrawDate(dateStr);
+    if (!date) {
+        throw publishError(`"${dateStr || ''}" is not a valid date - use DD-MM-YYYY, e.g. 04-11-2025`);
+    }
+
+    const schedule = DrawSchedule.forBrand(brand.id);
+    const slot = String(slotName || '').trim().toLowerCase();
+    const scheduleSlot = schedule.getSlot(slot);
+    if (!scheduleSlot) {
+        const slots = schedule.allSlots().map(s => s.slot).join(', ');
+        throw publishError(`"${slotName || ''}" is not a ${brand.name} draw - use one of: ${slots}`);
+    }
+
+    const [day, month, year] = date.split('-').map(Number);
+    if (!schedule.runsOn(slot, new Date(year, month - 1, day))) {
+        throw publishError(`${brand.name} has no ${scheduleSlot.label} on ${date}`);
+    }
+    return { date, slot, label: scheduleSlot.label };
+}
+
+/**
+ * "04-11-2025 1pm.jpg" - the name parseImageName reads back as that draw
+ */
+function canonicalFilename(date, slot, extension) {
+    const filename = `${date} ${slot}.${extension}`;
+    if (!parseImageName(filename)) {
+        throw publishError(`Cannot build a result filename from ${date} ${slot}`);
+    }
+    return filename;
+}
+
+/**
+ * Published images of one draw (a draw can have several formats)
+ */
+function findDrawImages(dir, date, slot) {
+    if (!fs.existsSync(dir)) return [];
+    return scanResultImages(dir).filter(entry => entry.date === date && entry.slot === slot);
+}
+
+/**
+ * Rendition files of one draw (thumbs/, medium/...), as paths relative to the brand folder
+ */
+function findDrawRenditions(dir, date, slot) {
+    return RENDITIONS.flatMap(rendition => findDrawImages(path.join(dir, rendition.dir), date, slot)
+        .map(entry => `${rendition.dir}/${entry.filename}`));
+}
+
+/**
+ * Published image with exactly these bytes, or null (only same-size files are hashed)
+ */
+function findSameImage(dir, buffer) {
+    if (!fs.existsSync(dir)) return null;
+
+    const hash = data => crypto.createHash('sha256').update(data).digest('hex');
+    const wanted = hash(buffer);
+    return scanResultImages(dir).find(entry =>
+        entry.size === buffer.length && hash(fs.readFileSync(path.join(dir, entry.filename))) === wanted) || null;
+}
+
+/**
+ * Files a publish of the draw writes and removes, after the duplicate checks on `uploads`
+ * @returns {{ draw, dir, writes: {file}[], removes: string[], replaced: string[] }}
+ *          writes hold the formats in order, then the renditions in RENDITIONS order
+ */
+function planFiles(brand, draw, { uploads, extensions, renditionNames, replace, root }) {
+    const dir = brandImageDir(brand, root);
+    const existing = findDrawImages(dir, draw.date, draw.slot);
+    if (existing.length && !replace) {
+        throw publishError(`${brand.name} ${draw.date} ${draw.label} is already published as "${existing[0].filename}" - replace it instead`, 409);
+    }
+
+    for (const data of uploads) {
+        const same = findSameImage(dir, data);
+        if (same && !existing.some(entry => entry.filename === same.filename)) {
+            throw publishError(`This image is already published as "${same.filename}"`, 409);
+        }
+    }
+
+    const newRenditions = RENDITIONS.filter(rendition => renditionNames.includes(rendition.name));
+    const writes = extensions.map(extension => ({ file: canonicalFilename(draw.date, draw.slot, extension) }));
+    for (const rendition of newRenditions) {
+        writes.push({ file: `${rendition.dir}/${canonicalFilename(draw.date, draw.slot, 'webp')}` });
+    }
+
+    // Old renditions only go when new ones replace them; the rest wait for tools/build-renditions.js
+    const staleRenditions = findDrawRenditions(dir, draw.date, draw.slot)
+        .filter(file => newRenditions.some(rendition => file.startsWith(`${rendition.dir}/`)));
+    const replaced = existing.map(entry => entry.filename);
+    const removes = [...replaced, ...staleRenditions]
+        .filter(file => !writes.some(write => write.file === file));
+    return { draw, dir, writes, removes, replaced };
+}
+
+/**
+ * Check a publish and work out the files it writes and removes, without touching the disk
+ * @param {Object} brand - from brands.js
+ * @param {Object} options - date, slot, images (Buffers, one per format),
+ *                           renditions ({ thumbnail, medium } WebP Buffers, see RENDITIONS),
+ *                           replace (overwrite the draw's images), root
+ * @returns {{ draw, dir, writes: {file, data}[], removes: string[], replaced: string[] }}
+ *          file and removes paths are relative to dir
+ */
+function planPublish(brand, { date, slot, images, renditions = {}, replace = false, root = SITE_ROOT }) {
+    const draw = checkDraw(brand, date, slot);
+    const extensions = images.map(detectImageType);
+    if (!images.length || extensions.includes(null)) {
+        throw publishError('The file is not a JPEG, PNG, WebP or GIF image', 415);
+    }
+    for (const name of Object.keys(renditions)) {
+        if (!RENDITIONS.some(rendition => rendition.name === name)) {
+            throw publishError(`Unknown rendition "${name}"`);
+        }
+        if (detectImageType(renditions[name]) !== 'webp') {
+            throw publishError(`The ${name} rendition must be a WebP image`, 415);
+        }
+    }
+
+    const renditionNames = RENDITIONS.map(rendition => rendition.name).filter(name => renditions[name]);
+    const plan = planFiles(brand, draw, { uploads: images, extensions, renditionNames, replace, root });
+    const data = [...images, ...renditionNames.map(name => renditions[name])];
+    plan.writes.forEach((write, i) => { write.data = data[i]; });
+    return plan;
+}
+
+/**
+ * What publishing an upload would write and remove, for dry runs: the checks of
+ * planPublish without converting anything (the upload itself is checked for duplicates)
+ * @param {Object} options - date, slot, upload (Buffer), formats (extensions it would be
+ *                           stored as), renditions (names from RENDITIONS), replace, root
+ * @returns {{ draw, dir, writes: {file}[], removes: string[], replaced: string[] }}
+ */
+function previewPublish(brand, { date, slot, upload, formats, renditions = [], replace = false, root = SITE_ROOT }) {
+    const draw = checkDraw(brand, date, slot);
+    if (!detectImageType(upload)) {
+        throw publishError('The file is not a JPEG, PNG, WebP or GIF image', 415);
+    }
+    return planFiles(brand, draw, { uploads: [upload], extensions: formats, renditionNames: renditions, replace, root });
+}
+
+/**
+ * Carry out a plan from planPublish and rebuild the manifest
+ * @returns {{ files: string[], manifest }}
+ */
+function applyPublish({ dir, writes, removes }) {
+    for (const { file, data } of writes) {
+        const target = path.join(dir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+
+        // Write next to the target and rename, so the site never serves half a file
+        const temporary = path.join(path.dirname(target), `.${path.basename(file)}.${process.pid}.tmp`);
+        fs.writeFileSync(temporary, data);
+        fs.renameSync(temporary, target);
+    }
+    for (const file of removes) {
+        fs.unlinkSync(path.join(dir, file));
+    }
+
+    const { manifest } = writeManifest(dir);
+    return { files: writes.map(write => write.file), manifest };
+}
+
+/**
+ * Renditions of an uploaded image, or {} when ImageMagick is missing or cannot read it
+ */
+function uploadRenditions(imageMagick, data) {
+    const extension = detectImageType(data);
+    if (!imageMagick || !extension) return {};
+
+    const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'lottery-publish-'));
+    try {
+        const input = path.join(scratch, `upload.${extension}`);
+        fs.writeFileSync(input, data);
+        return convertRenditions(imageMagick.command, input);
+    } catch (error) {
+        console.log(`⚠️ Could not make renditions: ${error.message}`);
+        return {};
+    } finally {
+        fs.rmSync(scratch, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Store a result image for a draw with its renditions and rebuild the manifest
+ * Without ImageMagick the draw's old renditions are kept; run tools/build-renditions.js afterwards.
+ * @param {Object} brand - from brands.js
+ * @param {Object} options - date, slot, data (Buffer), replace (overwrite the draw's image), root,
+ *                           imageMagick (from findImageMagick; looked up when not given)
+ * @returns {{ filename, draw, replaced: string[], renditions: string[], manifest }}
+ */
+function publishImage(brand, { date, slot, data, replace = false, root = SITE_ROOT, imageMagick = findImageMagick() }) {
+    checkDraw(brand, date, slot); // Before spending time on conversions
+    const renditions = uploadRenditions(imageMagick, data);
+    const plan = planPublish(brand, { date, slot, images: [data], renditions, replace, root });
+    const { files, manifest } = applyPublish(plan);
+    return { filename: files[0], draw: plan.draw, replaced: plan.replaced, renditions: Object.keys(renditions), manifest };
+}
+
+/**
+ * Remove every image of a draw and rebuild the manifest
+ * @returns {{ draw, removed: string[], manifest }}
+ */
+function unpublishImage(brand, { date, slot, root = SITE_ROOT }) {
+    const draw = checkDraw(brand, date, slot);
+    const dir = brandImageDir(brand, root);
+    const existing = findDrawImages(dir, draw.date, draw.slot);
+    if (!existing.length) {
+        throw publishError(`${brand.name} ${draw.date} ${draw.label} is not published`, 404);
+    }
+
+    for (const file of [...existing.map(entry => entry.filename), ...findDrawRenditions(dir, draw.date, draw.slot)]) {
+        fs.unlinkSync(path.join(dir, file));
+    }
+    const { manifest } = writeManifest(dir);
+    return { draw, removed: existing.map(entry => entry.filename), manifest };
+}
+
+module.exports = {
+    detectImageType,
+    normaliseDrawDate,
+    checkDraw,
+    canonicalFilename,
+    findDrawImages,
+    planPublish,
+    previewPublish,
+    applyPublish,
+    publishImage,
+    unpublishImage
+};
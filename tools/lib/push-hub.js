@@ -0,0 +1,48 @@
+/**
+ * Local stand-in for a Web Push service
+ * Browsers listen on api/push/events (Server-Sent Events) instead of holding a
+ * real push subscription, and receive the same JSON payload a push message
+ * would carry (see LotteryBrands.resultNotification). This lets the whole
+ * notification flow be tested on one machine without external push services.
+ */
+
+const KEEP_ALIVE_MS = 25 * 1000;
+
+class PushHub {
+    constructor() {
+        this.clients = new Set();
+    }
+
+    /**
+     * Attach a browser to the event stream until it disconnects
+     */
+    connect(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        const keepAlive = setInterval(() => res.write(': ping\n\n'), KEEP_ALIVE_MS);
+        this.clients.add(res);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            this.clients.delete(res);
+        });
+    }
+
+    /**
+     * Deliver a payload to every connected browser; returns how many got it
+     */
+    send(payload) {
+        const message = `event: result\ndata: ${JSON.stringify(payload)}\n\n`;
+        for (const client of this.clients) {
+            client.write(message);
+        }
+        return this.clients.size;
+    }
+}
+
+module.exports = { PushHub };
@@ -0,0 +1,138 @@
+/**
+ * Result image helpers shared by the Node build tools
+ * Scans the site root for result images and builds the results manifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ImageWebController = require('../../script.js');
+
+const SITE_ROOT = path.resolve(__dirname, '..', '..');
+const MANIFEST_FILENAME = 'results.json';
+const MANIFEST_VERSION = 1;
+
+// Downsized WebP copies of each result, in a subfolder of the brand folder under the
+// result's own name ("thumbs/04-11-2025 1pm.webp"); the page picks one by screen size
+const RENDITIONS = [
+    { name: 'thumbnail', dir: 'thumbs', width: 320, quality: 70 },
+    { name: 'medium', dir: 'medium', width: 1280, quality: 80 }
+];
+const IMAGE_EXTENSIONS = ['webp', 'jpeg', 'jpg', 'png', 'gif', 'bmp'];
+
+/**
+ * Parse a result filename with the same rules the browser uses
+ */
+function parseImageName(filename) {
+    return ImageWebController.prototype.parseImageName(filename);
+}
+
+/**
+ * Format DD-MM-YYYY from parsed filename components
+ */
+function formatDrawDate(parsed) {
+    const day = String(parsed.day).padStart(2, '0');
+    const month = String(parsed.month).padStart(2, '0');
+    return `${day}-${month}-${parsed.year}`;
+}
+
+/**
+ * Sort key for newest-first ordering (date, then draw hour)
+ */
+function drawSortKey(parsed) {
+    return ((parsed.year * 100 + parsed.month) * 100 + parsed.day) * 100 + parsed.hour24;
+}
+
+/**
+ * Renditions of a draw found on disk: { thumbnail: { file, width }, ... }, or null
+ */
+function findRenditions(dir, date, slot) {
+    const found = {};
+    for (const rendition of RENDITIONS) {
+        const file = `${rendition.dir}/${date} ${slot}.webp`;
+        if (fs.existsSync(path.join(dir, file))) {
+            found[rendition.name] = { file, width: rendition.width };
+        }
+    }
+    return Object.keys(found).length ? found : null;
+}
+
+/**
+ * Scan a directory for result images and return manifest entries
+ */
+function scanResultImages(dir = SITE_ROOT) {
+    const entries = [];
+
+    for (const filename of fs.readdirSync(dir)) {
+        const extension = path.extname(filename).slice(1).toLowerCase();
+        if (!IMAGE_EXTENSIONS.includes(extension)) continue;
+
+        const parsed = parseImageName(filename);
+        if (!parsed) continue;
+
+        const stats = fs.statSync(path.join(dir, filename));
+        if (!stats.isFile()) continue;
+
+        const date = formatDrawDate(parsed);
+        const entry = {
+            filename,
+            date,
+            slot: parsed.displayTime,
+            extension,
+            size: stats.size,
+            mtime: stats.mtime.toISOString(),
+            sortKey: drawSortKey(parsed)
+        };
+        const renditions = findRenditions(dir, date, parsed.displayTime);
+        if (renditions) {
+            entry.renditions = renditions;
+        }
+        entries.push(entry);
+    }
+
+    entries.sort((a, b) => b.sortKey - a.sortKey || a.filename.localeCompare(b.filename));
+    return entries.map(({ sortKey, ...entry }) => entry);
+}
+
+/**
+ * Build the manifest object for a directory
+ */
+function buildManifest(dir = SITE_ROOT) {
+    return {
+        version: MANIFEST_VERSION,
+        generatedAt: new Date().toISOString(),
+        images: scanResultImages(dir)
+    };
+}
+
+/**
+ * Folder holding a brand's result images (brands.js imagePath under the site root)
+ */
+function brandImageDir(brand, root = SITE_ROOT) {
+    return path.join(root, brand.imagePath);
+}
+
+/**
+ * Build and write results.json into the directory
+ */
+function writeManifest(dir = SITE_ROOT) {
+    const manifest = buildManifest(dir);
+    const manifestPath = path.join(dir, MANIFEST_FILENAME);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    return { manifest, manifestPath };
+}
+
+module.exports = {
+    SITE_ROOT,
+    MANIFEST_FILENAME,
+    MANIFEST_VERSION,
+    RENDITIONS,
+    IMAGE_EXTENSIONS,
+    brandImageDir,
+    parseImageName,
+    formatDrawDate,
+    drawSortKey,
+    findRenditions,
+    scanResultImages,
+    buildManifest,
+    writeManifest
+};
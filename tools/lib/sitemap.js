@@ -0,0 +1,78 @@
+/**
+ * sitemap.xml helpers for the Node tools
+ * Works on the file's text so the hand-written entries and layout are kept;
+ * each published draw gets a <url> with its deep link (?brand=&date=&time=).
+ */
+
+const SITEMAP_FILENAME = 'sitemap.xml';
+
+const escapeXML = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Site address from the first <loc> ("https://example.com/"), or null
+ */
+function siteURLFromSitemap(xml) {
+    const match = /<loc>\s*([^<]+?)\s*<\/loc>/.exec(xml);
+    if (!match) return null;
+    try {
+        return new URL('/', match[1].replace(/&amp;/g, '&')).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Deep link to a draw, the same query the page and notifications use
+ */
+function drawPageURL(siteURL, brand, date, slot) {
+    const url = new URL(siteURL);
+    url.search = new URLSearchParams({ brand: brand.id, date, time: slot }).toString();
+    return url.href;
+}
+
+/**
+ * Add a <url> entry, or refresh its <lastmod> when the address is already listed
+ * @param {string} xml - sitemap text
+ * @param {Object} entry - loc, lastmod (YYYY-MM-DD), changefreq, priority
+ * @returns {{ xml: string, added: boolean }}
+ */
+function upsertSitemapURL(xml, { loc, lastmod, changefreq = 'yearly', priority = '0.6' }) {
+    const escaped = escapeXML(loc);
+    const blocks = /<url>[\s\S]*?<\/url>/g;
+    let found = false;
+
+    const updated = xml.replace(blocks, (block) => {
+        if (!block.includes(`<loc>${escaped}</loc>`)) return block;
+        found = true;
+        return block.replace(/<lastmod>[^<]*<\/lastmod>/, `<lastmod>${lastmod}</lastmod>`);
+    });
+    if (found) {
+        return { xml: updated, added: false };
+    }
+
+    const closing = updated.lastIndexOf('</urlset>');
+    if (closing === -1) {
+        throw new Error('sitemap.xml has no </urlset>');
+    }
+    const eol = xml.includes('\r\n') ? '\r\n' : '\n'; // Keep the file's line endings
+    const block = [
+        '  <url>',
+        `    <loc>${escaped}</loc>`,
+        `    <lastmod>${lastmod}</lastmod>`,
+        `    <changefreq>${changefreq}</changefreq>`,
+        `    <priority>${priority}</priority>`,
+        '  </url>'
+    ].join(eol);
+    return { xml: `${updated.slice(0, closing)}${block}${eol}${updated.slice(closing)}`, added: true };
+}
+
+module.exports = {
+    SITEMAP_FILENAME,
+    siteURLFromSitemap,
+    drawPageURL,
+    upsertSitemapURL
+};
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * Publish a result image from the command line
+ * Usage: node tools/lottery-ingest.js <image> --date <DD-MM-YYYY> --slot <slot> [options]
+ *
+ *   --brand <id>        Lottery brand (default nagaland)
+ *   --replace           Replace the draw's published images
+ *   --dry-run           Check everything and print what would change, without converting
+ *                       or writing anything (ImageMagick is not needed)
+ *   --root <path>       Site root (default: this repository)
+ *   --site-url <url>    Address used in sitemap.xml (default: taken from sitemap.xml)
+ *   --quality <1-100>   WebP/JPEG quality (default 82)
+ *
+ * The image is stored under the canonical "DD-MM-YYYY 1pm" name as WebP with a
+ * JPEG fallback, downsized WebP renditions go in the brand's thumbs/ and medium/
+ * folders, and the brand's results.json and the site's sitemap.xml are updated.
+ * Needs ImageMagick (https://imagemagick.org) on the PATH.
+ *
+ * Exit codes: 0 done, 1 could not publish, 2 bad arguments (date, slot, brand, file)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LotteryBrands = require('../brands.js');
+const { SITE_ROOT, MANIFEST_FILENAME, RENDITIONS } = require('./lib/results');
+const { checkDraw, detectImageType, planPublish, previewPublish, applyPublish } = require('./lib/publish');
+const { findImageMagick, convertImage, convertRenditions } = require('./lib/imagemagick');
+const { SITEMAP_FILENAME, siteURLFromSitemap, drawPageURL, upsertSitemapURL } = require('./lib/sitemap');
+
+// Formats convertUpload stores the full image as, in the same order
+const PUBLISHED_FORMATS = ['webp', 'jpg'];
+
+const USAGE = 'Usage: node tools/lottery-ingest.js <image> --date 04-11-2025 --slot 1pm [--brand nagaland] [--replace] [--dry-run] [--root <path>] [--site-url <url>] [--quality 82]';
+
+function parseArgs(argv) {
+    const options = { brand: LotteryBrands.DEFAULT_ID, replace: false, dryRun: false, root: SITE_ROOT, siteURL: null, quality: 82, files: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--date':
+                options.date = argv[++i];
+                break;
+            case '--slot':
+                options.slot = argv[++i];
+                break;
+            case '--brand':
+                options.brand = argv[++i];
+                break;
+            case '--replace':
+                options.replace = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--root':
+                options.root = path.resolve(argv[++i] || '');
+                break;
+            case '--site-url':
+                options.siteURL = argv[++i];
+                break;
+            case '--quality':
+                options.quality = Number(argv[++i]);
+                if (!Number.isInteger(options.quality) || options.quality < 1 || options.quality > 100) {
+                    throw new Error('--quality must be a whole number from 1 to 100');
+                }
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.files.push(path.resolve(arg));
+        }
+    }
+
+    if (options.files.length > 1) {
+        throw new Error('Give one image at a time');
+    }
+    options.file = options.files[0];
+    return options;
+}
+
+/**
+ * Convert the upload to the published formats in a scratch folder
+ * @returns {{ images: Buffer[], renditions: Object }} WebP then JPEG, plus each rendition
+ */
+function convertUpload(command, file, quality) {
+    const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'lottery-ingest-'));
+    try {
+        const output = name => path.join(scratch, name);
+        convertImage(command, file, output('full.webp'), { quality });
+        convertImage(command, file, output('full.jpg'), { quality, flatten: true });
+
+        return {
+            images: [fs.readFileSync(output('full.webp')), fs.readFileSync(output('full.jpg'))],
+            renditions: convertRenditions(command, file)
+        };
+    } finally {
+        fs.rmSync(scratch, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Add the draw's deep link to sitemap.xml; returns null when the site has no sitemap
+ */
+function planSitemap(options, brand, draw) {
+    const sitemapPath = path.join(options.root, SITEMAP_FILENAME);
+    if (!fs.existsSync(sitemapPath)) return null;
+
+    const xml = fs.readFileSync(sitemapPath, 'utf8');
+    const siteURL = options.siteURL || siteURLFromSitemap(xml);
+    if (!siteURL) {
+        throw new Error(`Cannot tell the site address from ${sitemapPath} - pass --site-url`);
+    }
+
+    const loc = drawPageURL(siteURL, brand, draw.date, draw.slot);
+    const lastmod = new Date().toISOString().slice(0, 10);
+    return { sitemapPath, loc, ...upsertSitemapURL(xml, { loc, lastmod }) };
+}
+
+/**
+ * Print what a publish plan (from previewPublish) would change
+ */
+function printDryRun(plan, sitemap) {
+    const prefix = '🔍 Would';
+    for (const { file } of plan.writes) {
+        console.log(`${prefix} write ${path.join(plan.dir, file)}`);
+    }
+    for (const file of plan.removes) {
+        console.log(`${prefix} remove ${path.join(plan.dir, file)}`);
+    }
+    console.log(`${prefix} rebuild ${path.join(plan.dir, MANIFEST_FILENAME)}`);
+    if (sitemap) {
+        console.log(`${prefix} ${sitemap.added ? 'add' : 'refresh'} ${sitemap.loc} in ${sitemap.sitemapPath}`);
+    }
+    console.log('🏁 Dry run: nothing was changed');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (options.help || !options.file || !options.date || !options.slot) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 2);
+    }
+
+    const brand = LotteryBrands.get(options.brand);
+    if (!brand) {
+        console.error(`❌ Unknown brand "${options.brand}" - use one of: ${LotteryBrands.all().map(b => b.id).join(', ')}`);
+        process.exit(2);
+    }
+
+    let draw;
+    try {
+        draw = checkDraw(brand, options.date, options.slot);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (!fs.existsSync(options.file) || !fs.statSync(options.file).isFile()) {
+        console.error(`❌ File not found: ${options.file}`);
+        process.exit(2);
+    }
+    const upload = fs.readFileSync(options.file);
+    if (!detectImageType(upload)) {
+        console.error(`❌ "${path.basename(options.file)}" is not a JPEG, PNG, WebP or GIF image`);
+        process.exit(2);
+    }
+
+    let plan;
+    let sitemap;
+
+    if (options.dryRun) {
+        try {
+            plan = previewPublish(brand, {
+                date: draw.date,
+                slot: draw.slot,
+                upload,
+                formats: PUBLISHED_FORMATS,
+                renditions: RENDITIONS.map(rendition => rendition.name),
+                replace: options.replace,
+                root: options.root
+            });
+            sitemap = planSitemap(options, brand, draw);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        console.log(`📅 ${brand.name} ${draw.date} ${draw.label}`);
+        printDryRun(plan, sitemap);
+        return;
+    }
+
+    const imageMagick = findImageMagick();
+    if (!imageMagick) {
+        console.error('❌ ImageMagick was not found. Install it (https://imagemagick.org) and make sure "magick" (or "convert") is on your PATH.');
+        process.exit(1);
+    }
+
+    try {
+        console.log(`🖼️ ${imageMagick.version}: converting ${path.basename(options.file)}`);
+        const { images, renditions } = convertUpload(imageMagick.command, options.file, options.quality);
+        plan = planPublish(brand, { date: draw.date, slot: draw.slot, images, renditions, replace: options.replace, root: options.root });
+        sitemap = planSitemap(options, brand, draw);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    console.log(`📅 ${brand.name} ${draw.date} ${draw.label}`);
+
+    let published;
+    try {
+        published = applyPublish(plan);
+    } catch (error) {
+        console.error(`❌ Could not publish: ${error.message}`);
+        process.exit(1);
+    }
+    const { files, manifest } = published;
+    console.log(`✅ Published ${files.join(', ')}`);
+    if (plan.removes.length) {
+        console.log(`🗑️ Removed ${plan.removes.join(', ')}`);
+    }
+    console.log(`📋 ${path.join(plan.dir, MANIFEST_FILENAME)} now lists ${manifest.images.length} images`);
+
+    if (sitemap) {
+        try {
+            fs.writeFileSync(sitemap.sitemapPath, sitemap.xml);
+        } catch (error) {
+            console.error(`❌ Published, but ${SITEMAP_FILENAME} could not be updated: ${error.message}`);
+            process.exit(1);
+        }
+        console.log(`🗺️ ${sitemap.added ? 'Added' : 'Refreshed'} ${sitemap.loc} in ${SITEMAP_FILENAME}`);
+    } else {
+        console.log(`⏭️ No ${SITEMAP_FILENAME} in ${options.root}`);
+    }
+}
+
+main();
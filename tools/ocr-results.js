@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * Extract winning numbers from result images with local OCR (Tesseract, no network)
+ * Usage: node tools/ocr-results.js [options] [image files...]
+ *
+ *   --dir <path>             Image directory (default: site root)
+ *   --force                  Re-read images that already have result data
+ *   --min-confidence <0-100> Words below this confidence are flagged (default 80)
+ *   --lang <code>            Tesseract language (default eng)
+ *
+ * For each draw it writes "DD-MM-YYYY 1pm.json" next to the image when the
+ * sheet read cleanly. When anything needs a person to check it, it writes
+ * "DD-MM-YYYY 1pm.ocr.json" instead: the same data plus a "review" list of
+ * low-confidence regions. Fix the numbers, delete "review" and rename it to
+ * "DD-MM-YYYY 1pm.json" to publish it.
+ *
+ * Images that already have a .json or .ocr.json newer than the image are
+ * skipped, so re-running only reads new images.
+ *
+ * Exit codes: 0 done, 1 tesseract missing or an image failed, 2 bad arguments (options, file names)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ResultData = require('../result-data.js');
+const { SITE_ROOT, parseImageName, formatDrawDate, scanResultImages } = require('./lib/results');
+const { parseTesseractTSV, parseResultSheet } = require('./lib/ocr-parse');
+
+// Formats Tesseract reads best come first when a draw has several files
+const OCR_FORMATS = ['png', 'jpg', 'jpeg', 'bmp', 'gif', 'webp'];
+
+function parseArgs(argv) {
+    const options = { dir: SITE_ROOT, force: false, minConfidence: 80, lang: 'eng', files: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--dir':
+                options.dir = path.resolve(argv[++i] || '');
+                break;
+            case '--force':
+                options.force = true;
+                break;
+            case '--min-confidence':
+                options.minConfidence = Number(argv[++i]);
+                if (!Number.isFinite(options.minConfidence) || options.minConfidence < 0 || options.minConfidence > 100) {
+                    throw new Error('--min-confidence must be a number from 0 to 100');
+                }
+                break;
+            case '--lang':
+                options.lang = argv[++i];
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.files.push(path.resolve(arg));
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Check the tesseract command is installed
+ */
+function tesseractVersion() {
+    const result = spawnSync('tesseract', ['--version'], { encoding: 'utf8' });
+    if (result.error) {
+        return null;
+    }
+    return (result.stdout || result.stderr).split('\n')[0].trim();
+}
+
+/**
+ * Pick one image per draw, either from the given files or the image directory
+ */
+function collectImages(options) {
+    let entries;
+
+    if (options.files.length > 0) {
+        entries = options.files.map(file => {
+            const filename = path.basename(file);
+            const parsed = parseImageName(filename);
+            if (!parsed) {
+                throw new Error(`"${filename}" is not a result image name (DD-MM-YYYY 1pm.jpg)`);
+            }
+            if (!fs.existsSync(file)) {
+                throw new Error(`File not found: ${file}`);
+            }
+            return { file, filename, date: formatDrawDate(parsed), slot: parsed.displayTime };
+        });
+    } else {
+        if (!fs.existsSync(options.dir)) {
+            throw new Error(`Image directory not found: ${options.dir}`);
+        }
+        entries = scanResultImages(options.dir).map(entry => ({ ...entry, file: path.join(options.dir, entry.filename) }));
+    }
+
+    const byDraw = new Map();
+    for (const entry of entries) {
+        const key = `${entry.date} ${entry.slot}`;
+        const rank = OCR_FORMATS.indexOf(path.extname(entry.filename).slice(1).toLowerCase());
+        const existing = byDraw.get(key);
+        if (!existing || rank < existing.rank) {
+            byDraw.set(key, { ...entry, rank });
+        }
+    }
+    return Array.from(byDraw.values());
+}
+
+/**
+ * Decide whether an image needs reading; returns a skip reason or null
+ */
+function skipReason(entry, dataPath, draftPath, force) {
+    if (force) return null;
+
+    const imageTime = fs.statSync(entry.file).mtimeMs;
+    if (fs.existsSync(dataPath) && fs.statSync(dataPath).mtimeMs >= imageTime) {
+        return 'already has result data';
+    }
+    if (fs.existsSync(draftPath) && fs.statSync(draftPath).mtimeMs >= imageTime) {
+        return 'waiting for manual review';
+    }
+    return null;
+}
+
+/**
+ * Run Tesseract on one image and return its OCR lines
+ */
+function readImage(file, lang) {
+    const result = spawnSync('tesseract', [file, 'stdout', '-l', lang, 'tsv'], {
+        encoding: 'utf8',
+        maxBuffer: 32 * 1024 * 1024
+    });
+
+    if (result.error) {
+        throw result.error;
+    }
+    if (result.status !== 0) {
+        throw new Error((result.stderr || '').trim() || `tesseract exited with code ${result.status}`);
+    }
+    return parseTesseractTSV(result.stdout);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log('Usage: node tools/ocr-results.js [--dir <path>] [--force] [--min-confidence 80] [--lang eng] [image files...]');
+        return;
+    }
+
+    // Bad file names, missing files or a missing --dir are argument errors
+    let images;
+    try {
+        images = collectImages(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    const engine = tesseractVersion();
+    if (!engine) {
+        console.error('❌ tesseract was not found. Install Tesseract OCR (https://tesseract-ocr.github.io) and make sure "tesseract" is on your PATH.');
+        process.exit(1);
+    }
+
+    const counts = { published: 0, review: 0, skipped: 0, failed: 0 };
+
+    console.log(`🔎 ${engine}: ${images.length} draws to consider`);
+
+    for (const entry of images) {
+        const base = entry.file.replace(/\.[^/.]+$/, '');
+        const dataPath = `${base}.json`;
+        const draftPath = `${base}.ocr.json`;
+
+        const reason = skipReason(entry, dataPath, draftPath, options.force);
+        if (reason) {
+            counts.skipped++;
+            continue;
+        }
+
+        let lines;
+        try {
+            lines = readImage(entry.file, options.lang);
+        } catch (error) {
+            console.error(`❌ ${entry.filename}: OCR failed - ${error.message}`);
+            counts.failed++;
+            continue;
+        }
+
+        const { data, review } = parseResultSheet(lines, {
+            date: entry.date,
+            slot: entry.slot,
+            minConfidence: options.minConfidence
+        });
+        data.source = {
+            image: entry.filename,
+            method: 'ocr',
+            engine,
+            generatedAt: new Date().toISOString()
+        };
+
+        const { errors } = ResultData.validate(data, { date: entry.date, slot: entry.slot });
+        for (const error of errors) {
+            review.push({ reason: `Schema: ${error}`, tier: null });
+        }
+
+        // Hand-written data is never overwritten by OCR unless --force
+        if (review.length === 0 && (!fs.existsSync(dataPath) || options.force)) {
+            fs.writeFileSync(dataPath, JSON.stringify(data, null, 2) + '\n');
+            if (fs.existsSync(draftPath)) {
+                fs.unlinkSync(draftPath);
+            }
+            console.log(`✅ ${entry.filename} -> ${path.basename(dataPath)}`);
+            counts.published++;
+        } else {
+            if (review.length === 0) {
+                review.push({ reason: 'Image is newer than the existing result data - compare and replace it', tier: null });
+            }
+            fs.writeFileSync(draftPath, JSON.stringify({ ...data, review }, null, 2) + '\n');
+            console.log(`⚠️ ${entry.filename} -> ${path.basename(draftPath)} (${review.length} items to review)`);
+            counts.review++;
+        }
+    }
+
+    console.log(`🏁 Done: ${counts.published} written, ${counts.review} need review, ${counts.skipped} skipped, ${counts.failed} failed`);
+    if (counts.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Send a "result is out" notification through the local server (server.js)
+ * Usage: node tools/push-result.js <DD-MM-YYYY> <slot> [--brand <id>] [--server <url>]
+ *
+ * Every browser with notifications turned on for that brand and slot shows
+ * the notification; clicking it opens the draw. Use it to test notifications
+ * without publishing an image.
+ */
+
+const LotteryBrands = require('../brands.js');
+
+function parseArgs(argv) {
+    const options = { brand: LotteryBrands.DEFAULT_ID, server: 'http://localhost:8000', positional: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--brand') {
+            options.brand = argv[++i];
+        } else if (arg === '--server') {
+            options.server = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    [options.date, options.slot] = options.positional;
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (options.help || !options.date || !options.slot) {
+        console.log('Usage: node tools/push-result.js <DD-MM-YYYY> <slot> [--brand nagaland] [--server http://localhost:8000]');
+        process.exit(options.help ? 0 : 2);
+    }
+
+    if (!LotteryBrands.get(options.brand)) {
+        console.error(`❌ Unknown brand "${options.brand}" - use one of: ${LotteryBrands.all().map(brand => brand.id).join(', ')}`);
+        process.exit(2);
+    }
+
+    try {
+        const response = await fetch(new URL('api/push/send', options.server), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ brand: options.brand, date: options.date, slot: options.slot })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            console.error(`❌ ${result.error}`);
+            process.exit(1);
+        }
+        console.log(`🔔 "${result.payload.title}" sent to ${result.delivered} listening browsers`);
+    } catch (error) {
+        console.error(`❌ Could not reach ${options.server} - is "node server.js" running? (${error.message})`);
+        process.exit(1);
+    }
+}
+
+main();
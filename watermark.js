@@ -0,0 +1,183 @@
+/**
+ * Result watermark - brands downloaded and shared result images so re-posts keep the source
+ * The result is redrawn on a canvas with a faint logo and site address over it, and a
+ * strip underneath with the logo, the date and draw, the site address and a QR code
+ * linking back to the draw. The image shown on the page is never changed.
+ */
+
+const WATERMARK_CONFIG = {
+    enabled: true,
+    logo: 'logo.png',
+    siteURL: '', // Address printed on images; empty uses the site the page is served from
+    overlayOpacity: 0.12, // Faint logo and address over the result (0 turns the overlay off)
+    caption: true, // Brand, date and draw in the strip
+    qrCode: true, // QR code deep-linking back to the draw
+    stripColor: '#0f172a',
+    textColor: '#ffffff',
+    mutedTextColor: '#cbd5e1'
+};
+
+class ResultWatermark {
+    constructor(config = {}) {
+        this.config = { ...WATERMARK_CONFIG, ...config };
+    }
+
+    get enabled() {
+        return Boolean(this.config.enabled);
+    }
+
+    /**
+     * QR code for the draw link, or null when it cannot be made (the strip then has no QR)
+     */
+    encodeQrCode(drawURL) {
+        if (typeof QrCode === 'undefined') return null;
+        try {
+            return QrCode.encode(drawURL, { ecc: 'M' });
+        } catch (error) {
+            console.log('⚠️ Watermark without QR code:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Draw a result image with the watermark
+     * @param {CanvasImageSource} source - decoded result image
+     * @param {Object} details - logo (decoded image or null), siteURL, caption, drawURL, maxWidth
+     * @returns {HTMLCanvasElement}
+     */
+    render(source, { logo = null, siteURL = '', caption = '', drawURL = '', maxWidth = Infinity } = {}) {
+        const config = this.config;
+        const scale = Math.min(1, maxWidth / source.width);
+        const width = Math.round(source.width * scale);
+        const imageHeight = Math.round(source.height * scale);
+
+        // QR modules at least 3px so phone cameras can read it
+        const qr = config.qrCode && drawURL ? this.encodeQrCode(drawURL) : null;
+        const qrModules = qr ? qr.size + 4 : 0; // 2-module quiet zone each side
+        const padding = Math.max(8, Math.round(width * 0.016));
+        const stripInner = Math.max(56, Math.round(width * 0.09), qrModules * 3);
+        const stripHeight = stripInner + padding * 2;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = imageHeight + stripHeight;
+        const context = canvas.getContext('2d');
+
+        context.fillStyle = '#ffffff'; // JPEG has no transparency
+        context.fillRect(0, 0, width, imageHeight);
+        context.drawImage(source, 0, 0, width, imageHeight);
+
+        if (config.overlayOpacity > 0) {
+            this.drawOverlay(context, width, imageHeight, logo, siteURL);
+        }
+
+        context.fillStyle = config.stripColor;
+        context.fillRect(0, imageHeight, width, stripHeight);
+
+        const top = imageHeight + padding;
+        let left = padding;
+        let right = width - padding;
+
+        if (logo) {
+            const logoWidth = Math.round(stripInner * logo.width / logo.height);
+            context.drawImage(logo, left, top, logoWidth, stripInner);
+            left += logoWidth + padding;
+        }
+
+        if (qr) {
+            const moduleSize = Math.floor(stripInner / qrModules);
+            const qrSide = moduleSize * qrModules;
+            const qrLeft = right - qrSide;
+            const qrTop = top + Math.floor((stripInner - qrSide) / 2);
+
+            context.fillStyle = '#ffffff';
+            context.fillRect(qrLeft, qrTop, qrSide, qrSide);
+            context.fillStyle = '#000000';
+            for (let y = 0; y < qr.size; y++) {
+                for (let x = 0; x < qr.size; x++) {
+                    if (qr.isDark(x, y)) {
+                        context.fillRect(qrLeft + (x + 2) * moduleSize, qrTop + (y + 2) * moduleSize, moduleSize, moduleSize);
+                    }
+                }
+            }
+            right = qrLeft - padding;
+        }
+
+        const lines = [];
+        if (config.caption && caption) {
+            lines.push({ text: caption, size: Math.round(stripInner * 0.3), weight: 'bold', color: config.textColor });
+        }
+        if (siteURL) {
+            lines.push({ text: siteURL, size: Math.round(stripInner * 0.22), weight: 'normal', color: config.mutedTextColor });
+        }
+
+        const textHeight = lines.reduce((total, line) => total + line.size * 1.25, 0);
+        let y = top + (stripInner - textHeight) / 2;
+        context.textBaseline = 'top';
+        context.textAlign = 'left';
+        for (const line of lines) {
+            // Shrink long lines (down to 60%) before shortening them
+            context.font = `${line.weight} ${line.size}px system-ui, sans-serif`;
+            const measured = context.measureText(line.text).width;
+            if (measured > right - left) {
+                const size = Math.max(Math.round(line.size * 0.6), Math.floor(line.size * (right - left) / measured));
+                context.font = `${line.weight} ${size}px system-ui, sans-serif`;
+            }
+            context.fillStyle = line.color;
+            context.fillText(ResultWatermark.fitText(context, line.text, right - left), left, y);
+            y += line.size * 1.25;
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Faint logo and address in the middle of the result
+     */
+    drawOverlay(context, width, height, logo, siteURL) {
+        const size = Math.round(Math.min(width, height) * 0.35);
+        const fontSize = Math.max(12, Math.round(size * 0.13));
+        const blockHeight = (logo ? size : 0) + (siteURL ? fontSize * 1.5 : 0);
+        let y = (height - blockHeight) / 2;
+
+        context.save();
+        context.globalAlpha = this.config.overlayOpacity;
+        if (logo) {
+            const logoWidth = Math.round(size * logo.width / logo.height);
+            context.drawImage(logo, (width - logoWidth) / 2, y, logoWidth, size);
+            y += size;
+        }
+        if (siteURL) {
+            context.font = `bold ${fontSize}px system-ui, sans-serif`;
+            context.fillStyle = this.config.stripColor;
+            context.textAlign = 'center';
+            context.textBaseline = 'top';
+            context.fillText(ResultWatermark.fitText(context, siteURL, width * 0.9), width / 2, y + fontSize * 0.5);
+        }
+        context.restore();
+    }
+
+    /**
+     * Shorten text with an ellipsis to fit a width (uses the context's current font)
+     */
+    static fitText(context, text, maxWidth) {
+        if (context.measureText(text).width <= maxWidth) return text;
+
+        let end = text.length;
+        while (end > 0 && context.measureText(`${text.slice(0, end)}…`).width > maxWidth) {
+            end--;
+        }
+        return end > 0 ? `${text.slice(0, end)}…` : '';
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.WATERMARK_CONFIG = WATERMARK_CONFIG;
+    window.ResultWatermark = ResultWatermark;
+}
+
+// Export for Node build tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResultWatermark, WATERMARK_CONFIG };
+}
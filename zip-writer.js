@@ -0,0 +1,133 @@
+/**
+ * Minimal ZIP writer - bundles result images into one download, no libraries
+ * Files are stored uncompressed: result images are already compressed, so
+ * deflating them would cost time for almost no saving.
+ * Shared by the browser (script.js) and tests.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - path inside the ZIP
+     * @param {Uint8Array|string} data - file contents (strings are saved as UTF-8)
+     * @param {Date} modified - timestamp shown by unzip tools
+     */
+    addFile(name, data, modified = new Date()) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        this.files.push({
+            name: new TextEncoder().encode(name),
+            bytes,
+            crc: ZipWriter.crc32(bytes),
+            ...ZipWriter.dosDateTime(modified)
+        });
+    }
+
+    /**
+     * Assemble the archive: local headers and data, central directory, end record
+     */
+    toBytes() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of this.files) {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header
+            local.setUint16(4, 20, true); // Version needed (2.0)
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, file.time, true);
+            local.setUint16(12, file.date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.bytes.length, true);
+            local.setUint32(22, file.bytes.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);
+            parts.push(new Uint8Array(local.buffer), file.name, file.bytes);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true); // Central directory header
+            entry.setUint16(4, 20, true); // Made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, file.time, true);
+            entry.setUint16(14, file.date, true);
+            entry.setUint32(16, file.crc, true);
+            entry.setUint32(20, file.bytes.length, true);
+            entry.setUint32(24, file.bytes.length, true);
+            entry.setUint16(28, file.name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), file.name);
+
+            offset += 30 + file.name.length + file.bytes.length;
+        }
+
+        const centralSize = central.reduce((total, part) => total + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const all = [...parts, ...central, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(all.reduce((total, part) => total + part.length, 0));
+        let position = 0;
+        for (const part of all) {
+            output.set(part, position);
+            position += part.length;
+        }
+        return output;
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'application/zip' });
+    }
+
+    /**
+     * CRC-32 checksum ZIP uses for every file
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * MS-DOS date and time fields (local time, 2-second precision)
+     */
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+    window.ZipWriter = ZipWriter;
+}
+
+// Export for Node build tools
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}